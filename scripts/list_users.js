@@ -0,0 +1,46 @@
+import { readFile } from 'fs/promises';
+import { Client } from '@notionhq/client';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const notion = new Client({ auth: process.env.NOTION_TOKEN });
+
+// Print workspace members as entries for the "people" alias table in
+// CA_V2_CONFIG.json, marking the ones already configured
+async function listUsers() {
+  const config = JSON.parse(await readFile('./CA_V2_CONFIG.json', 'utf-8'));
+  const configured = new Set((config.people || []).map(person => person.user_id));
+  
+  console.log('Workspace members:\n');
+  
+  const entries = [];
+  let cursor;
+  
+  do {
+    const response = await notion.users.list({ start_cursor: cursor });
+    
+    for (const user of response.results) {
+      if (user.type !== 'person') continue;
+      
+      const marker = configured.has(user.id) ? '✅' : '  ';
+      console.log(`  ${marker} ${user.name} (${user.person?.email || 'no email'}) ${user.id}`);
+      
+      if (!configured.has(user.id)) {
+        const firstName = (user.name || '').split(/\s+/)[0];
+        entries.push({ name: user.name, user_id: user.id, aliases: firstName ? [firstName] : [] });
+      }
+    }
+    
+    cursor = response.has_more ? response.next_cursor : null;
+  } while (cursor);
+  
+  if (entries.length > 0) {
+    console.log('\nAdd to "people" in CA_V2_CONFIG.json (edit aliases as needed):\n');
+    console.log(JSON.stringify(entries, null, 2));
+  } else {
+    console.log('\nEveryone is already in the alias table');
+  }
+}
+
+listUsers();
@@ -0,0 +1,81 @@
+import { readFile } from 'fs/promises';
+import * as client from '../service/notion_client.js';
+
+// One-time migration: the aliases and context clues that used to be hardcoded
+// in inference.js, the quick todo processor and the parseQuickTodo prompt.
+// Fills Aliases / Context Clues where they are empty, ticks Active on projects
+// that have never been set up, and creates missing project pages. Anything
+// already filled in the Projects DB is left alone, so this is safe to re-run.
+// Run `npm run setup:schema` first so the columns exist.
+const LEGACY_PROJECTS = [
+  { name: 'ClickUp', aliases: 'clickup, click up, click-up, cu, cuarc', clues: 'wpr, weekly reports, dashboards, automations' },
+  { name: 'Docebo', aliases: 'docebo, lms, learning management, cogent uni, uni, learning', clues: 'training, courses' },
+  { name: 'HubSpot', aliases: 'hubspot, crm, hs, hub spot', clues: 'contacts, leads, deals' },
+  { name: 'AI Sales', aliases: 'ai sales, retell, retellai, retell ai, sai, sales ai', clues: '' },
+  { name: 'Insider Knowledge', aliases: 'insider, insider knowledge, ik, merlin', clues: '' },
+  { name: 'PD OTN', aliases: 'pd, otn, pd otn, professional development', clues: '' },
+  { name: 'Podcast', aliases: 'podcast, episode, recording, riverside', clues: 'recordings, episodes' },
+  { name: 'Quarterly Economic Review', aliases: 'qer, economic review, quarterly, eco repo, economic', clues: '' },
+  { name: 'Support/Other', aliases: 'support', clues: '' }
+];
+
+function text(content) {
+  return content ? [{ type: 'text', text: { content } }] : [];
+}
+
+function plain(prop) {
+  return (prop?.title || prop?.rich_text || []).map(t => t.plain_text).join('').trim();
+}
+
+async function seedProjects() {
+  const config = JSON.parse(await readFile('./CA_V2_CONFIG.json', 'utf-8'));
+  const projectsDbId = config.databases.projects.id;
+
+  console.log('Seeding project registry...\n');
+
+  const pages = await client.queryAll(projectsDbId);
+
+  for (const legacy of LEGACY_PROJECTS) {
+    try {
+      const page = pages.find(p => plain(p.properties.Name).toLowerCase() === legacy.name.toLowerCase());
+
+      if (!page) {
+        await client.createPage(projectsDbId, {
+          'Name': { title: text(legacy.name) },
+          'Aliases': { rich_text: text(legacy.aliases) },
+          'Context Clues': { rich_text: text(legacy.clues) },
+          'Active': { checkbox: true }
+        });
+        console.log(`  ✅ ${legacy.name}: created`);
+        continue;
+      }
+
+      const properties = {};
+      if (!plain(page.properties.Aliases)) {
+        properties['Aliases'] = { rich_text: text(legacy.aliases) };
+      }
+      if (!plain(page.properties['Context Clues']) && legacy.clues) {
+        properties['Context Clues'] = { rich_text: text(legacy.clues) };
+      }
+      // Unseeded pages were all in use; a page with aliases has been set up by hand
+      if (page.properties.Active && !page.properties.Active.checkbox && properties['Aliases']) {
+        properties['Active'] = { checkbox: true };
+      }
+
+      if (Object.keys(properties).length === 0) {
+        console.log(`  ✅ ${legacy.name}: already set up`);
+        continue;
+      }
+
+      await client.updatePage(page.id, properties);
+      console.log(`  ✅ ${legacy.name}: filled ${Object.keys(properties).join(', ')}`);
+
+    } catch (error) {
+      console.log(`  ❌ ${legacy.name} failed: ${error.message}`);
+    }
+  }
+
+  console.log('\nDone. Check the list with `npm run projects`, then run `node scripts/sync_project_fields.js`.');
+}
+
+seedProjects();
@@ -58,6 +58,9 @@ async function createMeetingsDatabase(parentPageId) {
       },
       'Needs Review?': {
         checkbox: {}
+      },
+      'Timezone': {
+        select: {}
       }
     }
   });
@@ -121,6 +124,24 @@ async function createTasksDatabase(parentPageId, meetingsDbId) {
       'Line Key': {
         rich_text: {}
       },
+      'Block ID': {
+        rich_text: {}
+      },
+      'Source Removed?': {
+        checkbox: {}
+      },
+      'Assignee': {
+        people: {}
+      },
+      'Estimate': {
+        number: { format: 'number' }
+      },
+      'Recurrence': {
+        rich_text: {}
+      },
+      'Series ID': {
+        rich_text: {}
+      },
       'Priority': {
         select: {
           options: [
@@ -133,6 +154,20 @@ async function createTasksDatabase(parentPageId, meetingsDbId) {
     }
   });
   
+  // Subtasks relate back to the same database, which needs its ID first
+  await notion.databases.update({
+    database_id: database.id,
+    properties: {
+      'Parent Task': {
+        relation: {
+          database_id: database.id,
+          type: 'dual_property',
+          dual_property: { synced_property_name: 'Subtasks' }
+        }
+      }
+    }
+  });
+  
   console.log(`  ✓ Tasks database created`);
   console.log(`  ID: ${database.id}`);
   console.log(`  URL: ${database.url}`);
@@ -253,6 +288,10 @@ async function setupCAv2() {
           url: podcastDb.url
         }
       },
+      // Timezone relative due dates are resolved in (meetings can override)
+      timezone: 'America/New_York',
+      // Alias table for assignees: [{ name, user_id, aliases: [] }] (see npm run users)
+      people: [],
       created_at: new Date().toISOString()
     };
     
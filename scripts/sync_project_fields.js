@@ -1,34 +1,40 @@
 import { readFile } from 'fs/promises';
 import { Client } from '@notionhq/client';
 import dotenv from 'dotenv';
+import * as projectRegistry from '../service/project_registry.js';
 
 dotenv.config();
 
 const notion = new Client({ auth: process.env.NOTION_TOKEN });
 
-// The correct project options from Projects DB
-const CORRECT_OPTIONS = [
-  { name: 'ClickUp' },
-  { name: 'HubSpot' },
-  { name: 'Docebo' },
-  { name: 'AI Sales' },
-  { name: 'Insider Knowledge' },
-  { name: 'PD OTN' },
-  { name: 'Podcast' },
-  { name: 'Quarterly Economic Review' },
-  { name: 'Support/Other' }
-];
-
 async function syncProjectFields() {
   const config = JSON.parse(await readFile('./CA_V2_CONFIG.json', 'utf-8'));
   
   console.log('Syncing Project field options to match Projects DB...\n');
   
+  // The correct project options, one per Projects DB page
+  const registry = await projectRegistry.getRegistry({ force: true, projectsDbId: config.databases.projects.id });
+  if (registry.projects.length === 0) {
+    console.log('❌ No projects loaded from the Projects DB, leaving options unchanged');
+    return;
+  }
+  const options = projectRegistry.selectOptions(registry);
+  console.log(`Options: ${options.map(o => o.name).join(', ')}\n`);
+  
   const databasesToSync = {
     'Meetings': config.databases.meetings.id,
     'Tasks': config.databases.tasks.id
   };
   
+  // Meetings also list every project their tasks touch
+  const meetingProperties = {
+    Projects: {
+      multi_select: {
+        options
+      }
+    }
+  };
+  
   for (const [name, id] of Object.entries(databasesToSync)) {
     try {
       console.log(`Updating ${name} DB...`);
@@ -38,9 +44,10 @@ async function syncProjectFields() {
         properties: {
           Project: {
             select: {
-              options: CORRECT_OPTIONS
+              options
             }
-          }
+          },
+          ...(name === 'Meetings' && meetingProperties)
         }
       });
       
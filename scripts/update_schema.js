@@ -0,0 +1,113 @@
+import { readFile } from 'fs/promises';
+import { Client } from '@notionhq/client';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const notion = new Client({ auth: process.env.NOTION_TOKEN });
+
+// Properties the automation expects beyond the original setup, per database.
+// Only missing ones are added, so this is safe to re-run.
+function taskProperties(tasksDbId) {
+  return {
+    'Block ID': {
+      rich_text: {}
+    },
+    'Source Removed?': {
+      checkbox: {}
+    },
+    'Assignee': {
+      people: {}
+    },
+    'Estimate': {
+      number: { format: 'number' }
+    },
+    'Recurrence': {
+      rich_text: {}
+    },
+    'Series ID': {
+      rich_text: {}
+    },
+    'Parent Task': {
+      relation: {
+        database_id: tasksDbId,
+        type: 'dual_property',
+        dual_property: { synced_property_name: 'Subtasks' }
+      }
+    }
+  };
+}
+
+function meetingProperties() {
+  return {
+    // IANA name; overrides the workspace timezone for this meeting's due dates
+    'Timezone': {
+      select: {}
+    },
+    // Every project the meeting's tasks were filed under
+    'Projects': {
+      multi_select: {}
+    },
+    // How an inferred Project was chosen: keyword, hashtag or LLM
+    'Project Source': {
+      select: {
+        options: [{ name: 'keyword' }, { name: 'hashtag' }, { name: 'LLM' }]
+      }
+    },
+    'Project Confidence': {
+      number: { format: 'percent' }
+    },
+    'Project Rationale': {
+      rich_text: {}
+    }
+  };
+}
+
+// What the project registry reads (service/project_registry.js)
+function projectProperties() {
+  return {
+    'Aliases': {
+      rich_text: {}
+    },
+    'Context Clues': {
+      rich_text: {}
+    },
+    'Active': {
+      checkbox: {}
+    }
+  };
+}
+
+async function addMissingProperties(name, databaseId, wanted) {
+  try {
+    const db = await notion.databases.retrieve({ database_id: databaseId });
+    const missing = Object.keys(wanted).filter(prop => !db.properties[prop]);
+    
+    if (missing.length === 0) {
+      console.log(`  ✅ ${name} DB already has every property`);
+      return;
+    }
+    
+    await notion.databases.update({
+      database_id: databaseId,
+      properties: Object.fromEntries(missing.map(prop => [prop, wanted[prop]]))
+    });
+    
+    console.log(`  ✅ ${name} DB: added ${missing.join(', ')}`);
+    
+  } catch (error) {
+    console.log(`  ❌ ${name} DB update failed: ${error.message}`);
+  }
+}
+
+async function updateSchema() {
+  const config = JSON.parse(await readFile('./CA_V2_CONFIG.json', 'utf-8'));
+  
+  console.log('Adding automation properties...\n');
+  
+  await addMissingProperties('Tasks', config.databases.tasks.id, taskProperties(config.databases.tasks.id));
+  await addMissingProperties('Meetings', config.databases.meetings.id, meetingProperties());
+  await addMissingProperties('Projects', config.databases.projects.id, projectProperties());
+}
+
+updateSchema();
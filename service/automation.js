@@ -1,11 +1,21 @@
 import { readFile } from 'fs/promises';
 import * as client from './notion_client.js';
+import * as blockTree from './block_tree.js';
+import * as blockCopy from './block_copy.js';
 import * as extractors from './extractors.js';
 import * as inference from './inference.js';
+import * as openai from './openai_client.js';
 import * as parsers from './parsers.js';
+import * as priority from './priority.js';
+import * as projectLearning from './project_learning.js';
+import * as projectRegistry from './project_registry.js';
+import * as recurrence from './recurrence.js';
+import * as taskSync from './task_sync.js';
 import * as projectInfo from './project_info_extractor.js';
 import * as projectPage from './project_page_updater.js';
 import * as quickTodo from './quick_todo_processor_v2.js';
+import * as state from './state_store.js';
+import { startWebhookServer, normalizeId } from './webhook_server.js';
 
 // Load configuration
 async function loadConfig() {
@@ -19,20 +29,428 @@ function log(message, level = 'INFO') {
   console.log(`[${timestamp}] [${level}] ${message}`);
 }
 
+// Timezone a meeting's dates are written in: its own override, else the workspace's
+function resolveTimezone(meeting, config) {
+  const override = extractors.getMeetingTimezone(meeting);
+  if (override && parsers.isValidTimezone(override)) {
+    return override;
+  }
+  if (override) {
+    log(`  Unknown timezone "${override}" on meeting, using the workspace timezone`, 'WARN');
+  }
+  
+  if (config.timezone && !parsers.isValidTimezone(config.timezone)) {
+    log(`  Unknown workspace timezone "${config.timezone}", using ${parsers.DEFAULT_TIMEZONE}`, 'WARN');
+    return parsers.DEFAULT_TIMEZONE;
+  }
+  return config.timezone || parsers.DEFAULT_TIMEZONE;
+}
+
+// What we remember about a to-do once it is synced to its task
+function todoSnapshot(todo, checked = todo.checked) {
+  return { text: todo.text, checked, assignees: todo.assignees, parentBlockId: todo.parentBlockId };
+}
+
+// Push to-do edits (text, checked state, nesting, derived fields) to its task,
+// or the task's completion back to the to-do when the task side changed.
+// Returns the list of changes made (empty when nothing was written).
+async function syncExistingTask(task, todo, meetingId, context) {
+  const previous = state.getTaskForBlock(todo.blockId);
+  const { properties, changes, block } = taskSync.diffTodo(task, todo, meetingId, previous, context);
+  const checked = block ? block.checked : todo.checked;
+  
+  if (changes.length === 0) {
+    log(`  Skipped (unchanged): ${todo.text.substring(0, 50)}...`);
+    // Remember the baseline for tasks from before we tracked every field,
+    // or when both sides were changed to the same value since the last sync
+    if (!previous || previous.checked !== checked || !previous.assignees || !('parentBlockId' in previous)) {
+      state.record('task_update', {
+        meetingId, blockId: todo.blockId, taskId: task.id, ...todoSnapshot(todo, checked), changes
+      });
+    }
+    return [];
+  }
+  
+  try {
+    if (Object.keys(properties).length > 0) {
+      await client.updatePage(task.id, properties);
+    }
+    if (block) {
+      await client.updateBlock(todo.blockId, { to_do: { checked: block.checked } });
+    }
+    state.record('task_update', {
+      meetingId, blockId: todo.blockId, taskId: task.id, ...todoSnapshot(todo, checked), changes
+    });
+    log(`  Updated task (${changes.join(', ')}): ${todo.text.substring(0, 50)}...`);
+    if (changes.includes('priority')) {
+      log(`    Priority ${todo.fields.priorityReason}`);
+    }
+    return changes;
+  } catch (error) {
+    log(`  Failed to update task: ${error.message}`, 'ERROR');
+    state.recordError('update_task', task.id, error);
+    return [];
+  }
+}
+
+// Task page body: the to-do's child blocks (nested to-dos excluded, they become
+// subtasks with their own bodies), then a link back to the to-do in the meeting
+function taskBody(tree, todo, meeting, meetingTitle) {
+  const node = blockTree.findNode(tree, todo.blockId);
+  const context = node
+    ? blockCopy.toRequestBlocks(node.children, { skip: child => child.type === 'to_do' })
+    : [];
+  
+  return [
+    ...context,
+    {
+      type: 'paragraph',
+      paragraph: {
+        rich_text: [
+          { type: 'text', text: { content: '↩ From meeting: ' }, annotations: { color: 'gray' } },
+          { type: 'text', text: { content: meetingTitle, link: { url: blockCopy.blockUrl(meeting, todo.blockId) } } }
+        ]
+      }
+    }
+  ];
+}
+
+// Roll subtask completion up to parent tasks, and their to-dos
+async function rollUpParents(parentTaskIds, tasksDbId) {
+  for (const parentId of parentTaskIds) {
+    try {
+      const parent = await client.getPage(parentId);
+      const done = taskSync.rollupCompletion(await client.getSubtasks(tasksDbId, parentId));
+      
+      if (done === null || taskSync.isTaskDone(parent) === done) {
+        continue;
+      }
+      
+      await client.updatePage(parentId, { 'Status': taskSync.completionStatus(done) });
+      
+      const blockId = taskSync.getTaskBlockId(parent);
+      if (blockId) {
+        await client.updateBlock(blockId, { to_do: { checked: done } });
+        state.record('task_update', {
+          meetingId: parent.properties['From Meeting']?.relation?.[0]?.id,
+          blockId, taskId: parentId, text: taskSync.getTaskTitle(parent), checked: done, changes: ['rollup']
+        });
+      }
+      
+      log(`  ${done ? 'Completed' : 'Reopened'} parent task from its subtasks: ${taskSync.getTaskTitle(parent).substring(0, 50)}...`);
+      
+    } catch (error) {
+      log(`  Failed to roll up subtasks for ${parentId}: ${error.message}`, 'ERROR');
+      state.recordError('rollup', parentId, error);
+    }
+  }
+}
+
+// Push a task's completion to its source to-do (Tasks DB edits don't touch the meeting)
+async function syncTaskCompletion(task) {
+  const blockId = taskSync.getTaskBlockId(task);
+  const previous = state.getTaskForBlock(blockId);
+  
+  // Status unchanged since the last sync: any checkbox change on the meeting
+  // side is picked up when that meeting is reprocessed
+  if (previous && previous.checked === taskSync.isTaskDone(task)) {
+    return false;
+  }
+  
+  const title = taskSync.getTaskTitle(task);
+  
+  try {
+    const block = await client.getBlock(blockId);
+    if (block.archived || block.in_trash || block.type !== 'to_do') {
+      log(`  Source to-do for "${title.substring(0, 50)}" is gone, not syncing completion`, 'WARN');
+      return false;
+    }
+    
+    const todo = { checked: block.to_do.checked, lastEditedTime: block.last_edited_time };
+    const completion = taskSync.resolveCompletion(task, todo, previous?.checked);
+    const checked = completion ? completion.checked : todo.checked;
+    
+    if (completion?.target === 'block') {
+      await client.updateBlock(blockId, { to_do: { checked } });
+      log(`  ${checked ? 'Checked' : 'Unchecked'} to-do for task: ${title.substring(0, 50)}...`);
+    } else if (completion?.target === 'task') {
+      await client.updatePage(task.id, { 'Status': taskSync.completionStatus(checked) });
+      log(`  Set task to ${checked ? 'Done' : 'Backlog'} from its to-do: ${title.substring(0, 50)}...`);
+    }
+    
+    state.record('task_update', {
+      meetingId: previous?.meetingId || task.properties['From Meeting']?.relation?.[0]?.id,
+      blockId, taskId: task.id, text: previous?.text || title, checked,
+      changes: completion ? [completion.target === 'block' ? 'checked' : 'status'] : []
+    });
+    return Boolean(completion);
+    
+  } catch (error) {
+    log(`  Failed to sync completion for task ${task.id}: ${error.message}`, 'ERROR');
+    state.recordError('sync_completion', task.id, error);
+    return false;
+  }
+}
+
+// Sync completion for tasks edited in the Tasks DB since the last sweep
+async function syncCompletedTasks(tasksDbId) {
+  log('Syncing task completion to meeting to-dos...');
+  
+  // Notion keeps edit times to the minute, so start from the minute of the last sweep
+  const lastSweep = state.getLastSweep('completion_sync');
+  const since = lastSweep ? lastSweep.startedAt.slice(0, 16) + ':00.000Z' : null;
+  const startedAt = new Date().toISOString();
+  
+  try {
+    const tasks = await client.getLinkedTasks(tasksDbId, since);
+    
+    let synced = 0;
+    const parents = new Set();
+    for (const task of tasks) {
+      if (await syncTaskCompletion(task)) {
+        synced++;
+        if (taskSync.getTaskParentId(task)) {
+          parents.add(taskSync.getTaskParentId(task));
+        }
+      }
+    }
+    await rollUpParents(parents, tasksDbId);
+    
+    state.recordSweep('completion_sync', { startedAt, checked: tasks.length, synced });
+    log(`Completion sync complete: ${tasks.length} task(s) checked, ${synced} synced`);
+    
+  } catch (error) {
+    log(`Error syncing task completion: ${error.message}`, 'ERROR');
+    console.error(error.stack);
+    state.recordError('completion_sync', null, error);
+  }
+}
+
+// Create the next occurrence of a recurring task that was marked Done.
+// Returns true if a task was created.
+async function scheduleNextOccurrence(task, tasksDbId, config) {
+  const rule = taskSync.getTaskRecurrence(task);
+  if (!rule || !taskSync.isTaskDone(task) || state.getNextOccurrence(task.id)) {
+    return false;
+  }
+  
+  const title = taskSync.getTaskTitle(task);
+  const seriesId = taskSync.getTaskSeriesId(task) || task.id;
+  const dateOptions = { timezone: config.timezone || parsers.DEFAULT_TIMEZONE };
+  const today = parsers.zonedDate(new Date(), dateOptions.timezone).toISOString().slice(0, 10);
+  const after = task.properties.Due?.date?.start?.slice(0, 10) || today;
+  
+  try {
+    if (!recurrence.parseRule(rule)) {
+      log(`  Unreadable recurrence "${rule}" on task: ${title.substring(0, 50)}...`, 'WARN');
+      return false;
+    }
+    
+    const due = recurrence.nextOccurrence(rule, after, dateOptions);
+    if (!due) {
+      log(`  Recurring series ended: ${title.substring(0, 50)}...`);
+      state.record('occurrence', { seriesId, taskId: task.id, nextTaskId: null, due: null });
+      return false;
+    }
+    
+    // The first task of a series gets its ID recorded when the series continues
+    if (!taskSync.getTaskSeriesId(task)) {
+      await client.updatePage(task.id, { 'Series ID': { rich_text: [{ text: { content: seriesId } }] } });
+    }
+    
+    // Already created (e.g. by another instance before our journal knew)
+    const existing = (await client.getSeriesTasks(tasksDbId, seriesId))
+      .find(other => other.properties.Due?.date?.start?.slice(0, 10) === due);
+    const next = existing || await client.createPage(tasksDbId, taskSync.occurrenceProperties(task, seriesId, due));
+    
+    state.record('occurrence', { seriesId, taskId: task.id, nextTaskId: next.id, due });
+    if (!existing) {
+      log(`  Scheduled next occurrence (${due}): ${title.substring(0, 50)}...`);
+    }
+    return !existing;
+    
+  } catch (error) {
+    log(`  Failed to schedule next occurrence of task ${task.id}: ${error.message}`, 'ERROR');
+    state.recordError('schedule_occurrence', task.id, error);
+    return false;
+  }
+}
+
+// Create next occurrences for recurring tasks marked Done since the last sweep
+async function scheduleRecurringTasks(tasksDbId, config) {
+  log('Scheduling recurring tasks...');
+  
+  // Notion keeps edit times to the minute, so start from the minute of the last sweep
+  const lastSweep = state.getLastSweep('recurrence_sync');
+  const since = lastSweep ? lastSweep.startedAt.slice(0, 16) + ':00.000Z' : null;
+  const startedAt = new Date().toISOString();
+  
+  try {
+    const tasks = await client.getDoneRecurringTasks(tasksDbId, since);
+    
+    let scheduled = 0;
+    for (const task of tasks) {
+      if (await scheduleNextOccurrence(task, tasksDbId, config)) {
+        scheduled++;
+      }
+    }
+    
+    state.recordSweep('recurrence_sync', { startedAt, checked: tasks.length, scheduled });
+    log(`Recurring tasks complete: ${tasks.length} done task(s) checked, ${scheduled} scheduled`);
+    
+  } catch (error) {
+    log(`Error scheduling recurring tasks: ${error.message}`, 'ERROR');
+    console.error(error.stack);
+    state.recordError('recurrence_sync', null, error);
+  }
+}
+
+// Keyword inference first; when it isn't confident enough, the model chooses
+// from the registry instead. Its self-reported confidence isn't on the keyword
+// scale, so it is kept for the record but never compared with the keyword score,
+// and a meeting filed by the model always stays flagged Needs Review?.
+// Config: "inference": { "llmFallback": false } turns the second stage off,
+// "llmThreshold" (default: the Needs Review? threshold) sets when it runs.
+async function inferMeetingProject(meetingTitle, blocks, registry, config) {
+  const inferred = inference.inferProject(meetingTitle, blocks, registry, projectLearning.getModel());
+  const settings = config.inference || {};
+  
+  if (inferred.source !== 'keyword' || settings.llmFallback === false ||
+      !inference.needsReview(inferred.confidence, settings.llmThreshold)) {
+    return inferred;
+  }
+  
+  log(`  Keyword confidence ${inferred.confidence} is low, asking the model...`);
+  const suggested = await openai.classifyMeetingProject(inference.collectSources(meetingTitle, blocks), registry);
+  
+  if (!suggested) {
+    log('  Keeping the keyword result');
+    return inferred;
+  }
+  
+  return {
+    ...inferred,
+    project: suggested.project,
+    source: 'LLM',
+    confidence: suggested.confidence,
+    rationale: suggested.rationale,
+    explanation: `model chose ${suggested.project} (confidence ${suggested.confidence}): ${suggested.rationale} | keywords: ${inferred.explanation}`
+  };
+}
+
+// Record the Project a person gave a meeting we flagged Needs Review?, as an
+// example for project learning. Returns true if a correction was recorded.
+async function recordProjectCorrection(meeting) {
+  // The last run that guessed this meeting's project, if it asked for review
+  const run = state.getInferredRun(meeting.id);
+  if (!run?.needsReview) {
+    return false;
+  }
+  
+  const project = extractors.getProjectFromPage(meeting);
+  const previous = state.getCorrection(meeting.id);
+  const stillFlagged = meeting.properties['Needs Review?']?.checkbox === true;
+  
+  // A new project is a correction; clearing the flag on our guess confirms it
+  const corrected = project !== (previous?.project ?? run.project);
+  const confirmed = !previous && !stillFlagged && project === run.project;
+  if (!corrected && !confirmed) {
+    return false;
+  }
+  
+  const title = extractors.getMeetingTitle(meeting);
+  const tree = await client.getBlockTree(meeting.id, { lastEditedTime: meeting.last_edited_time });
+  const sources = inference.collectSources(title, blockTree.flatten(tree));
+  
+  state.record('correction', {
+    meetingId: meeting.id, title, inferred: run.project, project, confirmed: project === run.project, sources
+  });
+  log(`  Learned from "${title}": ${project === run.project ? `confirmed ${project}` : `${run.project} -> ${project}`}`);
+  return true;
+}
+
+// Collect project corrections from meetings edited since the last sweep
+async function syncProjectCorrections(meetingsDbId) {
+  log('Checking for project corrections...');
+  
+  // Notion keeps edit times to the minute, so start from the minute of the last sweep
+  const lastSweep = state.getLastSweep('correction_sync');
+  const since = lastSweep ? lastSweep.startedAt.slice(0, 16) + ':00.000Z' : null;
+  const startedAt = new Date().toISOString();
+  
+  try {
+    const meetings = await client.getMeetingsWithProject(meetingsDbId, since);
+    
+    let learned = 0;
+    for (const meeting of meetings) {
+      if (await recordProjectCorrection(meeting)) {
+        learned++;
+      }
+    }
+    
+    state.recordSweep('correction_sync', { startedAt, checked: meetings.length, learned });
+    log(`Project corrections complete: ${meetings.length} meeting(s) checked, ${learned} learned (${state.getCorrections().length} total)`);
+    
+  } catch (error) {
+    log(`Error checking project corrections: ${error.message}`, 'ERROR');
+    console.error(error.stack);
+    state.recordError('correction_sync', null, error);
+  }
+}
+
+// Flag tasks whose source to-do was deleted from the meeting
+async function flagOrphanedTasks(taskIndex, todos) {
+  for (const task of taskSync.findOrphanedTasks(taskIndex, todos)) {
+    try {
+      await client.updatePage(task.id, { 'Source Removed?': { checkbox: true } });
+      log(`  Flagged task whose to-do was removed: ${taskSync.getTaskTitle(task).substring(0, 50)}...`, 'WARN');
+    } catch (error) {
+      log(`  Failed to flag orphaned task: ${error.message}`, 'ERROR');
+      state.recordError('flag_orphan', task.id, error);
+    }
+  }
+}
+
 // Process a single meeting
 async function processMeeting(meeting, tasksDbId, config) {
   const meetingTitle = extractors.getMeetingTitle(meeting);
   log(`Processing meeting: "${meetingTitle}" (${meeting.id})`);
   
   try {
-    // Get all blocks from meeting page
-    const blocks = await client.getAllBlocksRecursive(meeting.id);
+    // Get all blocks from meeting page (cached for the rest of this run,
+    // so the project info checks below reuse the same crawl)
+    const tree = await client.getBlockTree(meeting.id, {
+      lastEditedTime: meeting.last_edited_time
+    });
+    const blocks = blockTree.flatten(tree);
     log(`  Found ${blocks.length} blocks`);
     
-    // Extract to-dos
-    const todos = extractors.extractTodos(blocks);
+    // Relative due dates resolve in the meeting's timezone
+    const dateOptions = { timezone: resolveTimezone(meeting, config) };
+    
+    // Extract to-dos, with what each one's text sets (inline tokens, people, dates)
+    const registry = await projectRegistry.getRegistry({ projectsDbId: config.databases.projects.id });
+    const todoContext = {
+      aliases: parsers.buildAliasIndex(config.people),
+      dateOptions,
+      priorityLexicon: priority.buildLexicon(config.priority),
+      projects: registry
+    };
+    const todos = extractors.extractTodos(blocks).map(todo => {
+      const fields = taskSync.parseTodoFields(todo, todoContext);
+      if (fields.unresolved.length > 0) {
+        log(`  Unresolved tokens left in "${todo.text.substring(0, 50)}": ${fields.unresolved.join(' ')}`, 'WARN');
+      }
+      return { ...todo, fields, assignees: fields.assignees };
+    });
     log(`  Found ${todos.length} to-do items`);
     
+    // Load this meeting's existing tasks once, so duplicate checks are free
+    const taskIndex = taskSync.buildTaskIndex(await client.getMeetingTasks(tasksDbId, meeting.id));
+    log(`  Loaded ${taskIndex.lineKeys.size} existing tasks`);
+    
+    await flagOrphanedTasks(taskIndex, todos);
+    
     if (todos.length === 0) {
       // No tasks to create, but still mark as processed
       await client.updatePage(meeting.id, {
@@ -40,64 +458,122 @@ async function processMeeting(meeting, tasksDbId, config) {
         'Last Processed': { date: { start: new Date().toISOString() } }
       });
       log(`  No to-dos found, marked as processed`);
-      return { created: 0, skipped: 0 };
+      state.record('meeting_run', {
+        meetingId: meeting.id, title: meetingTitle, status: 'ok', project: null, created: 0, skipped: 0
+      });
+      return { created: 0, updated: 0, skipped: 0 };
     }
     
     // Get or infer project
     let project = extractors.getProjectFromPage(meeting);
     let needsReview = false;
+    let inferred = null;
     
     if (!project) {
-      const inferred = inference.inferProject(meetingTitle, blocks);
+      inferred = await inferMeetingProject(meetingTitle, blocks, registry, config);
       project = inferred.project;
-      needsReview = inference.needsReview(inferred.confidence);
-      log(`  Inferred project: ${project} (confidence: ${inferred.confidence}, needs review: ${needsReview})`);
+      needsReview = inferred.source === 'LLM' || inference.needsReview(inferred.confidence);
+      log(`  Inferred project: ${project} (source: ${inferred.source}, confidence: ${inferred.confidence}, needs review: ${needsReview})`);
+      log(`    Evidence: ${inferred.explanation}`);
     } else {
       log(`  Project from page: ${project}`);
     }
     
+    // Each to-do's own project: an inline token, its own words, its parent
+    // to-do's project, its heading, and last the meeting's project
+    const nodes = new Map([...blockTree.walk(tree)].map(node => [node.id, node]));
+    const todoProjects = new Map();
+    for (const todo of todos) {
+      const heading = blockTree.enclosingHeading(nodes.get(todo.blockId));
+      todo.projectChoice = inference.resolveTodoProject(todo, {
+        heading: heading ? blockTree.blockText(heading.block) : null,
+        parent: todoProjects.get(todo.parentBlockId) || null,
+        meetingProject: project,
+        registry
+      });
+      todoProjects.set(todo.blockId, todo.projectChoice);
+    }
+    
+    // Every project this meeting's tasks are filed under
+    const touched = new Set();
+    
     // Create tasks
     let created = 0;
+    let updated = 0;
     let skipped = 0;
     
+    // Parent tasks whose subtasks changed, to roll completion up afterwards
+    const rollups = new Set();
+    
+    // To-dos come in document order, so a parent's task exists before its children's
     for (const todo of todos) {
       const lineKey = extractors.generateLineKey(meeting.id, todo.text);
+      todo.parentTaskId = taskIndex.byBlockId.get(todo.parentBlockId)?.id ?? null;
+      
+      // Existing task for this to-do: tracked by block ID, or by Line Key for
+      // tasks created before block IDs were stored
+      const existing = taskIndex.byBlockId.get(todo.blockId) || taskIndex.byLineKey.get(lineKey);
+      if (existing) {
+        const previousParentId = taskSync.getTaskParentId(existing);
+        const changes = await syncExistingTask(existing, todo, meeting.id, todoContext);
+        
+        // Existing tasks keep the project they were filed under unless a #proj: token moves them
+        const existingProject = todo.fields.project || existing.properties.Project?.select?.name;
+        if (existingProject) {
+          touched.add(existingProject);
+        }
+        
+        if (changes.length > 0) {
+          updated++;
+          if (changes.some(change => ['status', 'checked', 'parent'].includes(change))) {
+            [previousParentId, todo.parentTaskId].filter(Boolean).forEach(id => rollups.add(id));
+          }
+        } else {
+          skipped++;
+        }
+        continue;
+      }
       
-      // Check if task already exists
-      const exists = await client.taskExists(tasksDbId, lineKey);
-      if (exists) {
+      // Created in an earlier run but no longer linked to this meeting
+      if (state.getTaskForBlock(todo.blockId)) {
         log(`  Skipped (duplicate): ${todo.text.substring(0, 50)}...`);
         skipped++;
         continue;
       }
       
-      // Parse due date and priority
-      const dueDate = parsers.parseDueDate(todo.text);
-      const priority = parsers.parsePriority(todo.text);
+      // Tokens and the due date phrase are cut from the title
+      const { due, priority: level, estimate, recurrence: repeats, spans } = todo.fields;
+      const taskProject = todo.projectChoice.project;
       
       // Determine status based on checked state
       const status = todo.checked ? 'Done' : 'Backlog';
       
       // Create task
       try {
-        await client.createPage(tasksDbId, {
+        const task = await client.createPage(tasksDbId, {
           'Title': {
-            title: [{ text: { content: todo.text } }]
+            title: taskSync.buildTaskTitle(todo, spans)
           },
           'Status': {
             select: { name: status }
           },
           'Priority': {
-            select: { name: priority }
+            select: { name: level }
           },
-          ...(dueDate && {
-            'Due': {
-              date: { start: dueDate }
-            }
+          ...(due && {
+            'Due': taskSync.dueProperty(due)
           }),
           'Project': {
-            select: { name: project }
+            select: { name: taskProject }
           },
+          ...(estimate !== null && {
+            'Estimate': { number: estimate }
+          }),
+          ...(repeats && {
+            'Recurrence': {
+              rich_text: [{ text: { content: repeats.rule } }]
+            }
+          }),
           'From Meeting': {
             relation: [{ id: meeting.id }]
           },
@@ -106,18 +582,47 @@ async function processMeeting(meeting, tasksDbId, config) {
           },
           'Line Key': {
             rich_text: [{ text: { content: lineKey } }]
-          }
-        });
+          },
+          'Block ID': {
+            rich_text: [{ text: { content: todo.blockId } }]
+          },
+          ...(todo.assignees.length > 0 && {
+            'Assignee': {
+              people: todo.assignees.map(id => ({ id }))
+            }
+          }),
+          ...(todo.parentTaskId && {
+            'Parent Task': {
+              relation: [{ id: todo.parentTaskId }]
+            }
+          })
+        }, taskBody(tree, todo, meeting, meetingTitle));
         
-        log(`  Created task: ${todo.text.substring(0, 60)}... [${priority}${dueDate ? ', due ' + dueDate : ''}]`);
+        taskSync.addToIndex(taskIndex, task, lineKey, todo.blockId);
+        state.record('task', {
+          meetingId: meeting.id, blockId: todo.blockId, lineKey, taskId: task.id, ...todoSnapshot(todo),
+          priorityReason: todo.fields.priorityReason, project: taskProject, projectSource: todo.projectChoice.source
+        });
+        touched.add(taskProject);
+        if (todo.parentTaskId) {
+          rollups.add(todo.parentTaskId);
+        }
+        log(`  Created task: ${todo.text.substring(0, 60)}... [${level}${due ? ', due ' + due.start + (due.end ? ' → ' + due.end : '') : ''}${estimate !== null ? ', ' + estimate + 'h' : ''}${repeats ? ', ' + repeats.rule : ''}]`);
+        log(`    Priority ${todo.fields.priorityReason}`);
+        if (todo.projectChoice.source !== 'meeting') {
+          log(`    Project ${taskProject} from ${todo.projectChoice.source}: ${todo.projectChoice.reason}`);
+        }
         created++;
         
       } catch (error) {
         log(`  Failed to create task: ${error.message}`, 'ERROR');
+        state.recordError('create_task', todo.blockId, error);
         skipped++;
       }
     }
     
+    await rollUpParents(rollups, tasksDbId);
+    
     // NEW: Check for project information section
     log(`  Checking for project information...`);
     const hasInfo = await projectInfo.hasProjectInfo(meeting.id);
@@ -144,33 +649,65 @@ async function processMeeting(meeting, tasksDbId, config) {
     // Update meeting properties
     const updateProps = {
       'Processed': { checkbox: true },
-      'Last Processed': { date: { start: new Date().toISOString() } }
+      'Last Processed': { date: { start: new Date().toISOString() } },
+      'Projects': { multi_select: [...touched].sort().map(name => ({ name })) }
     };
     
-    if (!extractors.getProjectFromPage(meeting)) {
+    if (inferred) {
       updateProps['Project'] = { select: { name: project } };
       updateProps['Needs Review?'] = { checkbox: needsReview };
+      updateProps['Project Source'] = { select: { name: inferred.source } };
+      updateProps['Project Confidence'] = { number: inferred.confidence };
+      updateProps['Project Rationale'] = {
+        rich_text: [{ text: { content: (inferred.rationale || inferred.explanation).substring(0, 2000) } }]
+      };
     }
     
     await client.updatePage(meeting.id, updateProps);
-    log(`  Updated meeting: Processed=true, Project=${project}, Needs Review=${needsReview}`);
+    log(`  Updated meeting: Processed=true, Project=${project}, Projects=${[...touched].sort().join(', ') || '-'}, Needs Review=${needsReview}`);
     
-    return { created, skipped };
+    state.record('meeting_run', {
+      meetingId: meeting.id, title: meetingTitle, status: 'ok', project, projects: [...touched].sort(), needsReview, created, updated, skipped,
+      ...(inferred && { source: inferred.source, confidence: inferred.confidence, evidence: inferred.explanation })
+    });
+    return { created, updated, skipped };
     
   } catch (error) {
     log(`  Error processing meeting: ${error.message}`, 'ERROR');
     console.error(error.stack);
-    return { created: 0, skipped: 0 };
+    state.record('meeting_run', {
+      meetingId: meeting.id, title: meetingTitle, status: 'error', project: null, created: 0, skipped: 0, error: error.message
+    });
+    state.recordError('process_meeting', meeting.id, error);
+    return { created: 0, updated: 0, skipped: 0 };
   }
 }
 
+// Process one quick todo, consulting and updating the local history
+async function handleQuickTodo(task, title) {
+  // Already handled successfully and not edited since
+  const previous = state.getQuickTodo(task.id);
+  if (previous?.status === 'ok' && previous.lastEditedTime === task.last_edited_time) {
+    log(`Skipping quick todo "${title}" (${task.id}): unchanged since last run`);
+    return null;
+  }
+  
+  log(`Processing quick todo: "${title}" (${task.id})`);
+  
+  const result = await quickTodo.processQuickTodo(task);
+  state.record('quick_todo', {
+    pageId: task.id, lastEditedTime: task.last_edited_time, status: result ? 'ok' : 'skipped', ...result
+  });
+  return result;
+}
+
 // Process quick todos
 async function processQuickTodos(tasksDbId) {
   log('Checking for quick todos...');
   
   try {
     // Query for tasks with no status or Backlog status (new quick todos)
-    const response = await client.queryDatabase(tasksDbId, {
+    const candidates = await client.queryAll(tasksDbId, {
       or: [
         {
           property: 'Status',
@@ -188,7 +725,7 @@ async function processQuickTodos(tasksDbId) {
     });
     
     // Filter for quick todos that need processing
-    const quickTodos = response.results.filter(task => quickTodo.isQuickTodo(task));
+    const quickTodos = candidates.filter(task => quickTodo.isQuickTodo(task));
     
     log(`Found ${quickTodos.length} quick todos to process`);
     
@@ -202,9 +739,8 @@ async function processQuickTodos(tasksDbId) {
     
     for (const task of quickTodos) {
       const title = task.properties.Title?.title?.map(t => t.plain_text).join('') || '(untitled)';
-      log(`Processing quick todo: "${title}" (${task.id})`);
       
-      const result = await quickTodo.processQuickTodo(task);
+      const result = await handleQuickTodo(task, title);
       if (result) {
         processed++;
         if (result.taskCreated) tasksCreated++;
@@ -217,12 +753,15 @@ async function processQuickTodos(tasksDbId) {
   } catch (error) {
     log(`Error processing quick todos: ${error.message}`, 'ERROR');
     console.error(error.stack);
+    state.recordError('quick_todos', null, error);
   }
 }
 
 // Main polling function
 async function pollMeetings() {
   log('Starting poll...');
+  client.resetRateLimiterStats();
+  client.clearBlockCache();
   
   try {
     const config = await loadConfig();
@@ -230,7 +769,7 @@ async function pollMeetings() {
     const tasksDbId = config.databases.tasks.id;
     
     // Query for meetings that need processing
-    const response = await client.queryDatabase(meetingsDbId, {
+    const meetings = await client.queryAll(meetingsDbId, {
       or: [
         {
           property: 'Processed',
@@ -262,10 +801,10 @@ async function pollMeetings() {
       }
     ]);
     
-    log(`Found ${response.results.length} meetings to check`);
+    log(`Found ${meetings.length} meetings to check`);
     
     // Filter meetings that should be processed
-    const meetingsToProcess = response.results.filter(meeting => 
+    const meetingsToProcess = meetings.filter(meeting => 
       extractors.shouldProcessMeeting(meeting)
     );
     
@@ -273,15 +812,17 @@ async function pollMeetings() {
     
     // Process each meeting
     let totalCreated = 0;
+    let totalUpdated = 0;
     let totalSkipped = 0;
     
     if (meetingsToProcess.length > 0) {
       for (const meeting of meetingsToProcess) {
         const result = await processMeeting(meeting, tasksDbId, config);
         totalCreated += result.created;
+        totalUpdated += result.updated;
         totalSkipped += result.skipped;
       }
-      log(`Meeting poll complete: ${totalCreated} tasks created, ${totalSkipped} skipped`);
+      log(`Meeting poll complete: ${totalCreated} tasks created, ${totalUpdated} updated, ${totalSkipped} skipped`);
     } else {
       log('No meetings to process');
     }
@@ -289,10 +830,27 @@ async function pollMeetings() {
     // Process quick todos
     await processQuickTodos(tasksDbId);
     
+    // Push Tasks DB completion changes back to meeting to-dos
+    await syncCompletedTasks(tasksDbId);
+    
+    // Queue the next occurrence of recurring tasks that were finished
+    await scheduleRecurringTasks(tasksDbId, config);
+    
+    // Learn from projects people fixed on meetings flagged for review
+    await syncProjectCorrections(meetingsDbId);
+    
   } catch (error) {
     log(`Poll failed: ${error.message}`, 'ERROR');
     console.error(error.stack);
+    state.recordError('poll', null, error);
   }
+  
+  const limiterStats = client.getRateLimiterStats();
+  log(`Notion calls: ${limiterStats.calls}, queue wait avg ${limiterStats.avgWaitMs}ms, max ${limiterStats.maxWaitMs}ms, total ${limiterStats.totalWaitMs}ms`);
+  
+  const cacheStats = client.getBlockCacheStats();
+  log(`Block cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses`);
+  client.clearBlockCache();
 }
 
 // Run once or start polling loop
@@ -300,6 +858,72 @@ export async function runOnce() {
   await pollMeetings();
 }
 
+// Handle one page from a webhook event: route it to the meeting or quick todo processor
+async function processPageEvent(pageId, config) {
+  const meetingsDbId = config.databases.meetings.id;
+  const tasksDbId = config.databases.tasks.id;
+  
+  client.clearBlockCache();
+  const page = await client.getPage(pageId);
+  
+  if (page.archived) {
+    log(`Page ${pageId} is archived, skipping`);
+    return;
+  }
+  
+  const parentId = normalizeId(page.parent?.database_id);
+  
+  if (parentId === normalizeId(meetingsDbId)) {
+    // Someone setting the project of a meeting flagged for review
+    if (page.properties.Processed?.checkbox && extractors.getProjectFromPage(page)) {
+      await recordProjectCorrection(page);
+    }
+    
+    // Our own property writes also fire events; this skips those
+    if (!extractors.shouldProcessMeeting(page)) {
+      log(`Meeting ${pageId} is already up to date, skipping`);
+      return;
+    }
+    await processMeeting(page, tasksDbId, config);
+    
+  } else if (parentId === normalizeId(tasksDbId)) {
+    await scheduleNextOccurrence(page, tasksDbId, config);
+    if (taskSync.getTaskBlockId(page)) {
+      if (await syncTaskCompletion(page) && taskSync.getTaskParentId(page)) {
+        await rollUpParents([taskSync.getTaskParentId(page)], tasksDbId);
+      }
+      return;
+    }
+    if (!quickTodo.isQuickTodo(page)) {
+      log(`Task ${pageId} is not a quick todo, skipping`);
+      return;
+    }
+    const title = page.properties.Title?.title?.map(t => t.plain_text).join('') || '(untitled)';
+    await handleQuickTodo(page, title);
+    
+  } else {
+    log(`Page ${pageId} is not in the Meetings or Tasks database, skipping`);
+  }
+}
+
+// Receive Notion webhooks instead of polling
+export async function startServer(port = 3000) {
+  const config = await loadConfig();
+  
+  if (!process.env.NOTION_WEBHOOK_SECRET) {
+    log('NOTION_WEBHOOK_SECRET is not set; signed events will be rejected until it is', 'WARN');
+  }
+  
+  return startWebhookServer({
+    port,
+    secret: process.env.NOTION_WEBHOOK_SECRET,
+    debounceMs: parseInt(process.env.WEBHOOK_DEBOUNCE_MS) || 10000,
+    databaseIds: [config.databases.meetings.id, config.databases.tasks.id],
+    onPage: pageId => processPageEvent(pageId, config),
+    tokenFile: process.env.WEBHOOK_TOKEN_FILE || './state/notion_webhook_token'
+  });
+}
+
 export async function startPolling(intervalMs = 60000) { // 1 minute default
   log(`Starting automation service (polling every ${intervalMs / 1000}s)`);
   
@@ -320,6 +944,9 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   if (mode === 'loop') {
     const interval = parseInt(args[1]) || 300000;
     startPolling(interval);
+  } else if (mode === 'serve') {
+    const port = parseInt(args[1]) || parseInt(process.env.PORT) || 3000;
+    startServer(port);
   } else {
     runOnce().then(() => {
       log('Single run complete');
@@ -0,0 +1,192 @@
+// Turn blocks and rich text read from the API back into the shape the API
+// accepts for writes, so meeting content can be copied onto task pages.
+
+// Block types that can be re-created through the API as-is
+const COPYABLE_TYPES = [
+  'paragraph', 'heading_1', 'heading_2', 'heading_3', 'bulleted_list_item',
+  'numbered_list_item', 'quote', 'callout', 'toggle', 'code', 'divider',
+  'bookmark', 'embed', 'equation', 'table_of_contents'
+];
+
+// Child blocks allowed under a block in a single create/append request
+// (Notion accepts two levels of nesting per request)
+const MAX_NESTING = 2;
+
+/**
+ * Convert response rich text to request rich text, keeping annotations and links
+ * @param {Array} items - rich_text array from a block or property
+ * @returns {Array} - rich_text array for a create/update request
+ */
+export function toRequestRichText(items = []) {
+  return items.map(item => {
+    const annotations = item.annotations;
+
+    if (item.type === 'equation') {
+      return { type: 'equation', equation: { expression: item.equation.expression }, annotations };
+    }
+
+    if (item.type === 'mention') {
+      const mention = toRequestMention(item.mention);
+      if (mention) {
+        return { type: 'mention', mention, annotations };
+      }
+      // Mentions the API won't create (link previews etc.) become linked text
+      return {
+        type: 'text',
+        text: { content: item.plain_text, link: item.href ? { url: item.href } : null },
+        annotations
+      };
+    }
+
+    return {
+      type: 'text',
+      text: { content: item.text.content, link: item.text.link?.url ? { url: item.text.link.url } : null },
+      annotations
+    };
+  });
+}
+
+function toRequestMention(mention) {
+  switch (mention.type) {
+    case 'user':
+      return { user: { id: mention.user.id } };
+    case 'page':
+      return { page: { id: mention.page.id } };
+    case 'database':
+      return { database: { id: mention.database.id } };
+    case 'date':
+      return { date: mention.date };
+    default:
+      return null;
+  }
+}
+
+// One block's type payload in request shape (children handled by the caller)
+function toRequestPayload(block) {
+  const { rich_text, caption, children, ...rest } = block[block.type] || {};
+
+  return {
+    ...rest,
+    ...(rich_text && { rich_text: toRequestRichText(rich_text) }),
+    ...(caption && { caption: toRequestRichText(caption) })
+  };
+}
+
+/**
+ * Convert block tree nodes to request blocks for pages.create / blocks.children.append.
+ * Blocks the API can't re-create are replaced by a note; blocks nested deeper than
+ * one request allows are lifted up to the deepest allowed level.
+ * @param {Array<Object>} nodes - Block tree nodes (see block_tree.js)
+ * @param {Object} options - { skip: (node) => boolean } to leave blocks (and their children) out
+ * @returns {Array<Object>} - Request blocks
+ */
+export function toRequestBlocks(nodes, options = {}, depth = 0) {
+  const result = [];
+
+  for (const node of nodes) {
+    if (options.skip?.(node)) {
+      continue;
+    }
+
+    if (!COPYABLE_TYPES.includes(node.type)) {
+      result.push({
+        type: 'paragraph',
+        paragraph: {
+          rich_text: [{
+            type: 'text',
+            text: { content: `[${node.type.replace(/_/g, ' ')} not copied]` },
+            annotations: { italic: true, color: 'gray' }
+          }]
+        }
+      });
+      continue;
+    }
+
+    const block = { type: node.type, [node.type]: toRequestPayload(node.block) };
+    const children = toRequestBlocks(node.children, options, depth < MAX_NESTING ? depth + 1 : depth);
+
+    if (children.length === 0) {
+      result.push(block);
+    } else if (depth < MAX_NESTING) {
+      block[node.type].children = children;
+      result.push(block);
+    } else {
+      result.push(block, ...children);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * URL that opens a page scrolled to one of its blocks
+ * @param {Object} page - Page object (uses its url)
+ * @param {string} blockId - Block on that page
+ * @returns {string} - Block URL
+ */
+export function blockUrl(page, blockId) {
+  return `${page.url}#${blockId.replace(/-/g, '')}`;
+}
+
+/**
+ * Remove character ranges from response rich text, keeping the formatting of
+ * what remains. Mentions and equations touched by a range are dropped whole.
+ * @param {Array} items - rich_text array (response shape)
+ * @param {Array<Object>} ranges - { index, length } offsets into the joined plain text
+ * @returns {Array} - rich_text array (response shape), whitespace tidied at the seams
+ */
+export function removeSpans(items, ranges) {
+  const removed = index => ranges.some(r => index >= r.index && index < r.index + r.length);
+  const result = [];
+  let offset = 0;
+
+  for (const item of items) {
+    const start = offset;
+    offset += item.plain_text.length;
+
+    // UTF-16 units, to line up with regex match indices
+    const chars = item.plain_text.split('').map((char, i) => removed(start + i) ? '' : char);
+    if (chars.every(char => char !== '')) {
+      result.push(item);
+    } else if (item.type === 'text') {
+      const content = chars.join('');
+      result.push({ ...item, text: { ...item.text, content }, plain_text: content });
+    }
+  }
+
+  return tidyWhitespace(result);
+}
+
+// Collapse doubled spaces left where text was cut and trim dangling separators
+function tidyWhitespace(items) {
+  const result = [];
+  let previousEndsWithSpace = true; // Trims leading space on the first item
+
+  for (const item of items) {
+    if (item.type !== 'text') {
+      result.push(item);
+      previousEndsWithSpace = false;
+      continue;
+    }
+
+    let content = item.text.content.replace(/\s{2,}/g, ' ');
+    if (previousEndsWithSpace) {
+      content = content.replace(/^\s+/, '');
+    }
+    if (content) {
+      result.push({ ...item, text: { ...item.text, content }, plain_text: content });
+      previousEndsWithSpace = /\s$/.test(content);
+    }
+  }
+
+  const last = result[result.length - 1];
+  if (last?.type === 'text') {
+    const content = last.text.content.replace(/[\s,;:–—-]+$/, '');
+    result[result.length - 1] = { ...last, text: { ...last.text, content }, plain_text: content };
+    if (!content) {
+      result.pop();
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,160 @@
+// Hierarchical view of a page's blocks.
+// Each node keeps its parent link, depth and sibling order, so section queries
+// ("everything under heading X") stay inside the heading's own parent instead
+// of running across toggles and columns the way a flattened list does.
+
+/**
+ * Create the root node for a page (or any block used as a container)
+ * @param {string} id - Page or block ID
+ * @returns {Object} - Root node (depth -1, no block)
+ */
+export function createRoot(id) {
+  return { id, type: 'root', block: null, parent: null, depth: -1, index: 0, children: [] };
+}
+
+/**
+ * Attach child blocks to a node, in sibling order
+ * @param {Object} node - Parent node
+ * @param {Array} blocks - Direct children of node, as returned by the API
+ * @returns {Array<Object>} - The new child nodes
+ */
+export function attachChildren(node, blocks) {
+  node.children = blocks.map((block, index) => ({
+    id: block.id,
+    type: block.type,
+    block,
+    parent: node,
+    depth: node.depth + 1,
+    index,
+    children: []
+  }));
+  return node.children;
+}
+
+/**
+ * Walk descendants of a node in document order (pre-order)
+ * @param {Object} node - Starting node (not yielded itself)
+ * @yields {Object} - Descendant nodes
+ */
+export function* walk(node) {
+  for (const child of node.children) {
+    yield child;
+    yield* walk(child);
+  }
+}
+
+/**
+ * Flatten a tree to blocks in document order (what getAllBlocksRecursive returns)
+ * @param {Object} node - Root or any node
+ * @returns {Array} - Blocks
+ */
+export function flatten(node) {
+  return [...walk(node)].map(n => n.block);
+}
+
+// Find a node by block ID
+export function findNode(root, id) {
+  for (const node of walk(root)) {
+    if (node.id === id) {
+      return node;
+    }
+  }
+  return null;
+}
+
+// Plain text of a block's rich_text (empty for blocks without one)
+export function blockText(block) {
+  return (block?.[block.type]?.rich_text || [])
+    .map(t => t.plain_text)
+    .join('')
+    .trim();
+}
+
+// 1-3 for heading_1..heading_3, null otherwise
+export function headingLevel(node) {
+  const match = node.type?.match(/^heading_(\d)$/);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Heading whose section a node sits in: a toggle heading it is nested under, or the
+ * nearest heading before it among its own or an ancestor's siblings
+ * @param {Object} node - Any node
+ * @returns {Object|null} - Heading node
+ */
+export function enclosingHeading(node) {
+  for (let current = node; current?.parent; current = current.parent) {
+    const siblings = current.parent.children;
+    for (let i = current.index - 1; i >= 0; i--) {
+      if (headingLevel(siblings[i])) {
+        return siblings[i];
+      }
+    }
+    if (headingLevel(current.parent)) {
+      return current.parent;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the first heading (anywhere in the tree) whose text matches
+ * @param {Object} root - Tree root
+ * @param {Function|string} matcher - (text, node) => boolean, or a substring
+ * @returns {Object|null} - Heading node
+ */
+export function findHeading(root, matcher) {
+  const test = typeof matcher === 'function' ? matcher : text => text.includes(matcher);
+
+  for (const node of walk(root)) {
+    if (headingLevel(node) && test(blockText(node.block), node)) {
+      return node;
+    }
+  }
+  return null;
+}
+
+/**
+ * Nodes belonging to a heading's section: its own children (toggle headings),
+ * then following siblings until the next sibling heading of the same or higher level
+ * @param {Object} heading - Heading node
+ * @returns {Array<Object>} - Section nodes (top level of the section only)
+ */
+export function getSection(heading) {
+  const level = headingLevel(heading);
+  const nodes = [...heading.children];
+  const siblings = heading.parent ? heading.parent.children : [];
+
+  for (let i = heading.index + 1; i < siblings.length; i++) {
+    const siblingLevel = headingLevel(siblings[i]);
+    if (siblingLevel && siblingLevel <= level) {
+      break;
+    }
+    nodes.push(siblings[i]);
+  }
+
+  return nodes;
+}
+
+/**
+ * Find a section by heading text
+ * @param {Object} root - Tree root
+ * @param {Function|string} matcher - See findHeading()
+ * @returns {Object|null} - { heading, nodes } or null if no heading matches
+ */
+export function findSection(root, matcher) {
+  const heading = findHeading(root, matcher);
+  if (!heading) {
+    return null;
+  }
+  return { heading, nodes: getSection(heading) };
+}
+
+/**
+ * Every block in a section, descendants included, in document order
+ * @param {Object} section - From findSection()
+ * @returns {Array} - Blocks (heading excluded)
+ */
+export function sectionBlocks(section) {
+  return section.nodes.flatMap(node => [node.block, ...flatten(node)]);
+}
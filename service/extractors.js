@@ -1,8 +1,23 @@
 import crypto from 'crypto';
 
-// Extract to-do blocks from a page
+// Extract to-do blocks from a page.
+// A to-do nested (at any depth) under another to-do records that to-do's
+// block ID as parentBlockId, so it can become a subtask.
 export function extractTodos(blocks) {
   const todos = [];
+  const byId = new Map(blocks.map(block => [block.id, block]));
+  
+  // Nearest enclosing to-do, if any
+  function findParentTodo(block) {
+    let parent = byId.get(block.parent?.block_id);
+    while (parent) {
+      if (parent.type === 'to_do') {
+        return parent.id;
+      }
+      parent = byId.get(parent.parent?.block_id);
+    }
+    return null;
+  }
   
   for (const block of blocks) {
     if (block.type === 'to_do' && block.to_do) {
@@ -11,11 +26,20 @@ export function extractTodos(blocks) {
         .join('')
         .trim();
       
+      // @mentions of workspace users, kept as user IDs
+      const mentions = block.to_do.rich_text
+        .filter(t => t.type === 'mention' && t.mention?.type === 'user')
+        .map(t => t.mention.user.id);
+      
       if (text) {
         todos.push({
           text,
+          richText: block.to_do.rich_text,
           checked: block.to_do.checked || false,
-          blockId: block.id
+          blockId: block.id,
+          parentBlockId: findParentTodo(block),
+          lastEditedTime: block.last_edited_time,
+          mentions: [...new Set(mentions)]
         });
       }
     }
@@ -58,6 +82,13 @@ export function getProjectFromPage(page) {
   return null;
 }
 
+// Timezone override set on a meeting (IANA name), if any
+export function getMeetingTimezone(page) {
+  const prop = page.properties.Timezone;
+  const value = prop?.select?.name || (prop?.rich_text || []).map(t => t.plain_text).join('');
+  return value?.trim() || null;
+}
+
 // Check if meeting should be processed
 export function shouldProcessMeeting(page) {
   const processed = page.properties.Processed?.checkbox || false;
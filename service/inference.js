@@ -1,74 +1,335 @@
-// Project inference based on keywords
-const PROJECT_KEYWORDS = {
-  'ClickUp': ['clickup', 'click up', 'click-up', 'cu', 'cuarc'],
-  'Docebo': ['docebo', 'lms', 'learning management', 'cogent uni', 'uni'],
-  'HubSpot': ['hubspot', 'crm', 'hs', 'hub spot'],
-  'AI Sales': ['ai sales', 'retell', 'retellai', 'retell ai', 'sai', 'sales ai'],
-  'Insider Knowledge': ['insider', 'insider knowledge', 'ik', 'merlin'],
-  'PD OTN': ['pd', 'otn', 'pd otn', 'professional development'],
-  'Podcast': ['podcast', 'episode', 'recording', 'riverside'],
-  'Quarterly Economic Review': ['qer', 'economic review', 'quarterly', 'eco repo'],
-  'Support/Other': []  // Fallback, no keywords
-};
+import * as projectClassifier from './project_classifier.js';
+import * as projectRegistry from './project_registry.js';
+
+// Project inference by scoring every active project against the meeting.
+// The title, headings and to-dos are split into word tokens, so short aliases
+// like "cu" or "pd" only match as whole words ("cu" never fires in "discuss").
+// Each project name, alias and context clue found adds its weight times the
+// weight of where it was found; a term counts once per title, heading or to-do.
+// Confidence comes from how far the top project is ahead of the runner-up and
+// how much evidence it has, and the evidence is returned so a Needs Review?
+// decision can be explained. Once enough corrections have been collected, a
+// classifier trained on them (project_classifier.js) adds its vote as well.
+
+// Default term weights; an alias or clue can carry its own ("cu:0.5")
+const NAME_WEIGHT = 3;
+const ALIAS_WEIGHT = 2;
+const SHORT_ALIAS_WEIGHT = 1;   // aliases of 3 letters or fewer ("cu", "hs", "pd")
+const CLUE_WEIGHT = 0.5;
+
+// Where a term was found
+const ZONE_WEIGHTS = { title: 3, heading: 2, todo: 1 };
+
+// Score at which the evidence counts as half-convincing on its own
+// (a project name in the title alone gives 9 / (9 + 3) = 0.75)
+const EVIDENCE_HALF = 3;
+
+// Points the learned model gives a project it is certain of (a name in a heading)
+const LEARNED_WEIGHT = 6;
+
+// Learned probabilities below this are too weak to list as evidence
+const LEARNED_MIN_PROBABILITY = 0.1;
+
+const HEADING_TYPES = ['heading_1', 'heading_2', 'heading_3'];
+
+function tokenize(text) {
+  return (text || '').toLowerCase().replace(/[’‘]/g, "'").match(/[a-z0-9]+/g) || [];
+}
+
+// Scored terms of every active project (the fallback has nothing to match)
+function buildTerms(registry) {
+  const terms = [];
+
+  for (const project of projectRegistry.activeProjects(registry)) {
+    if (project.name === projectRegistry.FALLBACK_PROJECT) continue;
+
+    const candidates = [
+      { term: project.name.toLowerCase(), kind: 'name', weight: NAME_WEIGHT },
+      ...project.aliases.map(alias => ({
+        term: alias,
+        kind: 'alias',
+        weight: tokenize(alias).join('').length <= 3 ? SHORT_ALIAS_WEIGHT : ALIAS_WEIGHT
+      })),
+      ...project.clues.map(clue => ({ term: clue, kind: 'clue', weight: CLUE_WEIGHT }))
+    ];
+
+    const seen = new Set();
+    for (const candidate of candidates) {
+      const words = tokenize(candidate.term);
+      const key = words.join(' ');
+      if (words.length === 0 || seen.has(key)) continue;
+      seen.add(key);
+
+      terms.push({
+        project: project.name,
+        term: key,
+        words,
+        kind: candidate.kind,
+        weight: project.weights?.[candidate.term] ?? candidate.weight
+      });
+    }
+  }
+
+  // Longer phrases first, so "insider knowledge" claims its words before "insider"
+  return terms.sort((a, b) => b.words.length - a.words.length);
+}
+
+// Positions where a term's words appear in sequence
+function findTerm(tokens, words) {
+  const positions = [];
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    if (words.every((word, j) => tokens[i + j] === word)) {
+      positions.push(i);
+    }
+  }
+  return positions;
+}
+
+function blockText(block) {
+  return (block[block.type]?.rich_text || []).map(t => t.plain_text).join('');
+}
+
+/**
+ * Texts a meeting's project is inferred from
+ * @param {string} meetingTitle - Meeting title
+ * @param {Array} blocks - Flattened meeting blocks
+ * @returns {Array<Object>} - [{ zone: 'title'|'heading'|'todo', text }]
+ */
+export function collectSources(meetingTitle, blocks = []) {
+  const sources = [{ zone: 'title', text: meetingTitle || '' }];
+
+  for (const block of blocks) {
+    if (HEADING_TYPES.includes(block.type)) {
+      sources.push({ zone: 'heading', text: blockText(block) });
+    } else if (block.type === 'to_do') {
+      sources.push({ zone: 'todo', text: blockText(block) });
+    }
+  }
+
+  return sources.filter(source => source.text.trim());
+}
+
+/**
+ * Score every active project against some texts
+ * @param {Array<Object>} sources - [{ zone, text }], from collectSources() or a single
+ *   { zone: 'todo', text } for free text
+ * @param {Object} registry - From projectRegistry.getRegistry() (default: last loaded)
+ * @param {Object} model - Trained project_classifier model, or null to use keywords only
+ * @returns {Object} - { project (top scorer or null), confidence (0..1), scores: { [project]: score },
+ *   evidence: [{ project, term, kind, zone, points, text }], explanation }
+ */
+export function scoreProjects(sources, registry = projectRegistry.getCachedRegistry(), model = null) {
+  const terms = buildTerms(registry);
+  const scores = {};
+  const evidence = [];
+
+  for (const { zone, text } of sources) {
+    const tokens = tokenize(text);
+    const claimed = new Set();
+    const counted = new Set();
+
+    for (const { project, term, words, kind, weight } of terms) {
+      for (const position of findTerm(tokens, words)) {
+        const span = words.map((_, j) => position + j);
+        if (span.some(i => claimed.has(i))) continue;
+        span.forEach(i => claimed.add(i));
+
+        // Repeating a term in one title, heading or to-do adds nothing
+        if (counted.has(`${project}:${term}`)) continue;
+        counted.add(`${project}:${term}`);
+
+        const points = weight * (ZONE_WEIGHTS[zone] ?? 1);
+        scores[project] = round((scores[project] || 0) + points);
+        evidence.push({ project, term, kind, zone, points, text: text.substring(0, 60) });
+      }
+    }
+  }
+
+  // What past corrections of similar meetings say, among projects that can be inferred
+  const candidates = projectRegistry.activeProjects(registry)
+    .map(p => p.name)
+    .filter(name => name !== projectRegistry.FALLBACK_PROJECT);
+  const learned = model ? projectClassifier.predict(model, sources, candidates) : null;
+
+  for (const [project, probability] of Object.entries(learned?.probabilities || {})) {
+    if (probability < LEARNED_MIN_PROBABILITY) continue;
+    const points = round(LEARNED_WEIGHT * probability);
+    scores[project] = round((scores[project] || 0) + points);
+    evidence.push({ project, term: `p=${probability}`, kind: 'learned', zone: 'corrections', points, text: '' });
+  }
+
+  const ranked = Object.entries(scores).sort(([, a], [, b]) => b - a);
+  const [top, runnerUp] = ranked;
+  const confidence = top ? calibrate(top[1], runnerUp?.[1] || 0) : 0;
+  const project = top?.[0] ?? null;
+
+  return {
+    project,
+    confidence,
+    scores,
+    evidence,
+    explanation: explain(ranked, confidence, evidence)
+  };
+}
+
+function round(points) {
+  return Math.round(points * 100) / 100;
+}
+
+// Share of the top score the runner-up doesn't have, scaled down while evidence is thin
+function calibrate(top, runnerUp) {
+  const margin = (top - runnerUp) / top;
+  const strength = top / (top + EVIDENCE_HALF);
+  return Math.round(margin * strength * 100) / 100;
+}
+
+// "ClickUp 15.5 vs HubSpot 2 (confidence 0.72): title "clickup" +9, todo "cuarc" +2"
+function explain(ranked, confidence, evidence) {
+  if (ranked.length === 0) {
+    return 'no project terms found';
+  }
+
+  const [[top, topScore], runnerUp] = ranked;
+  const versus = runnerUp ? `${runnerUp[0]} ${runnerUp[1]}` : 'nothing else';
+  const reasons = evidence
+    .filter(e => e.project === top)
+    .map(e => `${e.zone} "${e.term}" +${e.points}`);
+  return `${top} ${topScore} vs ${versus} (confidence ${confidence}): ${reasons.join(', ')}`;
+}
+
+/**
+ * Resolve a typed project name (e.g. from #proj:) to a known project
+ * @param {string} name - Name or alias as written ("clickup", "AI Sales", "cu")
+ * @param {Object} registry - From projectRegistry.getRegistry() (default: last loaded)
+ * @returns {string|null} - Canonical project name, or null if unknown
+ */
+export function resolveProjectName(name, registry = projectRegistry.getCachedRegistry()) {
+  return projectRegistry.findProject(registry, name)?.name ?? null;
+}
+
+/**
+ * Best-scoring active project mentioned in free text, by whole words
+ * @param {string} text - Quick todo content, project info bullets, ...
+ * @param {Object} registry - From projectRegistry.getRegistry() (default: last loaded)
+ * @returns {string|null} - Project name, or null if none is mentioned or two tie
+ */
+export function findMentionedProject(text, registry = projectRegistry.getCachedRegistry()) {
+  const scored = scoreProjects([{ zone: 'todo', text }], registry);
+  return scored.confidence > 0 ? scored.project : null;
+}
+
+// #proj:ClickUp or #proj:"AI Sales"
+export const HASHTAG_PROJECT_PATTERN = /#proj(?:ect)?:(?:["“]([^"”]+)["”]|([\w/&.-]+))/i;
 
 // Check for hashtag project override in blocks (e.g., #proj:ClickUp)
-export function extractHashtagProject(blocks) {
+export function extractHashtagProject(blocks, registry = projectRegistry.getCachedRegistry()) {
   for (const block of blocks) {
     if (block.type === 'paragraph' && block.paragraph?.rich_text) {
       const text = block.paragraph.rich_text.map(t => t.plain_text).join('');
-      const match = text.match(/#proj:(\w+)/i);
-      
+      const match = text.match(HASHTAG_PROJECT_PATTERN);
+
       if (match) {
-        const projectName = match[1].toLowerCase();
-        
-        // Try to match to known projects
-        for (const [project, keywords] of Object.entries(PROJECT_KEYWORDS)) {
-          if (project.toLowerCase().includes(projectName) || 
-              keywords.some(kw => kw.includes(projectName))) {
-            return { project, confidence: 1.0 };
-          }
+        const project = resolveProjectName(match[1] || match[2], registry);
+        if (project) {
+          return {
+            project,
+            source: 'hashtag',
+            confidence: 1.0,
+            scores: {},
+            evidence: [{ project, term: match[0], kind: 'hashtag', zone: 'paragraph', points: 0, text: text.substring(0, 60) }],
+            explanation: `${project} from ${match[0]}`
+          };
         }
       }
     }
   }
-  
+
   return null;
 }
 
-// Infer project from meeting title
-export function inferProject(meetingTitle, blocks = [], threshold = 0.6) {
+/**
+ * Infer a meeting's project from its title, headings and to-dos
+ * @param {string} meetingTitle - Meeting title
+ * @param {Array} blocks - Flattened meeting blocks
+ * @param {Object} registry - From projectRegistry.getRegistry() (default: last loaded)
+ * @param {Object} model - Trained project_classifier model, or null to use keywords only
+ * @returns {Object} - { project, source: 'hashtag'|'keyword', confidence, scores, evidence,
+ *   explanation }; the fallback project with confidence 0 when nothing matches
+ */
+export function inferProject(meetingTitle, blocks = [], registry = projectRegistry.getCachedRegistry(), model = null) {
   // First check for hashtag override
-  const hashtagProject = extractHashtagProject(blocks);
+  const hashtagProject = extractHashtagProject(blocks, registry);
   if (hashtagProject) {
     return hashtagProject;
   }
-  
-  const titleLower = meetingTitle.toLowerCase();
-  
-  // Check title against keywords
-  for (const [project, keywords] of Object.entries(PROJECT_KEYWORDS)) {
-    if (project === 'Support/Other') continue;
-    
-    for (const keyword of keywords) {
-      if (titleLower.includes(keyword)) {
-        return {
-          project,
-          confidence: 0.8
-        };
-      }
-    }
+
+  return inferFromSources(collectSources(meetingTitle, blocks), registry, model);
+}
+
+/**
+ * inferProject() for texts already collected (e.g. stored with a correction)
+ * @param {Array<Object>} sources - [{ zone, text }] from collectSources()
+ * @param {Object} registry - From projectRegistry.getRegistry() (default: last loaded)
+ * @param {Object} model - Trained project_classifier model, or null to use keywords only
+ * @returns {Object} - { project, source: 'keyword', confidence, scores, evidence, explanation }
+ */
+export function inferFromSources(sources, registry = projectRegistry.getCachedRegistry(), model = null) {
+  const scored = { ...scoreProjects(sources, registry, model), source: 'keyword' };
+  if (scored.project) {
+    return scored;
   }
-  
+
   // No match found
-  return {
-    project: 'Support/Other',
-    confidence: 0.0
-  };
+  return { ...scored, project: projectRegistry.FALLBACK_PROJECT, confidence: 0.0 };
+}
+
+// Points a to-do or heading needs before it names a project on its own
+// (a short alias does; a context clue alone doesn't)
+const TODO_MIN_SCORE = 1;
+
+// Project a to-do or heading text clearly names, or null
+function projectNamedBy(text, registry) {
+  const scored = scoreProjects([{ zone: 'todo', text }], registry);
+  if (scored.project && scored.confidence > 0 && scored.scores[scored.project] >= TODO_MIN_SCORE) {
+    return scored;
+  }
+  return null;
+}
+
+/**
+ * Project for one to-do of a meeting, which may cover several projects
+ * @param {Object} todo - { text, fields } (fields.project from an inline #proj: token)
+ * @param {Object} context - { heading: text of the enclosing heading or null,
+ *   parent: resolveTodoProject() result of the enclosing to-do or null,
+ *   meetingProject, registry }
+ * @returns {Object} - { project, source: 'token'|'todo'|'parent'|'heading'|'meeting', reason }
+ */
+export function resolveTodoProject(todo, context) {
+  const { heading, parent, meetingProject, registry = projectRegistry.getCachedRegistry() } = context;
+
+  if (todo.fields?.project) {
+    return { project: todo.fields.project, source: 'token', reason: 'inline #proj: token' };
+  }
+
+  const named = projectNamedBy(todo.text, registry);
+  if (named) {
+    return { project: named.project, source: 'todo', reason: named.explanation };
+  }
+
+  // A subtask belongs wherever its parent to-do was sent on its own evidence
+  if (parent && parent.source !== 'meeting') {
+    return { project: parent.project, source: 'parent', reason: `parent to-do (${parent.source})` };
+  }
+
+  const underHeading = heading ? projectNamedBy(heading, registry) : null;
+  if (underHeading) {
+    return { project: underHeading.project, source: 'heading', reason: `under "${heading}": ${underHeading.explanation}` };
+  }
+
+  return { project: meetingProject, source: 'meeting', reason: 'meeting project' };
 }
 
 // Determine if project needs review based on confidence
 export function needsReview(confidence, threshold = 0.6) {
   return confidence < threshold;
 }
-
-
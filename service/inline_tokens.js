@@ -0,0 +1,129 @@
+import * as inference from './inference.js';
+import * as parsers from './parsers.js';
+
+// Inline commands typed into a to-do or quick todo line:
+//   !high !medium !low        priority (also !h !m !l, !urgent = high)
+//   #proj:ClickUp             project, quoted when it has spaces: #proj:"AI Sales"
+//   @due(2026-11-02)          due date, anything parseDate() understands: @due(next friday)
+//   ~2h ~30m ~1.5d            estimate, stored in hours (a day is 8h)
+//   +chuck                    owner, resolved through the alias table: +"Karen Smith"
+//
+// Tokens are explicit, so they win over everything guessed from the wording.
+// A token that can't be resolved (unknown project or person, unreadable date)
+// stays in the title so nothing the user typed silently disappears.
+
+const PRIORITIES = {
+  high: 'High', h: 'High', urgent: 'High',
+  medium: 'Medium', med: 'Medium', m: 'Medium',
+  low: 'Low', l: 'Low'
+};
+
+// Estimates in days count working hours
+export const HOURS_PER_DAY = 8;
+
+const HOURS_PER_UNIT = {
+  m: 1 / 60, min: 1 / 60, mins: 1 / 60, minute: 1 / 60, minutes: 1 / 60,
+  h: 1, hr: 1, hrs: 1, hour: 1, hours: 1,
+  d: HOURS_PER_DAY, day: HOURS_PER_DAY, days: HOURS_PER_DAY
+};
+
+// Tokens start a word and end at whitespace, punctuation or end of text
+const START = '(?<=^|[\\s(\\[])';
+const END = '(?=$|[\\s,;.)\\]])';
+
+const TOKEN_PATTERN = new RegExp([
+  `${START}!(high|h|urgent|medium|med|m|low|l)${END}`,
+  `${START}#proj(?:ect)?:(?:["“]([^"”]+)["”]|([\\w/&.-]*[\\w/&-]))`,
+  `${START}@due\\(([^)]*)\\)`,
+  `${START}~(\\d+(?:\\.\\d+)?)\\s?(minutes?|mins?|m|hours?|hrs?|hr|h|days?|d)${END}`,
+  `${START}\\+(?:["“]([^"”]+)["”]|([A-Za-z](?:[\\w'.-]*\\w)?))`
+].join('|'), 'gi');
+
+/**
+ * Parse inline command tokens out of a to-do line
+ * @param {string} text - To-do or quick todo text
+ * @param {Object} options - { aliases (from parsers.buildAliasIndex()), dateOptions ({ timezone, now }),
+ *   projects (from projectRegistry.getRegistry(), default: last loaded) }
+ * @returns {Object} - { priority, project, due, estimate, owners, spans, unresolved } where
+ *   unset fields are null (owners []), due is a parsers.parseDate() result, estimate is in
+ *   hours, spans are the resolved tokens ({ index, text }) to cut from the title and
+ *   unresolved lists tokens that were left in place
+ */
+export function parseInlineTokens(text, options = {}) {
+  const result = {
+    priority: null,
+    project: null,
+    due: null,
+    estimate: null,
+    owners: [],
+    spans: [],
+    unresolved: []
+  };
+
+  for (const match of (text || '').matchAll(TOKEN_PATTERN)) {
+    const [token, priority, quotedProject, project, due, amount, unit, quotedOwner, owner] = match;
+    let resolved = true;
+
+    if (priority) {
+      result.priority = PRIORITIES[priority.toLowerCase()];
+    } else if (quotedProject || project) {
+      const name = inference.resolveProjectName(quotedProject || project, options.projects);
+      resolved = Boolean(name);
+      result.project = name || result.project;
+    } else if (due !== undefined) {
+      const parsed = parsers.parseDate(due, options.dateOptions);
+      resolved = Boolean(parsed);
+      result.due = parsed ? { ...parsed, text: token, index: match.index } : result.due;
+    } else if (amount) {
+      const hours = parseFloat(amount) * HOURS_PER_UNIT[unit.toLowerCase()];
+      result.estimate = Math.round(hours * 100) / 100;
+    } else {
+      const person = lookupPerson(quotedOwner || owner, options.aliases);
+      resolved = Boolean(person);
+      if (person && !result.owners.includes(person.id)) {
+        result.owners.push(person.id);
+      }
+    }
+
+    if (resolved) {
+      result.spans.push({ index: match.index, text: token });
+    } else {
+      result.unresolved.push(token);
+    }
+  }
+
+  return result;
+}
+
+// "+karen.smith" and "+karen_smith" both find "Karen Smith"
+function lookupPerson(name, aliases) {
+  if (!aliases) {
+    return null;
+  }
+  const key = name.trim().toLowerCase();
+  return aliases.get(key) || aliases.get(key.replace(/[._-]+/g, ' ')) || null;
+}
+
+/**
+ * Blank out token spans so heuristics don't read them, keeping offsets intact
+ * @param {string} text - Original text
+ * @param {Array<Object>} spans - From parseInlineTokens()
+ * @returns {string} - Text with each span replaced by spaces
+ */
+export function maskTokens(text, spans) {
+  let masked = text;
+  for (const span of spans) {
+    masked = masked.slice(0, span.index) + ' '.repeat(span.text.length) + masked.slice(span.index + span.text.length);
+  }
+  return masked;
+}
+
+/**
+ * Remove resolved tokens from text, for plain-text titles and prompts
+ * @param {string} text - Original text
+ * @param {Array<Object>} spans - From parseInlineTokens()
+ * @returns {string} - Text without the tokens, whitespace collapsed
+ */
+export function stripTokens(text, spans) {
+  return maskTokens(text, spans).replace(/[ \t]{2,}/g, ' ').replace(/[ \t]+$/gm, '').replace(/^[ \t]+/gm, '');
+}
@@ -0,0 +1,670 @@
+import crypto from 'crypto';
+import { readFileSync, writeFileSync } from 'fs';
+
+// In-memory stand-in for the subset of @notionhq/client we use.
+// Lets automation.js and the quick todo processors run end-to-end against a
+// seeded workspace file instead of the live CA-v2 workspace.
+
+const RICH_TEXT_TYPES = ['title', 'rich_text'];
+const PROPERTY_TYPES = [
+  'title', 'rich_text', 'select', 'status', 'multi_select', 'date', 'checkbox',
+  'number', 'relation', 'people', 'url', 'email', 'phone_number'
+];
+
+// Keys on a block object that are not its type payload
+const BLOCK_META_KEYS = [
+  'object', 'id', 'parent', 'type', 'children', 'created_time', 'last_edited_time',
+  'created_by', 'last_edited_by', 'has_children', 'archived', 'in_trash'
+];
+
+const DEFAULT_ANNOTATIONS = {
+  bold: false,
+  italic: false,
+  strikethrough: false,
+  underline: false,
+  code: false,
+  color: 'default'
+};
+
+/**
+ * Error shaped like the SDK's APIResponseError (code + status)
+ */
+export class MemoryNotionError extends Error {
+  constructor(code, status, message) {
+    super(message);
+    this.name = 'MemoryNotionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function notFound(id) {
+  return new MemoryNotionError(
+    'object_not_found',
+    404,
+    `Could not find object with ID: ${id}. Make sure the relevant pages and databases are shared with your integration.`
+  );
+}
+
+function validationError(message) {
+  return new MemoryNotionError('validation_error', 400, message);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Notion only stores last_edited_time to the minute
+function toMinute(date) {
+  const rounded = new Date(date);
+  rounded.setUTCSeconds(0, 0);
+  return rounded.toISOString();
+}
+
+// What the API would render for a mention it was sent without text
+function mentionText(mention) {
+  switch (mention.type) {
+    case 'user':
+      return `@${mention.user.name || 'Anonymous'}`;
+    case 'date':
+      return mention.date.start;
+    default:
+      return 'Untitled';
+  }
+}
+
+// Normalize request-shaped rich text ({ text: { content } }) to response shape
+function normalizeRichText(items = []) {
+  return items.map(item => {
+    if (item.type === 'mention' || item.mention) {
+      const mention = clone(item.mention);
+      mention.type = mention.type || Object.keys(mention)[0];
+      return {
+        type: 'mention',
+        mention,
+        annotations: { ...DEFAULT_ANNOTATIONS, ...item.annotations },
+        plain_text: item.plain_text ?? mentionText(mention),
+        href: item.href ?? null
+      };
+    }
+
+    if (item.type === 'equation' || item.equation) {
+      return {
+        type: 'equation',
+        equation: clone(item.equation),
+        annotations: { ...DEFAULT_ANNOTATIONS, ...item.annotations },
+        plain_text: item.plain_text ?? item.equation.expression,
+        href: null
+      };
+    }
+
+    const content = item.text?.content ?? item.plain_text ?? '';
+    const link = item.text?.link ?? null;
+
+    return {
+      type: 'text',
+      text: { content, link },
+      annotations: { ...DEFAULT_ANNOTATIONS, ...item.annotations },
+      plain_text: content,
+      href: item.href ?? link?.url ?? null
+    };
+  });
+}
+
+function plainText(items = []) {
+  return items.map(t => t.plain_text).join('');
+}
+
+function emptyPropertyValue(type) {
+  switch (type) {
+    case 'title':
+    case 'rich_text':
+    case 'multi_select':
+    case 'relation':
+    case 'people':
+      return [];
+    case 'checkbox':
+      return false;
+    default:
+      return null;
+  }
+}
+
+// Normalize a request-shaped property value to response shape
+function normalizeProperty(value, schemaType) {
+  const type = schemaType || PROPERTY_TYPES.find(t => t in value) || value.type;
+  if (!type) {
+    throw validationError(`Unsupported property value: ${JSON.stringify(value)}`);
+  }
+
+  let normalized = value[type];
+
+  if (RICH_TEXT_TYPES.includes(type)) {
+    normalized = normalizeRichText(normalized);
+  } else if (type === 'relation') {
+    normalized = (normalized || []).map(r => ({ id: r.id }));
+  } else if (type === 'multi_select') {
+    normalized = (normalized || []).map(o => ({ name: o.name }));
+  } else if (type === 'people') {
+    normalized = (normalized || []).map(u => ({ object: 'user', id: u.id }));
+  } else if (type === 'select' || type === 'status') {
+    normalized = normalized ? { name: normalized.name } : null;
+  } else if (type === 'date') {
+    normalized = normalized ? { start: normalized.start, end: normalized.end ?? null, time_zone: normalized.time_zone ?? null } : null;
+  } else if (normalized === undefined) {
+    normalized = emptyPropertyValue(type);
+  } else {
+    normalized = clone(normalized);
+  }
+
+  const result = { type, [type]: normalized };
+  if (type === 'relation') {
+    result.has_more = false;
+  }
+  return result;
+}
+
+// Read a comparable value out of a response-shaped property
+function propertyValue(prop) {
+  if (!prop) return null;
+
+  switch (prop.type) {
+    case 'title':
+    case 'rich_text':
+      return plainText(prop[prop.type]);
+    case 'select':
+    case 'status':
+      return prop[prop.type]?.name ?? null;
+    case 'multi_select':
+      return prop.multi_select.map(o => o.name);
+    case 'relation':
+    case 'people':
+      return prop[prop.type].map(r => r.id);
+    case 'date':
+      return prop.date?.start ?? null;
+    default:
+      return prop[prop.type] ?? null;
+  }
+}
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Evaluate a single filter condition (e.g. { equals: 'Backlog' })
+function matchesCondition(value, condition) {
+  return Object.entries(condition).every(([op, expected]) => {
+    switch (op) {
+      case 'is_empty':
+        return isEmptyValue(value) === Boolean(expected);
+      case 'is_not_empty':
+        return !isEmptyValue(value) === Boolean(expected);
+      case 'equals':
+        if (typeof value === 'string' && typeof expected === 'string' && /^\d{4}-\d{2}-\d{2}/.test(expected)) {
+          return value.slice(0, 10) === expected.slice(0, 10);
+        }
+        return value === expected;
+      case 'does_not_equal':
+        return value !== expected;
+      case 'contains':
+        return Array.isArray(value) ? value.includes(expected) : String(value ?? '').includes(expected);
+      case 'does_not_contain':
+        return Array.isArray(value) ? !value.includes(expected) : !String(value ?? '').includes(expected);
+      case 'starts_with':
+        return String(value ?? '').startsWith(expected);
+      case 'ends_with':
+        return String(value ?? '').endsWith(expected);
+      case 'greater_than':
+        return value !== null && value > expected;
+      case 'less_than':
+        return value !== null && value < expected;
+      case 'greater_than_or_equal_to':
+        return value !== null && value >= expected;
+      case 'less_than_or_equal_to':
+        return value !== null && value <= expected;
+      case 'before':
+        return value !== null && new Date(value) < new Date(expected);
+      case 'after':
+        return value !== null && new Date(value) > new Date(expected);
+      case 'on_or_before':
+        return value !== null && new Date(value) <= new Date(expected);
+      case 'on_or_after':
+        return value !== null && new Date(value) >= new Date(expected);
+      default:
+        throw validationError(`Unsupported filter condition: ${op}`);
+    }
+  });
+}
+
+function matchesFilter(page, filter) {
+  if (!filter || Object.keys(filter).length === 0) {
+    return true;
+  }
+
+  if (filter.and) {
+    return filter.and.every(f => matchesFilter(page, f));
+  }
+
+  if (filter.or) {
+    return filter.or.some(f => matchesFilter(page, f));
+  }
+
+  if (filter.timestamp) {
+    return matchesCondition(page[filter.timestamp], filter[filter.timestamp]);
+  }
+
+  const prop = page.properties[filter.property];
+  if (!prop) {
+    throw validationError(`Could not find property with name or id: ${filter.property}`);
+  }
+
+  const conditionKey = Object.keys(filter).find(k => k !== 'property');
+  return matchesCondition(propertyValue(prop), filter[conditionKey]);
+}
+
+function compareValues(a, b, direction) {
+  if (isEmptyValue(a) && isEmptyValue(b)) return 0;
+  if (isEmptyValue(a)) return 1;  // Empty values sort last in either direction
+  if (isEmptyValue(b)) return -1;
+  const result = a < b ? -1 : a > b ? 1 : 0;
+  return direction === 'descending' ? -result : result;
+}
+
+function sortPages(pages, sorts = []) {
+  return [...pages].sort((a, b) => {
+    for (const sort of sorts) {
+      const av = sort.timestamp ? a[sort.timestamp] : propertyValue(a.properties[sort.property]);
+      const bv = sort.timestamp ? b[sort.timestamp] : propertyValue(b.properties[sort.property]);
+      const result = compareValues(av, bv, sort.direction);
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  });
+}
+
+// Slice a list the way Notion paginates: cursor is the ID of the first item of the next page
+function paginate(items, startCursor, pageSize = 100) {
+  let start = 0;
+  if (startCursor) {
+    start = items.findIndex(item => item.id === startCursor);
+    if (start === -1) {
+      throw validationError(`Invalid start_cursor: ${startCursor}`);
+    }
+  }
+
+  const size = Math.min(pageSize || 100, 100);
+  const results = items.slice(start, start + size);
+  const next = items[start + size];
+
+  return {
+    object: 'list',
+    results,
+    next_cursor: next ? next.id : null,
+    has_more: Boolean(next)
+  };
+}
+
+/**
+ * Create an in-memory Notion client from a workspace snapshot
+ * @param {Object} workspace - { databases: { [id]: { title, properties } }, pages: [...] }
+ * @param {Object} options - { now: () => Date, onChange: (snapshot) => void }
+ * @returns {Object} - Object exposing databases/pages/blocks like the SDK Client
+ */
+export function createMemoryNotion(workspace = {}, options = {}) {
+  const now = options.now || (() => new Date());
+
+  const databases = new Map();
+  const pages = new Map();
+  const blocks = new Map();
+  const children = new Map(); // parent ID -> ordered child block IDs
+
+  function newId() {
+    return crypto.randomUUID();
+  }
+
+  function changed() {
+    if (options.onChange) {
+      options.onChange(snapshot());
+    }
+  }
+
+  // Find the page that ultimately contains a block
+  function rootPageId(id) {
+    let current = id;
+    while (blocks.has(current)) {
+      const parent = blocks.get(current).parent;
+      current = parent.block_id || parent.page_id;
+    }
+    return pages.has(current) ? current : null;
+  }
+
+  function touch(id) {
+    const timestamp = toMinute(now());
+    if (blocks.has(id)) {
+      blocks.get(id).last_edited_time = timestamp;
+    }
+    const pageId = rootPageId(id);
+    if (pageId) {
+      pages.get(pageId).last_edited_time = timestamp;
+    }
+  }
+
+  function liveChildIds(parentId) {
+    return (children.get(parentId) || []).filter(id => !blocks.get(id).archived);
+  }
+
+  // Insert a block (and any nested children) under a parent
+  function insertBlock(parentId, input, afterId = null) {
+    const type = input.type || Object.keys(input).find(k => !BLOCK_META_KEYS.includes(k));
+    if (!type || !input[type]) {
+      throw validationError(`Block is missing its type payload: ${JSON.stringify(input)}`);
+    }
+
+    const { children: nestedInType, ...payload } = clone(input[type]);
+    if (payload.rich_text) {
+      payload.rich_text = normalizeRichText(payload.rich_text);
+    }
+    if (type === 'to_do') {
+      payload.checked = Boolean(payload.checked);
+    }
+
+    const timestamp = input.created_time || toMinute(now());
+    const block = {
+      object: 'block',
+      id: input.id || newId(),
+      parent: pages.has(parentId) ? { type: 'page_id', page_id: parentId } : { type: 'block_id', block_id: parentId },
+      created_time: timestamp,
+      last_edited_time: input.last_edited_time || timestamp,
+      archived: false,
+      in_trash: false,
+      type,
+      [type]: payload
+    };
+
+    blocks.set(block.id, block);
+    children.set(block.id, []);
+
+    const siblings = children.get(parentId) || [];
+    if (afterId) {
+      const index = siblings.indexOf(afterId);
+      if (index === -1) {
+        throw validationError(`Block ${afterId} is not a child of ${parentId}`);
+      }
+      siblings.splice(index + 1, 0, block.id);
+    } else {
+      siblings.push(block.id);
+    }
+    children.set(parentId, siblings);
+
+    for (const child of input.children || nestedInType || []) {
+      insertBlock(block.id, child);
+    }
+
+    return block;
+  }
+
+  function renderBlock(id) {
+    const block = clone(blocks.get(id));
+    block.has_children = liveChildIds(id).length > 0;
+    return block;
+  }
+
+  // Materialize a page the way the API returns it (all schema properties present)
+  function renderPage(id) {
+    const page = clone(pages.get(id));
+    const schema = databases.get(page.parent.database_id)?.properties || {};
+
+    for (const [name, definition] of Object.entries(schema)) {
+      if (definition.type === 'created_time') {
+        page.properties[name] = { type: 'created_time', created_time: page.created_time };
+      } else if (definition.type === 'last_edited_time') {
+        page.properties[name] = { type: 'last_edited_time', last_edited_time: page.last_edited_time };
+      } else if (!page.properties[name]) {
+        page.properties[name] = { type: definition.type, [definition.type]: emptyPropertyValue(definition.type) };
+      }
+    }
+
+    return page;
+  }
+
+  function requirePage(id) {
+    if (!pages.has(id) || pages.get(id).archived) {
+      throw notFound(id);
+    }
+  }
+
+  function requireContainer(id) {
+    if (pages.has(id)) {
+      requirePage(id);
+    } else if (!blocks.has(id) || blocks.get(id).archived) {
+      throw notFound(id);
+    }
+  }
+
+  function normalizeProperties(databaseId, properties = {}) {
+    const schema = databases.get(databaseId)?.properties || {};
+    const normalized = {};
+    for (const [name, value] of Object.entries(properties)) {
+      normalized[name] = normalizeProperty(value, schema[name]?.type);
+    }
+    return normalized;
+  }
+
+  function createPage(input) {
+    const databaseId = input.parent?.database_id;
+    const parentPageId = input.parent?.page_id;
+
+    if (databaseId && !databases.has(databaseId)) {
+      throw notFound(databaseId);
+    }
+
+    const timestamp = input.created_time || toMinute(now());
+    const id = input.id || newId();
+    const page = {
+      object: 'page',
+      id,
+      created_time: timestamp,
+      last_edited_time: input.last_edited_time || timestamp,
+      archived: Boolean(input.archived),
+      in_trash: Boolean(input.archived),
+      parent: databaseId ? { type: 'database_id', database_id: databaseId } : { type: 'page_id', page_id: parentPageId },
+      properties: normalizeProperties(databaseId, input.properties),
+      url: `https://www.notion.so/${id.replace(/-/g, '')}`
+    };
+
+    pages.set(id, page);
+    children.set(id, []);
+
+    for (const child of input.children || []) {
+      insertBlock(id, child);
+    }
+
+    return page;
+  }
+
+  // Serialize back to the seed format (nested children, archived blocks dropped)
+  function snapshot() {
+    function serializeChildren(parentId) {
+      return liveChildIds(parentId).map(id => {
+        const { parent, ...block } = clone(blocks.get(id));
+        const nested = serializeChildren(id);
+        return nested.length > 0 ? { ...block, children: nested } : block;
+      });
+    }
+
+    return {
+      databases: Object.fromEntries(clone([...databases.entries()])),
+      pages: [...pages.keys()].map(id => ({
+        ...renderPage(id),
+        children: serializeChildren(id)
+      }))
+    };
+  }
+
+  // Seed from workspace
+  for (const [id, database] of Object.entries(workspace.databases || {})) {
+    databases.set(id, { id, title: database.title || '', properties: database.properties || {} });
+  }
+  for (const page of workspace.pages || []) {
+    createPage(page);
+  }
+
+  return {
+    databases: {
+      async query({ database_id, filter, sorts, start_cursor, page_size }) {
+        if (!databases.has(database_id)) {
+          throw notFound(database_id);
+        }
+
+        const rows = [...pages.keys()]
+          .filter(id => {
+            const page = pages.get(id);
+            return !page.archived && page.parent.database_id === database_id;
+          })
+          .map(renderPage)
+          .filter(page => matchesFilter(page, filter));
+
+        return {
+          ...paginate(sortPages(rows, sorts), start_cursor, page_size),
+          type: 'page_or_database',
+          page_or_database: {}
+        };
+      }
+    },
+
+    pages: {
+      async create(params) {
+        const page = createPage(params);
+        changed();
+        return renderPage(page.id);
+      },
+
+      async retrieve({ page_id }) {
+        requirePage(page_id);
+        return renderPage(page_id);
+      },
+
+      async update({ page_id, properties, archived, in_trash }) {
+        if (!pages.has(page_id)) {
+          throw notFound(page_id);
+        }
+
+        const page = pages.get(page_id);
+        Object.assign(page.properties, normalizeProperties(page.parent.database_id, properties));
+
+        const trashed = archived ?? in_trash;
+        if (trashed !== undefined) {
+          page.archived = Boolean(trashed);
+          page.in_trash = Boolean(trashed);
+        }
+
+        page.last_edited_time = toMinute(now());
+        changed();
+        return renderPage(page_id);
+      }
+    },
+
+    blocks: {
+      children: {
+        async list({ block_id, start_cursor, page_size }) {
+          requireContainer(block_id);
+          const results = liveChildIds(block_id).map(renderBlock);
+          return {
+            ...paginate(results, start_cursor, page_size),
+            type: 'block',
+            block: {}
+          };
+        },
+
+        async append({ block_id, children: newChildren, after }) {
+          requireContainer(block_id);
+          if (!Array.isArray(newChildren) || newChildren.length > 100) {
+            throw validationError('body.children should be an array of at most 100 blocks');
+          }
+
+          const created = [];
+          let previous = after || null;
+          for (const child of newChildren) {
+            const block = insertBlock(block_id, child, previous);
+            created.push(block.id);
+            // Keep the appended blocks in order when inserting after a block
+            if (after) previous = block.id;
+          }
+
+          touch(block_id);
+          changed();
+          return { object: 'list', results: created.map(renderBlock), next_cursor: null, has_more: false };
+        }
+      },
+
+      async retrieve({ block_id }) {
+        if (!blocks.has(block_id)) {
+          throw notFound(block_id);
+        }
+        return renderBlock(block_id);
+      },
+
+      async update({ block_id, archived, in_trash, ...content }) {
+        if (!blocks.has(block_id) || blocks.get(block_id).archived) {
+          throw notFound(block_id);
+        }
+
+        const block = blocks.get(block_id);
+        for (const [type, payload] of Object.entries(content)) {
+          if (type !== block.type) {
+            throw validationError(`Block ${block_id} is a ${block.type} block, cannot update ${type}`);
+          }
+          const update = clone(payload);
+          if (update.rich_text) {
+            update.rich_text = normalizeRichText(update.rich_text);
+          }
+          Object.assign(block[type], update);
+        }
+
+        const trashed = archived ?? in_trash;
+        if (trashed !== undefined) {
+          block.archived = Boolean(trashed);
+          block.in_trash = Boolean(trashed);
+        }
+
+        touch(block_id);
+        changed();
+        return renderBlock(block_id);
+      },
+
+      async delete({ block_id }) {
+        if (!blocks.has(block_id) || blocks.get(block_id).archived) {
+          throw notFound(block_id);
+        }
+
+        const block = blocks.get(block_id);
+        block.archived = true;
+        block.in_trash = true;
+        touch(block_id);
+        changed();
+        return renderBlock(block_id);
+      }
+    },
+
+    snapshot
+  };
+}
+
+/**
+ * Load a seeded workspace file into an in-memory client
+ * @param {string} workspaceFile - Path to the seed JSON
+ * @param {Object} options - { outFile } writes a snapshot after every mutation
+ * @returns {Object} - In-memory client
+ */
+export function createMemoryNotionFromFile(workspaceFile, options = {}) {
+  const workspace = JSON.parse(readFileSync(workspaceFile, 'utf-8'));
+
+  return createMemoryNotion(workspace, {
+    ...options,
+    ...(options.outFile && {
+      onChange: snapshot => writeFileSync(options.outFile, JSON.stringify(snapshot, null, 2))
+    })
+  });
+}
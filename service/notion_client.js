@@ -1,17 +1,46 @@
 import { Client } from '@notionhq/client';
 import dotenv from 'dotenv';
+import { createMemoryNotionFromFile } from './memory_notion.js';
+import { createRateLimiter, createConcurrencyLimit } from './rate_limiter.js';
+import * as blockTree from './block_tree.js';
 
 dotenv.config();
 
-const notion = new Client({ 
-  auth: process.env.NOTION_TOKEN,
-  timeoutMs: 90000 // 90 seconds for production reliability
-});
+// Backend selection: the real API by default, or an in-memory workspace
+// seeded from NOTION_WORKSPACE_FILE when NOTION_BACKEND=memory (offline runs)
+function createBackend() {
+  if (process.env.NOTION_BACKEND === 'memory') {
+    if (!process.env.NOTION_WORKSPACE_FILE) {
+      throw new Error('NOTION_BACKEND=memory requires NOTION_WORKSPACE_FILE');
+    }
+    return createMemoryNotionFromFile(process.env.NOTION_WORKSPACE_FILE, {
+      outFile: process.env.NOTION_WORKSPACE_OUT
+    });
+  }
+
+  return new Client({ 
+    auth: process.env.NOTION_TOKEN,
+    timeoutMs: 90000 // 90 seconds for production reliability
+  });
+}
 
-// Rate limiting: 350ms delay between requests (about 3 req/sec)
-const RATE_LIMIT_DELAY = 350;
+let notion = createBackend();
+
+// Swap the backend (e.g. an in-memory workspace for replaying fixtures)
+export function setBackend(backend) {
+  notion = backend;
+}
+
+// Every Notion call goes through one token bucket at Notion's 3 req/s average
+const limiter = createRateLimiter({ ratePerSecond: 3, burst: 3 });
 const MAX_RETRIES = 5;
 
+// Network-level failures worth retrying
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+// Failures where the request never reached Notion, so even a create can be resent
+const UNSENT_NETWORK_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -23,20 +52,53 @@ function getBackoffDelay(attempt) {
   return baseDelay + jitter;
 }
 
-// Wrapper for API calls with rate limiting and retry logic
-async function apiCall(fn, ...args) {
+// Retry-After (seconds) from a 429 response, in ms
+function getRetryAfter(error) {
+  const value = error.headers?.get?.('retry-after') ?? error.headers?.['retry-after'];
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+function isRateLimited(error) {
+  return error.code === 'rate_limited' || error.status === 429;
+}
+
+function isTransient(error) {
+  const networkCode = error.code || error.cause?.code;
+  return error.status >= 500 ||
+    error.code === 'notionhq_client_request_timeout' ||
+    RETRYABLE_NETWORK_CODES.includes(networkCode);
+}
+
+// A timeout, reset or 5xx may come after Notion applied the request
+function isUnsent(error) {
+  return UNSENT_NETWORK_CODES.includes(error.code || error.cause?.code);
+}
+
+// Wrapper for API calls with rate limiting and retry logic.
+// options.idempotent false (creates, appends): only a rate limit or a request
+// that never went out is retried, so a retry can't make a duplicate.
+async function apiCall(fn, options = {}) {
+  const { idempotent = true } = options;
   let lastError;
   
   for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
     try {
-      await delay(RATE_LIMIT_DELAY);
-      return await fn(...args);
+      return await limiter.schedule(fn);
     } catch (error) {
       lastError = error;
       
-      if (error.code === 'rate_limited' || error.status === 429) {
+      if (isRateLimited(error)) {
+        const waitMs = getRetryAfter(error) ?? getBackoffDelay(attempt);
+        // Hold the whole queue, not just this call
+        limiter.pauseFor(waitMs);
+        console.warn(`Rate limited, retrying in ${Math.round(waitMs)}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+        continue;
+      }
+      
+      if (idempotent ? isTransient(error) : isUnsent(error)) {
         const backoffDelay = getBackoffDelay(attempt);
-        console.warn(`Rate limited, retrying in ${backoffDelay}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+        console.warn(`Transient error (${error.code || error.cause?.code || error.status}), retrying in ${Math.round(backoffDelay)}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
         await delay(backoffDelay);
         continue;
       }
@@ -49,24 +111,120 @@ async function apiCall(fn, ...args) {
   throw lastError;
 }
 
-// Query database with filters
-export async function queryDatabase(databaseId, filter = {}, sorts = []) {
+// Queue wait statistics for the shared limiter (calls, avg/max/total wait)
+export function getRateLimiterStats() {
+  return limiter.getStats();
+}
+
+export function resetRateLimiterStats() {
+  limiter.resetStats();
+}
+
+// Pagination defaults for database queries (Notion caps page_size at 100).
+// The hard cap stops a runaway filter from draining the rate budget.
+const QUERY_PAGE_SIZE = parseInt(process.env.NOTION_QUERY_PAGE_SIZE) || 100;
+const QUERY_MAX_RESULTS = parseInt(process.env.NOTION_QUERY_MAX_RESULTS) || 2000;
+
+// Query one page of a database with filters
+export async function queryDatabase(databaseId, filter = {}, sorts = [], options = {}) {
   const params = {
     database_id: databaseId,
     ...(Object.keys(filter).length > 0 && { filter }),
-    ...(sorts.length > 0 && { sorts })
+    ...(sorts.length > 0 && { sorts }),
+    ...(options.startCursor && { start_cursor: options.startCursor }),
+    ...(options.pageSize && { page_size: options.pageSize })
   };
   
   return apiCall(() => notion.databases.query(params));
 }
 
+/**
+ * Iterate every row matching a database query, following next_cursor
+ * @param {string} databaseId - Database ID
+ * @param {Object} filter - Notion filter object
+ * @param {Array} sorts - Notion sorts array
+ * @param {Object} options - { pageSize, maxResults }
+ * @yields {Object} - Page objects, in query order
+ */
+export async function* iterateDatabase(databaseId, filter = {}, sorts = [], options = {}) {
+  const maxResults = options.maxResults ?? QUERY_MAX_RESULTS;
+  const pageSize = Math.min(options.pageSize ?? QUERY_PAGE_SIZE, 100, maxResults);
+  let cursor;
+  let count = 0;
+  
+  do {
+    const response = await queryDatabase(databaseId, filter, sorts, {
+      startCursor: cursor,
+      pageSize
+    });
+    
+    for (const page of response.results) {
+      if (count >= maxResults) {
+        console.warn(`Query on database ${databaseId} hit the ${maxResults} result cap, stopping early`);
+        return;
+      }
+      count++;
+      yield page;
+    }
+    
+    cursor = response.has_more ? response.next_cursor : null;
+  } while (cursor && count < maxResults);
+  
+  if (cursor) {
+    console.warn(`Query on database ${databaseId} hit the ${maxResults} result cap, stopping early`);
+  }
+}
+
+// Collect every row matching a database query into an array
+export async function queryAll(databaseId, filter = {}, sorts = [], options = {}) {
+  const pages = [];
+  for await (const page of iterateDatabase(databaseId, filter, sorts, options)) {
+    pages.push(page);
+  }
+  return pages;
+}
+
 // Get page properties
 export async function getPage(pageId) {
   return apiCall(() => notion.pages.retrieve({ page_id: pageId }));
 }
 
-// Get all blocks from a page (with pagination)
-export async function getBlocks(blockId) {
+// Per-run cache of direct children lists, keyed by block ID. Each entry
+// remembers the parent's last_edited_time so a newer edit forces a refetch.
+const blockCache = new Map();
+const cachedParent = new Map(); // child block ID -> parent ID, for invalidation
+let blockCacheStats = { hits: 0, misses: 0 };
+
+// Drop everything (call at the start of each run)
+export function clearBlockCache() {
+  blockCache.clear();
+  cachedParent.clear();
+  blockCacheStats = { hits: 0, misses: 0 };
+}
+
+// Forget a block's cached children (after we mutate it)
+export function invalidateBlock(blockId) {
+  blockCache.delete(blockId);
+}
+
+export function getBlockCacheStats() {
+  return { ...blockCacheStats, entries: blockCache.size };
+}
+
+/**
+ * Get all direct children of a block or page (with pagination, cached per run)
+ * @param {string} blockId - Block or page ID
+ * @param {Object} options - { lastEditedTime } of the parent, to detect stale entries
+ * @returns {Promise<Array>} - Child blocks
+ */
+export async function getBlocks(blockId, options = {}) {
+  const cached = blockCache.get(blockId);
+  if (cached && (!options.lastEditedTime || cached.lastEditedTime === options.lastEditedTime)) {
+    blockCacheStats.hits++;
+    return [...cached.blocks];
+  }
+  
+  blockCacheStats.misses++;
   const blocks = [];
   let cursor;
   
@@ -83,42 +241,70 @@ export async function getBlocks(blockId) {
     cursor = response.next_cursor;
   } while (cursor);
   
-  return blocks;
+  blockCache.set(blockId, { lastEditedTime: options.lastEditedTime ?? null, blocks });
+  for (const block of blocks) {
+    cachedParent.set(block.id, blockId);
+  }
+  
+  return [...blocks];
 }
 
-// Recursively get all blocks including children
-export async function getAllBlocksRecursive(blockId) {
-  const blocks = await getBlocks(blockId);
-  const allBlocks = [];
+// How many children lists the crawler fetches in parallel
+const CRAWL_CONCURRENCY = parseInt(process.env.NOTION_CRAWL_CONCURRENCY) || 3;
+
+/**
+ * Recursively fetch a page's blocks as a tree (see block_tree.js).
+ * Sibling subtrees are fetched in parallel; sibling order is kept by the tree.
+ * @param {string} blockId - Page or block ID
+ * @param {Object} options - { lastEditedTime, maxDepth, concurrency }
+ *   maxDepth 0 fetches top-level blocks only; omit for the whole tree
+ * @returns {Promise<Object>} - Root node
+ */
+export async function getBlockTree(blockId, options = {}) {
+  const root = blockTree.createRoot(blockId);
+  const crawl = {
+    maxDepth: options.maxDepth ?? Infinity,
+    run: createConcurrencyLimit(options.concurrency ?? CRAWL_CONCURRENCY)
+  };
   
-  for (const block of blocks) {
-    allBlocks.push(block);
-    
-    if (block.has_children && block.type !== 'child_page' && block.type !== 'child_database') {
-      try {
-        const children = await getAllBlocksRecursive(block.id);
-        allBlocks.push(...children);
-      } catch (error) {
-        // Skip blocks we can't access (like transcription blocks)
-        if (error.code === 'object_not_found' || error.message?.includes('transcription')) {
-          console.warn(`Skipping inaccessible block: ${block.type} (${block.id})`);
-        } else {
-          throw error;
-        }
+  await fillChildren(root, { lastEditedTime: options.lastEditedTime }, crawl);
+  return root;
+}
+
+async function fillChildren(node, options, crawl) {
+  const blocks = await crawl.run(() => getBlocks(node.id, options));
+  const children = blockTree.attachChildren(node, blocks);
+  
+  const expandable = children.filter(child =>
+    child.depth < crawl.maxDepth &&
+    child.block.has_children &&
+    child.type !== 'child_page' &&
+    child.type !== 'child_database'
+  );
+  
+  await Promise.all(expandable.map(async child => {
+    try {
+      await fillChildren(child, { lastEditedTime: child.block.last_edited_time }, crawl);
+    } catch (error) {
+      // Skip blocks we can't access (like transcription blocks)
+      if (error.code === 'object_not_found' || error.message?.includes('transcription')) {
+        console.warn(`Skipping inaccessible block: ${child.type} (${child.id})`);
+      } else {
+        throw error;
       }
     }
-  }
-  
-  return allBlocks;
+  }));
 }
 
-// Optimized: Get only top-level blocks (no recursion)
-// Much faster for finding section headings in project pages
-export async function getTopLevelBlocks(blockId) {
-  return await getBlocks(blockId);
+// Recursively get all blocks including children, flattened in document order
+export async function getAllBlocksRecursive(blockId, options = {}) {
+  return blockTree.flatten(await getBlockTree(blockId, options));
 }
 
-// Create a new page in a database
+// Notion accepts at most 100 child blocks per create/append request
+const MAX_BLOCKS_PER_REQUEST = 100;
+
+// Create a new page in a database (with any number of child blocks)
 export async function createPage(databaseId, properties, children = []) {
   const params = {
     parent: {
@@ -126,10 +312,17 @@ export async function createPage(databaseId, properties, children = []) {
       database_id: databaseId
     },
     properties,
-    ...(children.length > 0 && { children })
+    ...(children.length > 0 && { children: children.slice(0, MAX_BLOCKS_PER_REQUEST) })
   };
   
-  return apiCall(() => notion.pages.create(params));
+  const page = await apiCall(() => notion.pages.create(params), { idempotent: false });
+  
+  // Anything past the per-request limit goes in follow-up appends
+  for (let i = MAX_BLOCKS_PER_REQUEST; i < children.length; i += MAX_BLOCKS_PER_REQUEST) {
+    await appendBlocks(page.id, children.slice(i, i + MAX_BLOCKS_PER_REQUEST));
+  }
+  
+  return page;
 }
 
 // Update page properties
@@ -140,16 +333,180 @@ export async function updatePage(pageId, properties) {
   }));
 }
 
-// Check if a task with given Line Key already exists
-export async function taskExists(tasksDbId, lineKey) {
-  const response = await queryDatabase(tasksDbId, {
-    property: 'Line Key',
+// Archive (trash) a page
+export async function archivePage(pageId) {
+  invalidateBlock(pageId);
+  return apiCall(() => notion.pages.update({
+    page_id: pageId,
+    archived: true
+  }));
+}
+
+// Append child blocks, optionally after a given sibling
+export async function appendBlocks(blockId, children, after = null) {
+  invalidateBlock(blockId);
+  return apiCall(() => notion.blocks.children.append({
+    block_id: blockId,
+    children,
+    ...(after && { after })
+  }), { idempotent: false });
+}
+
+// Delete (archive) a single block
+export async function deleteBlock(blockId) {
+  invalidateBlock(blockId);
+  if (cachedParent.has(blockId)) {
+    invalidateBlock(cachedParent.get(blockId));
+  }
+  return apiCall(() => notion.blocks.delete({ block_id: blockId }));
+}
+
+// Get a single block (e.g. a to-do's current checked state)
+export async function getBlock(blockId) {
+  return apiCall(() => notion.blocks.retrieve({ block_id: blockId }));
+}
+
+// Update a block's content, keyed by its type (e.g. { to_do: { checked: true } })
+export async function updateBlock(blockId, content) {
+  invalidateBlock(blockId);
+  if (cachedParent.has(blockId)) {
+    invalidateBlock(cachedParent.get(blockId));
+  }
+  return apiCall(() => notion.blocks.update({ block_id: blockId, ...content }));
+}
+
+// Get every task created from a meeting (via the From Meeting relation)
+export async function getMeetingTasks(tasksDbId, meetingId) {
+  return queryAll(tasksDbId, {
+    property: 'From Meeting',
+    relation: {
+      contains: meetingId
+    }
+  });
+}
+
+// Get the subtasks of a task (via the Parent Task relation)
+export async function getSubtasks(tasksDbId, parentTaskId) {
+  return queryAll(tasksDbId, {
+    property: 'Parent Task',
+    relation: {
+      contains: parentTaskId
+    }
+  });
+}
+
+// Get tasks created from a to-do block, optionally only those edited since a time
+export async function getLinkedTasks(tasksDbId, editedSince = null) {
+  const linked = {
+    property: 'Block ID',
     rich_text: {
-      equals: lineKey
+      is_not_empty: true
     }
+  };
+  
+  if (!editedSince) {
+    return queryAll(tasksDbId, linked);
+  }
+  
+  return queryAll(tasksDbId, {
+    and: [
+      linked,
+      {
+        timestamp: 'last_edited_time',
+        last_edited_time: {
+          on_or_after: editedSince
+        }
+      }
+    ]
   });
+}
+
+// Get recurring tasks marked Done, optionally only those edited since a time
+export async function getDoneRecurringTasks(tasksDbId, editedSince = null) {
+  const filters = [
+    {
+      property: 'Recurrence',
+      rich_text: {
+        is_not_empty: true
+      }
+    },
+    {
+      property: 'Status',
+      select: {
+        equals: 'Done'
+      }
+    }
+  ];
+  
+  if (editedSince) {
+    filters.push({
+      timestamp: 'last_edited_time',
+      last_edited_time: {
+        on_or_after: editedSince
+      }
+    });
+  }
+  
+  return queryAll(tasksDbId, { and: filters });
+}
+
+// Get processed meetings that have a Project, optionally only those edited since a time
+export async function getMeetingsWithProject(meetingsDbId, editedSince = null) {
+  const filters = [
+    {
+      property: 'Processed',
+      checkbox: {
+        equals: true
+      }
+    },
+    {
+      property: 'Project',
+      select: {
+        is_not_empty: true
+      }
+    }
+  ];
+  
+  if (editedSince) {
+    filters.push({
+      timestamp: 'last_edited_time',
+      last_edited_time: {
+        on_or_after: editedSince
+      }
+    });
+  }
   
-  return response.results.length > 0;
+  return queryAll(meetingsDbId, { and: filters });
+}
+
+// Get every occurrence of a recurring task series
+export async function getSeriesTasks(tasksDbId, seriesId) {
+  return queryAll(tasksDbId, {
+    property: 'Series ID',
+    rich_text: {
+      equals: seriesId
+    }
+  });
+}
+
+// Get open tasks (anything but Done) that carry an estimate
+export async function getOpenEstimatedTasks(tasksDbId) {
+  return queryAll(tasksDbId, {
+    and: [
+      {
+        property: 'Estimate',
+        number: {
+          is_not_empty: true
+        }
+      },
+      {
+        property: 'Status',
+        select: {
+          does_not_equal: 'Done'
+        }
+      }
+    ]
+  });
 }
 
 export { notion };
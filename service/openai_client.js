@@ -1,17 +1,55 @@
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import * as projectRegistry from './project_registry.js';
 
 // Load environment variables
 dotenv.config();
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// The OpenAI SDK client, or with OPENAI_BACKEND=offline a stand-in that fails every
+// request, so offline runs take the same fallbacks as an unreachable API without a network call
+function createBackend() {
+  if (process.env.OPENAI_BACKEND === 'offline') {
+    return {
+      chat: {
+        completions: {
+          create: async () => {
+            throw new Error('OpenAI is offline (OPENAI_BACKEND=offline)');
+          }
+        }
+      }
+    };
+  }
+
+  return new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+  });
+}
+
+// Created on first use: the SDK throws without OPENAI_API_KEY, which shouldn't break importing
+let openai = null;
+
+function backend() {
+  if (!openai) {
+    openai = createBackend();
+  }
+  return openai;
+}
+
+// Swap the backend (e.g. a stub with canned answers in tests)
+export function setBackend(client) {
+  openai = client;
+}
 
 // Get model from env or use default
 const MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
 
+// Rate limits and timeouts get one retry; the retry passes attempt 2
+const MAX_ATTEMPTS = 2;
+
+function shouldRetry(error, attempt) {
+  return attempt < MAX_ATTEMPTS && (error.status === 429 || error.code === 'ETIMEDOUT');
+}
+
 // Log token usage for cost tracking
 function logTokenUsage(usage, operation) {
   const timestamp = new Date().toISOString();
@@ -31,9 +69,10 @@ function logTokenUsage(usage, operation) {
 /**
  * Categorize project information bullets into structured categories
  * @param {string[]} bullets - Array of bullet point strings from meeting
+ * @param {number} attempt - 1, or 2 on the retry
  * @returns {Promise<Object>} - Categorized data: { credentials, contacts, links, decisions, other }
  */
-export async function categorizeProjectInfo(bullets) {
+export async function categorizeProjectInfo(bullets, attempt = 1) {
   if (!bullets || bullets.length === 0) {
     return { credentials: [], contacts: [], links: [], decisions: [], other: [] };
   }
@@ -87,7 +126,7 @@ Return ONLY valid JSON:
 }`;
 
   try {
-    const response = await openai.chat.completions.create({
+    const response = await backend().chat.completions.create({
       model: MODEL,
       messages: [
         {
@@ -119,10 +158,10 @@ Return ONLY valid JSON:
     console.error('[OPENAI] Error categorizing project info:', error.message);
     
     // Retry once on rate limit or timeout
-    if (error.status === 429 || error.code === 'ETIMEDOUT') {
+    if (shouldRetry(error, attempt)) {
       console.log('[OPENAI] Retrying after 2 seconds...');
       await new Promise(resolve => setTimeout(resolve, 2000));
-      return categorizeProjectInfo(bullets);
+      return categorizeProjectInfo(bullets, attempt + 1);
     }
     
     // On other errors, return all items as "other"
@@ -139,16 +178,25 @@ Return ONLY valid JSON:
 /**
  * Parse a quick todo text into structured task properties
  * @param {string} todoText - Free-form todo text (e.g., "send proposal to ClickUp client urgent by Friday")
- * @returns {Promise<Object>} - Parsed task: { title, project, priority, due, context }
+ * @param {Object} registry - Projects to choose from, from projectRegistry.getRegistry()
+ * @param {number} attempt - 1, or 2 on the retry
+ * @returns {Promise<Object>} - { tasks: [{ title, project, priority, due, estimate_hours, context, line }] },
+ *   line being the 1-based text line a task came from (null if the AI didn't say)
  */
-export async function parseQuickTodo(todoText) {
+export async function parseQuickTodo(todoText, registry, attempt = 1) {
   if (!todoText || todoText.trim().length === 0) {
     throw new Error('Todo text cannot be empty');
   }
 
+  // Numbered lines, so each task can say which line it came from
+  const lines = todoText.trim().split('\n');
+  const text = lines.length > 1
+    ? '\n' + lines.map((line, i) => `${i + 1}| ${line}`).join('\n')
+    : `"${todoText}"`;
+
   const prompt = `Analyze this task description and extract properties. If there are MULTIPLE distinct tasks, return an array. If ONE task, return a single object.
 
-Text: "${todoText}"
+Text: ${text}
 
 Return ONLY valid JSON in this format:
 
@@ -159,15 +207,17 @@ For SINGLE task:
     "project": "detected project name or null",
     "priority": "High/Medium/Low",
     "due": "YYYY-MM-DD format or null",
-    "context": "brief additional context or null"
+    "estimate_hours": "effort in hours as a number, or null",
+    "context": "brief additional context or null",
+    "line": "number of the text line the task comes from (1 if the text is one line)"
   }]
 }
 
 For MULTIPLE tasks:
 {
   "tasks": [
-    { "title": "first task", "project": "Project1", "priority": "High", "due": "2024-10-26", "context": null },
-    { "title": "second task", "project": "Project2", "priority": "Medium", "due": null, "context": null }
+    { "title": "first task", "project": "Project1", "priority": "High", "due": "2024-10-26", "estimate_hours": 2, "context": null, "line": 1 },
+    { "title": "second task", "project": "Project2", "priority": "Medium", "due": null, "estimate_hours": null, "context": null, "line": 2 }
   ]
 }
 
@@ -191,30 +241,21 @@ For MULTIPLE tasks:
 - MM/DD or YYYY-MM-DD: exact date
 - If no date: null
 
+**Effort estimate (estimate_hours):**
+- Only when the text sizes the work: "2 hours" → 2, "30 min call" → 0.5, "half a day" → 4
+- A day is 8 hours, a week 40; for a range ("2-3 hours") use the upper end
+- Durations that place the task in time ("in 2 days") are not effort
+- If no sizing: null
+
 **Project detection (look for explicit mentions OR infer from context):**
-Keywords:
-- ClickUp, Click Up, CU, "click up" → "ClickUp"
-- HubSpot, Hub Spot, HS, "hub spot" → "HubSpot"  
-- Docebo, LMS, Uni, "learning" → "Docebo"
-- AI Sales, Retell, RetellAI, SAI, "sales ai" → "AI Sales"
-- Insider, Merlin, "insider knowledge" → "Insider Knowledge"
-- PD, OTN, "professional development" → "PD OTN"
-- Podcast, Episode, "podcast" → "Podcast"
-- QER, Economic, "quarterly" → "Quarterly Economic Review"
-- Support, Other, "support / other" → "Support / Other"
-
-Context clues:
-- WPR, weekly reports, dashboards, automations → likely "ClickUp"
-- CRM, contacts, leads, deals → likely "HubSpot"
-- Training, LMS, courses → likely "Docebo"
-- Recordings, episodes → likely "Podcast"
+${projectRegistry.describeForPrompt(registry)}
 
 If truly unclear: null (don't guess)
 
 Current date: ${new Date().toISOString().split('T')[0]}`;
 
   try {
-    const response = await openai.chat.completions.create({
+    const response = await backend().chat.completions.create({
       model: MODEL,
       messages: [
         {
@@ -241,7 +282,9 @@ Current date: ${new Date().toISOString().split('T')[0]}`;
           project: task.project || null,
           priority: task.priority || 'Medium',
           due: task.due || null,
+          estimate_hours: typeof task.estimate_hours === 'number' ? task.estimate_hours : null,
           context: task.context || null,
+          line: Number.isInteger(task.line) ? task.line : null,
         }))
       };
     }
@@ -253,7 +296,9 @@ Current date: ${new Date().toISOString().split('T')[0]}`;
         project: result.project || null,
         priority: result.priority || 'Medium',
         due: result.due || null,
+        estimate_hours: typeof result.estimate_hours === 'number' ? result.estimate_hours : null,
         context: result.context || null,
+        line: Number.isInteger(result.line) ? result.line : null,
       }]
     };
 
@@ -261,10 +306,10 @@ Current date: ${new Date().toISOString().split('T')[0]}`;
     console.error('[OPENAI] Error parsing quick todo:', error.message);
     
     // Retry once on rate limit or timeout
-    if (error.status === 429 || error.code === 'ETIMEDOUT') {
+    if (shouldRetry(error, attempt)) {
       console.log('[OPENAI] Retrying after 2 seconds...');
       await new Promise(resolve => setTimeout(resolve, 2000));
-      return parseQuickTodo(todoText);
+      return parseQuickTodo(todoText, registry, attempt + 1);
     }
     
     // On other errors, return basic parsed todo
@@ -278,13 +323,101 @@ Current date: ${new Date().toISOString().split('T')[0]}`;
   }
 }
 
+/**
+ * Choose a meeting's project when keyword inference isn't confident
+ * @param {Array<Object>} sources - [{ zone: 'title'|'heading'|'todo', text }] from inference.collectSources()
+ * @param {Object} registry - Projects to choose from, from projectRegistry.getRegistry()
+ * @param {number} attempt - 1, or 2 on the retry
+ * @returns {Promise<Object|null>} - { project (a registry name), confidence (0..1), rationale },
+ *   or null if the model couldn't be asked or answered with no usable project
+ */
+export async function classifyMeetingProject(sources, registry, attempt = 1) {
+  if (!sources || sources.length === 0) {
+    return null;
+  }
+
+  const meetingText = sources
+    .map(source => `${source.zone === 'title' ? 'Title' : source.zone === 'heading' ? 'Heading' : 'To-do'}: ${source.text}`)
+    .join('\n');
+
+  const prompt = `Which project is this meeting about? Choose exactly one project from the list below, using its name exactly as written.
+
+**Projects:**
+${projectRegistry.describeForPrompt(registry)}
+
+**Meeting:**
+${meetingText}
+
+Return ONLY valid JSON in this format:
+{
+  "project": "one project name from the list",
+  "confidence": "how sure you are, a number from 0 to 1",
+  "rationale": "one sentence on which words or topics point to this project"
+}
+
+If the meeting covers several projects, choose the one most of it is about and say so in the rationale.
+If nothing points to any project, choose "${projectRegistry.FALLBACK_PROJECT}" with a low confidence.`;
+
+  try {
+    const response = await backend().chat.completions.create({
+      model: MODEL,
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a helpful assistant that files meeting notes under projects. Always return valid JSON.',
+        },
+        {
+          role: 'user',
+          content: prompt,
+        },
+      ],
+      response_format: { type: 'json_object' },
+    });
+
+    logTokenUsage(response.usage, 'classifyMeetingProject');
+
+    const result = JSON.parse(response.choices[0].message.content);
+    
+    // Only an active project, by its exact name or an alias, is a valid answer;
+    // partial matches could file the meeting under a project it never named
+    const answer = String(result.project || '').trim().toLowerCase();
+    const project = answer === projectRegistry.FALLBACK_PROJECT.toLowerCase()
+      ? projectRegistry.FALLBACK_PROJECT
+      : projectRegistry.activeProjects(registry)
+        .find(p => p.name.toLowerCase() === answer || p.aliases.includes(answer))?.name;
+    if (!project) {
+      console.error(`[OPENAI] Meeting project "${result.project}" is not an active registered project`);
+      return null;
+    }
+    
+    const confidence = Math.min(1, Math.max(0, Number(result.confidence) || 0));
+    return {
+      project,
+      confidence: Math.round(confidence * 100) / 100,
+      rationale: result.rationale || '',
+    };
+
+  } catch (error) {
+    console.error('[OPENAI] Error classifying meeting project:', error.message);
+    
+    // Retry once on rate limit or timeout
+    if (shouldRetry(error, attempt)) {
+      console.log('[OPENAI] Retrying after 2 seconds...');
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      return classifyMeetingProject(sources, registry, attempt + 1);
+    }
+    
+    return null;
+  }
+}
+
 /**
  * Test OpenAI connection
  * @returns {Promise<boolean>} - True if connection successful
  */
 export async function testConnection() {
   try {
-    const response = await openai.chat.completions.create({
+    const response = await backend().chat.completions.create({
       model: MODEL,
       messages: [
         {
@@ -335,15 +468,29 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     const testTodo = process.argv[3] || 'send proposal to ClickUp client urgent by Friday';
 
     console.log(`Testing quick todo parsing: "${testTodo}"\n`);
-    const result = await parseQuickTodo(testTodo);
+    const result = await parseQuickTodo(testTodo, await projectRegistry.getRegistry());
     console.log('\nParsed result:');
     console.log(JSON.stringify(result, null, 2));
 
+  } else if (command === 'project') {
+    // Test meeting project classification: title, then to-dos
+    const [title = 'Monday sync', ...todos] = process.argv.slice(3);
+    const sources = [
+      { zone: 'title', text: title },
+      ...(todos.length > 0 ? todos : ['Merge duplicate contacts before the import']).map(text => ({ zone: 'todo', text }))
+    ];
+
+    console.log(`Testing meeting project classification: "${title}"\n`);
+    const result = await classifyMeetingProject(sources, await projectRegistry.getRegistry());
+    console.log('\nClassified result:');
+    console.log(JSON.stringify(result, null, 2));
+
   } else {
     console.log('Usage:');
     console.log('  node service/openai_client.js test                    - Test connection');
     console.log('  node service/openai_client.js categorize              - Test categorization');
     console.log('  node service/openai_client.js parse "todo text here"  - Test todo parsing');
+    console.log('  node service/openai_client.js project "title" "todo"  - Test meeting project choice');
   }
 }
 
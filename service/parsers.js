@@ -1,134 +1,446 @@
-// Parse due dates from natural language text
-export function parseDueDate(text, timezone = 'America/New_York') {
-  const textLower = text.toLowerCase();
-  const now = new Date();
+import * as priority from './priority.js';
+
+// Dates resolve in the workspace timezone unless a meeting overrides it
+export const DEFAULT_TIMEZONE = 'America/New_York';
+
+// True if Intl knows this IANA timezone name
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calendar date of an instant as seen in a timezone.
+ * Returned as UTC midnight so day arithmetic can use the UTC getters/setters
+ * without the server's own timezone leaking in.
+ * @param {Date} now - Instant
+ * @param {string} timezone - IANA timezone (e.g. America/New_York)
+ * @returns {Date} - That calendar day at 00:00 UTC
+ */
+export function zonedDate(now, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(now);
+  const get = type => parseInt(parts.find(p => p.type === type).value);
+  
+  return new Date(Date.UTC(get('year'), get('month') - 1, get('day')));
+}
+
+const MONTHS = {
+  jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3,
+  may: 4, jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7, sep: 8, sept: 8,
+  september: 8, oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11
+};
+
+export const WEEKDAYS = {
+  sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3, thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5, sat: 6, saturday: 6
+};
+
+export const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+// Regex fragments shared by the rules below
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+export const WEEKDAY = '(mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)';
+const FULL_WEEKDAY = '(monday|tuesday|wednesday|thursday|friday|saturday|sunday)';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const RANGE_SEP = '\\s*(?:-|–|—|to|through|thru|until)\\s*';
+// A word introducing a date, stripped from the title along with it
+const LEAD_IN = /\b(?:by|due|on|before|until|for|from)\s+$/i;
+// A word that makes a bare number read as a date ("by 3-4", "due 11/2")
+const DATE_CUE = /\b(?:by|due|on|before|until)\s+$/i;
+// A number followed by one of these is a count, not a day ("may 5 times", "Oct 3 people")
+const COUNTED = /^\s*(?:times|x|hours?|hrs?|minutes?|mins?|days?|weeks?|months?|people|pages?|items?)\b/i;
+
+/**
+ * Parse due dates from natural language text
+ * @param {string} text - To-do text
+ * @param {Object|string} options - { timezone, now } (a string is taken as the timezone)
+ *   timezone: IANA timezone the text was written in (default DEFAULT_TIMEZONE)
+ *   now: reference instant for relative dates (default: current time)
+ * @returns {Object|null} - { start, end, text, index } (dates as YYYY-MM-DD, end null
+ *   unless a range was written; text/index locate the matched words in the input),
+ *   or null if no date was found
+ */
+export function parseDate(text, options = {}) {
+  const { timezone = DEFAULT_TIMEZONE, now = new Date() } =
+    typeof options === 'string' ? { timezone: options } : options;
+  const today = zonedDate(now, timezone);
+  const year = today.getUTCFullYear();
   
   // Helper to format date as YYYY-MM-DD
   function formatDate(date) {
     return date.toISOString().split('T')[0];
   }
   
-  // Helper to get next occurrence of a weekday
-  function getNextWeekday(dayName) {
-    const days = {
-      'sunday': 0, 'monday': 1, 'tuesday': 2, 'wednesday': 3,
-      'thursday': 4, 'friday': 5, 'saturday': 6
-    };
-    
-    const targetDay = days[dayName.toLowerCase()];
-    const currentDay = now.getDay();
-    
-    let daysToAdd = targetDay - currentDay;
-    if (daysToAdd <= 0) daysToAdd += 7;
-    
-    const result = new Date(now);
-    result.setDate(now.getDate() + daysToAdd);
+  function addDays(date, days) {
+    const result = new Date(date);
+    result.setUTCDate(result.getUTCDate() + days);
     return result;
   }
   
-  // Explicit date formats
-  // YYYY-MM-DD
-  const isoMatch = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
-  if (isoMatch) {
-    return isoMatch[0];
+  // Same day N months later, clamped to the end of shorter months
+  function addMonths(date, months) {
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months + 1, 0));
+    return new Date(Date.UTC(lastDay.getUTCFullYear(), lastDay.getUTCMonth(), Math.min(date.getUTCDate(), lastDay.getUTCDate())));
   }
   
-  // MM/DD or MM-DD
-  const shortDateMatch = text.match(/\b(\d{1,2})[/-](\d{1,2})\b/);
-  if (shortDateMatch) {
-    const month = shortDateMatch[1].padStart(2, '0');
-    const day = shortDateMatch[2].padStart(2, '0');
-    return `${now.getFullYear()}-${month}-${day}`;
+  // Helper to get next occurrence of a weekday (never today)
+  function getNextWeekday(dayName, from = today) {
+    let daysToAdd = WEEKDAYS[dayName.toLowerCase()] - from.getUTCDay();
+    if (daysToAdd <= 0) daysToAdd += 7;
+    return addDays(from, daysToAdd);
   }
   
-  // Relative dates
-  if (textLower.includes('tomorrow')) {
-    const tomorrow = new Date(now);
-    tomorrow.setDate(now.getDate() + 1);
-    return formatDate(tomorrow);
+  // First occurrence on or after a date
+  function getWeekdayOnOrAfter(dayName, from) {
+    const daysToAdd = (WEEKDAYS[dayName.toLowerCase()] - from.getUTCDay() + 7) % 7;
+    return addDays(from, daysToAdd);
   }
   
-  if (textLower.includes('next week')) {
-    const nextWeek = new Date(now);
-    nextWeek.setDate(now.getDate() + 7);
-    return formatDate(nextWeek);
+  // A calendar date, or null if it doesn't exist (Feb 30)
+  function makeDate(y, month, day) {
+    const date = new Date(Date.UTC(y, month, day));
+    return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
   }
   
-  // By Friday, by this Friday, etc.
-  const weekdayMatch = textLower.match(/\b(?:by|this|next)?\s*(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/);
-  if (weekdayMatch) {
-    const isNext = textLower.includes('next ' + weekdayMatch[1]);
-    const targetDate = getNextWeekday(weekdayMatch[1]);
-    
-    if (isNext) {
-      targetDate.setDate(targetDate.getDate() + 7);
+  // Month/day without a year: this year, or next year if it has already passed
+  function upcoming(month, day, explicitYear) {
+    if (explicitYear) {
+      const y = parseInt(explicitYear);
+      return makeDate(y < 100 ? 2000 + y : y, month, day);
     }
-    
-    return formatDate(targetDate);
+    const date = makeDate(year, month, day);
+    return date && date < today ? makeDate(year + 1, month, day) : date;
   }
   
-  // End of month
-  if (textLower.includes('end of month') || textLower.includes('eom')) {
-    const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-    return formatDate(lastDay);
+  function endOfQuarter(quarter, y) {
+    return new Date(Date.UTC(y, quarter * 3, 0));
   }
   
-  // End of week
-  if (textLower.includes('end of week') || textLower.includes('eow')) {
-    return formatDate(getNextWeekday('Friday'));
+  function monthIndex(name) {
+    return MONTHS[name.toLowerCase().replace('.', '')];
   }
   
-  // No date found
-  return null;
-}
-
-// Parse priority from text
-export function parsePriority(text) {
-  const textLower = text.toLowerCase();
+  function hasCue(m) {
+    return DATE_CUE.test(m.input.slice(0, m.index));
+  }
   
-  // High priority keywords
-  const highKeywords = [
-    'urgent', 'asap', 'critical', 'emergency', 'immediately',
-    'high priority', 'top priority', 'blocking', 'must have',
-    'important', 'crucial'
-  ];
+  // Month name + day reads as a date: the day isn't a count, and a lowercase
+  // "may" (the verb) needs a cue, an ordinal or a year ("by may 5", "may 5th")
+  function isMonthDay(m, monthName, day, explicitYear) {
+    if (COUNTED.test(m.input.slice(m.index + m[0].length))) return false;
+    if (monthName === 'may' && !hasCue(m) && !/\d(?:st|nd|rd|th)/i.test(day) && !explicitYear) return false;
+    return true;
+  }
   
-  // Low priority keywords
-  const lowKeywords = [
-    'nice to have', 'when you can', 'low priority',
-    'optional', 'future', 'someday', 'backlog',
-    'eventually', 'if time'
+  // Each rule: a pattern and a resolver returning a date, [start, end] for ranges,
+  // or null when the words turn out not to be a date. An optional third element
+  // marks a match as weak: any other date in the text wins over it.
+  const rules = [
+    // 2026-11-02
+    [/\b(\d{4})-(\d{2})-(\d{2})\b/, m => makeDate(+m[1], m[2] - 1, +m[3])],
+    
+    // 11/2, 11/2/26, 11-2-2026; a hyphen without a year needs a cue ("by 11-2"),
+    // since "2-3 pages" and "1-2 days" are ranges of numbers
+    [/\b(\d{1,2})([/-])(\d{1,2})(?:\2(\d{2}|\d{4}))?\b(?![/-]\d)/, m => {
+      if (m[2] === '-' && !m[4] && !hasCue(m)) return null;
+      if (!m[4] && COUNTED.test(m.input.slice(m.index + m[0].length))) return null;
+      return upcoming(m[1] - 1, +m[3], m[4]);
+    }, m => !m[4] && !hasCue(m)],
+    
+    // Oct 25–27, Oct 25 - Nov 2
+    [new RegExp(`\\b${MONTH}\\s+${DAY}${RANGE_SEP}(?:${MONTH}\\s+)?${DAY}\\b`, 'i'), m => {
+      const start = isMonthDay(m, m[1], m[2]) && upcoming(monthIndex(m[1]), +m[2]);
+      if (!start) return null;
+      const endMonth = m[3] ? monthIndex(m[3]) : start.getUTCMonth();
+      let end = makeDate(start.getUTCFullYear(), endMonth, +m[4]);
+      if (end && end < start) end = makeDate(start.getUTCFullYear() + 1, endMonth, +m[4]);
+      return end ? [start, end] : null;
+    }],
+    
+    // Oct 25, October 25th, Oct 25 2026
+    [new RegExp(`\\b${MONTH}\\s+(\\d{1,2}(?:st|nd|rd|th)?)(?:,?\\s+(\\d{4}))?\\b`, 'i'), m =>
+      isMonthDay(m, m[1], m[2], m[3]) ? upcoming(monthIndex(m[1]), parseInt(m[2]), m[3]) : null],
+    
+    // 25 Oct, 25th of October
+    [new RegExp(`\\b(\\d{1,2}(?:st|nd|rd|th)?)\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?\\b`, 'i'), m =>
+      isMonthDay(m, m[2], m[1], m[3]) ? upcoming(monthIndex(m[2]), parseInt(m[1]), m[3]) : null],
+    
+    // by the 25th (a bare ordinal needs a lead-in: "3rd party" is not a date)
+    [/\b(?:by|on|due|before|until)\s+(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)\b/i, m => {
+      const day = +m[1];
+      // This month if still ahead, else the next month that has this day
+      for (let ahead = 0; ahead <= 2; ahead++) {
+        const first = new Date(Date.UTC(year, today.getUTCMonth() + ahead, 1));
+        const candidate = makeDate(first.getUTCFullYear(), first.getUTCMonth(), day);
+        if (candidate && candidate >= today) return candidate;
+      }
+      return null;
+    }],
+    
+    // Mon–Wed, Monday through Wednesday (a span can start today: "Mon–Wed" on a Monday is this week)
+    [new RegExp(`\\b${WEEKDAY}${RANGE_SEP}${WEEKDAY}\\b`, 'i'), m => {
+      const start = getWeekdayOnOrAfter(m[1], today);
+      return [start, getWeekdayOnOrAfter(m[2], start)];
+    }],
+    
+    // today, tonight, EOD (today), end of day, COB
+    [/\b(?:(?:eod|end of (?:the )?day|cob|close of business)(?:\s+today)?|today|tonight)\b/i, () => today],
+    
+    [/\btomorrow\b/i, () => addDays(today, 1)],
+    
+    // in 3 days, in two weeks, in a month
+    [/\bin\s+(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten)\s+(day|week|month)s?\b/i, m => {
+      const count = NUMBER_WORDS[m[1].toLowerCase()] ?? parseInt(m[1]);
+      const unit = m[2].toLowerCase();
+      if (unit === 'month') return addMonths(today, count);
+      return addDays(today, unit === 'week' ? count * 7 : count);
+    }],
+    
+    [/\bnext week\b/i, () => addDays(today, 7)],
+    
+    [/\bnext month\b/i, () => addMonths(today, 1)],
+    
+    // end of quarter, EOQ
+    [/\b(?:end of (?:the )?quarter|eoq)\b/i, () => endOfQuarter(Math.floor(today.getUTCMonth() / 3) + 1, year)],
+    
+    // Q4, end of Q4, Q1 2027 (a quarter already over means next year's)
+    [/\b(?:end of\s+)?q([1-4])(?:\s+(\d{4}))?\b/i, m => {
+      const quarter = +m[1];
+      if (m[2]) return endOfQuarter(quarter, +m[2]);
+      const end = endOfQuarter(quarter, year);
+      return end < today ? endOfQuarter(quarter, year + 1) : end;
+    }],
+    
+    // end of month, EOM
+    [/\b(?:end of (?:the )?month|eom)\b/i, () => new Date(Date.UTC(year, today.getUTCMonth() + 1, 0))],
+    
+    // end of year, EOY
+    [/\b(?:end of (?:the )?year|eoy)\b/i, () => new Date(Date.UTC(year, 11, 31))],
+    
+    // end of week, EOW
+    [/\b(?:end of (?:the )?week|eow)\b/i, () => getNextWeekday('Friday')],
+    
+    // next Friday, by Fri (abbreviations need a lead-in: "sat" and "sun" are words)
+    [new RegExp(`\\b(?:(next)\\s+|(?:by|on|this|due|before|until)\\s+)${WEEKDAY}\\b`, 'i'), m => {
+      const date = getNextWeekday(m[2]);
+      return m[1] ? addDays(date, 7) : date;
+    }],
+    
+    // Friday
+    [new RegExp(`\\b${FULL_WEEKDAY}\\b`, 'i'), m => getNextWeekday(m[1])]
   ];
   
-  // Count keyword matches
-  let highCount = 0;
-  let lowCount = 0;
-  
-  for (const keyword of highKeywords) {
-    if (textLower.includes(keyword)) {
-      highCount++;
+  // A weekday or relative phrase beats a bare number like "11/2"; otherwise
+  // the earliest match wins, and at the same position the longest (ranges over single days)
+  let best = null;
+  for (const [pattern, resolve, isWeak] of rules) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    
+    const resolved = resolve(match);
+    if (!resolved) continue;
+    
+    const [start, end] = Array.isArray(resolved) ? resolved : [resolved, null];
+    if (!start) continue;
+    
+    const weak = Boolean(isWeak?.(match));
+    const earlier = !best || match.index < best.index || (match.index === best.index && match[0].length > best.text.length);
+    if (!best || (best.weak && !weak) || (best.weak === weak && earlier)) {
+      best = { start, end, text: match[0], index: match.index, weak };
     }
   }
   
-  for (const keyword of lowKeywords) {
-    if (textLower.includes(keyword)) {
-      lowCount++;
-    }
+  if (!best) {
+    // No date found
+    return null;
   }
   
-  // Strong evidence for high priority
-  if (highCount >= 2 || textLower.includes('high priority') || textLower.includes('urgent')) {
-    return 'High';
+  // Pull in a lead-in word ("by", "due", ...) so stripping the span leaves clean text
+  const lead = text.slice(0, best.index).match(LEAD_IN);
+  if (lead) {
+    best.index -= lead[0].length;
+    best.text = lead[0] + best.text;
   }
   
-  // Evidence for low priority
-  if (lowCount >= 1 || textLower.includes('low priority')) {
-    return 'Low';
+  return {
+    start: formatDate(best.start),
+    end: best.end ? formatDate(best.end) : null,
+    text: best.text,
+    index: best.index
+  };
+}
+
+/**
+ * Parse a due date from natural language text
+ * @param {string} text - To-do text
+ * @param {Object|string} options - See parseDate()
+ * @returns {string|null} - YYYY-MM-DD start date, or null if no date was found
+ */
+export function parseDueDate(text, options = {}) {
+  return parseDate(text, options)?.start ?? null;
+}
+
+// Working hours per unit of effort
+const EFFORT_HOURS = {
+  minute: 1 / 60, min: 1 / 60, mins: 1 / 60, m: 1 / 60,
+  hour: 1, hr: 1, hrs: 1, h: 1,
+  day: 8, d: 8,
+  week: 40, wk: 40, wks: 40, w: 40
+};
+
+const EFFORT_AMOUNT = '(\\d+(?:\\.\\d+)?|an?|one|two|three|four|five|six|seven|eight|nine|ten|a couple(?: of)?|couple(?: of)?|a few|few)';
+const EFFORT_UNIT = '(minutes?|mins?|hours?|hrs?|hr|days?|weeks?|wks?)';
+const EFFORT_RULES = [
+  // 2-3 hours, 1–2 days (planning uses the upper end)
+  [new RegExp(`\\b(\\d+(?:\\.\\d+)?)\\s*(?:-|–|to)\\s*(\\d+(?:\\.\\d+)?)\\s*-?${EFFORT_UNIT}\\b`, 'gi'), m => +m[2] * effortUnit(m[3])],
+  // 30 min, 2 hours, an hour, a couple of days, 30-min call
+  [new RegExp(`\\b${EFFORT_AMOUNT}\\s*-?${EFFORT_UNIT}\\b`, 'gi'), m => effortAmount(m[1]) * effortUnit(m[2])],
+  // 2h, 1.5d, 30m (unit letter attached to the number)
+  [/\b(\d+(?:\.\d+)?)(m|h|d|w)\b/gi, m => +m[1] * effortUnit(m[2])],
+  // half a day, half-day, half an hour
+  [/\bhalf(?:\s+an?\s+|-|\s+)(day|hour)\b/gi, m => effortUnit(m[1]) / 2],
+  // all day, full day, whole day
+  [/\b(?:all|full|whole)(?:\s+|-)day\b/gi, () => EFFORT_HOURS.day]
+];
+
+// Words that make "2 days" a date, a frequency or a span of time ("pause for 2 weeks") rather than effort
+const NOT_EFFORT_BEFORE = /\b(?:for|in|within|after|every|each|next|last|past|once|twice|times|per)\s+$/i;
+const NOT_EFFORT_AFTER = /^\s+(?:ago|later|from now|before|after|early|late|out|overdue|notice)\b/i;
+
+function effortUnit(unit) {
+  const key = unit.toLowerCase();
+  return EFFORT_HOURS[key] ?? EFFORT_HOURS[key.replace(/s$/, '')];
+}
+
+function effortAmount(amount) {
+  const key = amount.toLowerCase();
+  if (/couple/.test(key)) return 2;
+  if (/few/.test(key)) return 3;
+  return NUMBER_WORDS[key] ?? parseFloat(key);
+}
+
+/**
+ * Parse an effort estimate ("~2h", "half a day", "30 min call") from text
+ * @param {string} text - To-do text (dates and recurrence already masked out)
+ * @returns {Object|null} - { hours, text, index } with hours rounded to 0.01, or null
+ */
+export function parseEstimate(text) {
+  let best = null;
+  
+  for (const [pattern, resolve] of EFFORT_RULES) {
+    for (const match of text.matchAll(pattern)) {
+      const before = text.slice(0, match.index);
+      const after = text.slice(match.index + match[0].length);
+      if (NOT_EFFORT_BEFORE.test(before) || NOT_EFFORT_AFTER.test(after)) continue;
+      
+      const hours = resolve(match);
+      if (!(hours > 0)) continue;
+      
+      if (!best || match.index < best.index || (match.index === best.index && match[0].length > best.text.length)) {
+        best = { hours: Math.round(hours * 100) / 100, text: match[0], index: match.index };
+      }
+      break;
+    }
   }
   
-  // Default
-  return 'Medium';
+  return best;
 }
 
+/**
+ * Parse priority from text
+ * @param {string} text - To-do text
+ * @param {Object} lexicon - From priority.buildLexicon() (default: built-in lexicon)
+ * @returns {string} - 'High', 'Medium' or 'Low' (see priority.classifyPriority() for the reasons)
+ */
+export function parsePriority(text, lexicon) {
+  return priority.classifyPriority(text, lexicon).priority;
+}
 
 
+
+/**
+ * Build a lookup of workspace users by alias (case-insensitive)
+ * @param {Array} people - config.people: [{ name, user_id, aliases: [] }]
+ * @returns {Map} - alias -> { id, name }
+ */
+export function buildAliasIndex(people = []) {
+  const index = new Map();
+  
+  for (const person of people) {
+    if (!person.user_id) continue;
+    
+    const entry = { id: person.user_id, name: person.name };
+    for (const alias of [person.name, ...(person.aliases || [])]) {
+      if (alias) {
+        index.set(alias.trim().toLowerCase(), entry);
+      }
+    }
+  }
+  
+  return index;
+}
+
+// Names that lead an action item: "Chuck to send…", "Karen: review…", "Chuck and Karen will…"
+const NAME = "[A-Z][\\w'.-]*(?:\\s+[A-Z][\\w'.-]*)?";
+const LEADING_NAMES = new RegExp(
+  `^\\s*(${NAME}(?:\\s*(?:,|&|/|\\band\\b)\\s*${NAME})*)\\s*(?::|\\s-\\s|\\s(?:to|will|should|can|needs? to)\\b)`
+);
+
+// Explicit hand-offs anywhere in the text: "assigned to Karen", "owner: Chuck", "(Chuck)", "@Chuck"
+const EXPLICIT_NAMES = [
+  new RegExp(`\\bassign(?:ed)? to\\s+(${NAME})`, 'gi'),
+  new RegExp(`\\bowner:?\\s+(${NAME})`, 'gi'),
+  new RegExp(`\\((${NAME})\\)\\s*$`, 'g'),
+  /(?:^|\s)@([A-Za-z][\w'.-]*)/g
+];
+
+/**
+ * Resolve people named in an action item through the alias table.
+ * Only names in the table count, so "Review to-dos:" never becomes an assignee.
+ * @param {string} text - To-do text
+ * @param {Map} aliases - From buildAliasIndex()
+ * @returns {Array<string>} - Notion user IDs, in order of appearance
+ */
+export function parseAssignees(text, aliases) {
+  if (!aliases || aliases.size === 0) {
+    return [];
+  }
+  
+  const candidates = [];
+  
+  const leading = text.match(LEADING_NAMES);
+  if (leading) {
+    candidates.push(...leading[1].split(/\s*(?:,|&|\/|\band\b)\s*/));
+  }
+  
+  for (const pattern of EXPLICIT_NAMES) {
+    for (const match of text.matchAll(pattern)) {
+      candidates.push(match[1]);
+    }
+  }
+  
+  const ids = [];
+  for (const candidate of candidates) {
+    // "Karen Smith" may only be known as "Karen"
+    const words = candidate.trim().toLowerCase();
+    const person = aliases.get(words) || aliases.get(words.split(/\s+/)[0]);
+    if (person && !ids.includes(person.id)) {
+      ids.push(person.id);
+    }
+  }
+  
+  return ids;
+}
@@ -0,0 +1,81 @@
+import { readFile } from 'fs/promises';
+import * as client from './notion_client.js';
+
+// Planning totals over task estimates: open (not Done) hours per project per
+// week, where a task's week is the Monday of its Due date.
+
+const UNSCHEDULED = 'unscheduled';
+
+// Monday (YYYY-MM-DD) of the week a date falls in
+export function weekOf(date) {
+  const day = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().split('T')[0];
+}
+
+/**
+ * Total open estimates per project and week
+ * @param {Array} tasks - Task pages (Done tasks and tasks without an Estimate are ignored)
+ * @returns {Object} - { projects: { [project]: { weeks: { [monday|'unscheduled']: hours },
+ *   total, tasks } }, weeks: sorted week keys ('unscheduled' last) }
+ */
+export function weeklyEstimates(tasks) {
+  const projects = {};
+  const weeks = new Set();
+
+  for (const task of tasks) {
+    const hours = task.properties.Estimate?.number;
+    if (typeof hours !== 'number' || task.properties.Status?.select?.name === 'Done') {
+      continue;
+    }
+
+    const project = task.properties.Project?.select?.name || '(no project)';
+    const due = task.properties.Due?.date?.start;
+    const week = due ? weekOf(due) : UNSCHEDULED;
+
+    const entry = projects[project] ||= { weeks: {}, total: 0, tasks: 0 };
+    entry.weeks[week] = round((entry.weeks[week] || 0) + hours);
+    entry.total = round(entry.total + hours);
+    entry.tasks++;
+    weeks.add(week);
+  }
+
+  return {
+    projects,
+    weeks: [...weeks].sort((a, b) => (a === UNSCHEDULED) - (b === UNSCHEDULED) || a.localeCompare(b))
+  };
+}
+
+function round(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+// CLI: print open estimate totals per project and week
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const asJson = process.argv.includes('--json');
+
+  try {
+    const config = JSON.parse(await readFile('./CA_V2_CONFIG.json', 'utf-8'));
+    const tasks = await client.getOpenEstimatedTasks(config.databases.tasks.id);
+    const report = weeklyEstimates(tasks);
+
+    if (asJson) {
+      console.log(JSON.stringify(report, null, 2));
+    } else if (Object.keys(report.projects).length === 0) {
+      console.log('No open tasks with an Estimate');
+    } else {
+      console.log(`Open estimates (hours) by week starting Monday:\n`);
+      console.log(['Project'.padEnd(28), ...report.weeks.map(w => w.padStart(12)), 'Total'.padStart(8)].join(''));
+      for (const [project, entry] of Object.entries(report.projects).sort(([a], [b]) => a.localeCompare(b))) {
+        console.log([
+          project.substring(0, 27).padEnd(28),
+          ...report.weeks.map(w => String(entry.weeks[w] ?? '-').padStart(12)),
+          String(entry.total).padStart(8)
+        ].join(''));
+      }
+    }
+  } catch (error) {
+    console.error(`[PLANNING] Failed to build estimate report: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
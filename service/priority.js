@@ -0,0 +1,146 @@
+// Priority from the wording of a to-do.
+// Text is split into word tokens, so "importantly" doesn't fire "important" and
+// "futureproof" doesn't fire "future". Each term in the lexicon carries a weight;
+// a term preceded by a negation in the same clause ("not urgent", "isn't
+// optional") counts for the opposite side instead. The level is the side whose
+// weight reaches its threshold and outweighs the other; otherwise Medium.
+//
+// The lexicon can be tuned in CA_V2_CONFIG.json:
+//   "priority": {
+//     "high": { "urgent": 2, "exec ask": 2 },   // added or re-weighted terms
+//     "low": { "someday": 1, "future": 0 },     // weight 0 removes a term
+//     "negations": ["not", "no"],                // replaces the default list
+//     "thresholds": { "high": 2, "low": 1 }
+//   }
+
+const DEFAULT_HIGH = {
+  'urgent': 2, 'asap': 2, 'critical': 2, 'emergency': 2, 'blocking': 2, 'blocker': 2,
+  'high priority': 2, 'top priority': 2, 'p0': 2, 'p1': 2,
+  'immediately': 1, 'important': 1, 'crucial': 1, 'must have': 1, 'time sensitive': 1
+};
+
+const DEFAULT_LOW = {
+  'low priority': 2, 'nice to have': 1, 'when you can': 1, 'optional': 1, 'future': 1,
+  'someday': 1, 'backlog': 1, 'eventually': 1, 'if time': 1, 'no rush': 1, 'whenever': 1
+};
+
+const DEFAULT_NEGATIONS = [
+  'not', 'no', 'never', 'without', 'hardly', "isn't", "aren't", "wasn't", "don't",
+  "doesn't", "won't", 'isnt', 'arent', 'dont', 'doesnt', 'wont', 'non'
+];
+
+const DEFAULT_THRESHOLDS = { high: 2, low: 1 };
+
+// Tokens a negation may sit before its term ("not really that urgent")
+const NEGATION_WINDOW = 3;
+
+const WORD = /[a-z0-9]+(?:'[a-z]+)?|[.,;:!?()\[\]]/g;
+
+function tokenize(text) {
+  return (text.toLowerCase().replace(/[’‘]/g, "'").match(WORD) || []);
+}
+
+function isWord(token) {
+  return /^[a-z0-9]/.test(token);
+}
+
+// Config weights over the defaults, dropping zero-weight terms
+function mergeTerms(defaults, overrides = {}) {
+  const merged = { ...defaults };
+  for (const [term, weight] of Object.entries(overrides)) {
+    const key = tokenize(term).join(' ');
+    if (Number(weight) > 0) {
+      merged[key] = Number(weight);
+    } else {
+      delete merged[key];
+    }
+  }
+  return Object.entries(merged).map(([term, weight]) => ({ term, words: term.split(' '), weight }));
+}
+
+/**
+ * Build the classifier lexicon from the "priority" config section
+ * @param {Object} config - config.priority ({ high, low, negations, thresholds }), all optional
+ * @returns {Object} - { high, low, negations, thresholds } for classifyPriority()
+ */
+export function buildLexicon(config = {}) {
+  return {
+    high: mergeTerms(DEFAULT_HIGH, config.high),
+    low: mergeTerms(DEFAULT_LOW, config.low),
+    negations: new Set((config.negations || DEFAULT_NEGATIONS).map(word => word.toLowerCase())),
+    thresholds: { ...DEFAULT_THRESHOLDS, ...config.thresholds }
+  };
+}
+
+const DEFAULT_LEXICON = buildLexicon();
+
+// Negation within the window before a token position, without crossing punctuation
+function isNegated(tokens, start, negations) {
+  for (let i = start - 1; i >= Math.max(0, start - NEGATION_WINDOW); i--) {
+    if (!isWord(tokens[i])) return false;
+    if (negations.has(tokens[i])) return true;
+  }
+  return false;
+}
+
+// Positions where a term's words appear in sequence
+function findTerm(tokens, words) {
+  const positions = [];
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    if (words.every((word, j) => tokens[i + j] === word)) {
+      positions.push(i);
+    }
+  }
+  return positions;
+}
+
+/**
+ * Classify a to-do's priority and say why
+ * @param {string} text - To-do text
+ * @param {Object} lexicon - From buildLexicon() (default: built-in lexicon)
+ * @returns {Object} - { priority: 'High'|'Medium'|'Low', scores: { high, low },
+ *   matches: [{ term, side, weight, negated }], explanation }
+ */
+export function classifyPriority(text, lexicon = DEFAULT_LEXICON) {
+  const tokens = tokenize(text);
+  const scores = { high: 0, low: 0 };
+  const matches = [];
+  const claimed = new Set();
+
+  // Longer phrases first, so "low priority" claims its words before a shorter term could
+  const terms = [
+    ...lexicon.high.map(t => ({ ...t, side: 'high' })),
+    ...lexicon.low.map(t => ({ ...t, side: 'low' }))
+  ].sort((a, b) => b.words.length - a.words.length);
+
+  for (const { term, words, weight, side } of terms) {
+    for (const position of findTerm(tokens, words)) {
+      const span = words.map((_, j) => position + j);
+      if (span.some(i => claimed.has(i))) continue;
+      span.forEach(i => claimed.add(i));
+
+      const negated = isNegated(tokens, position, lexicon.negations);
+      const counted = negated ? (side === 'high' ? 'low' : 'high') : side;
+      scores[counted] += weight;
+      matches.push({ term, side: counted, weight, negated });
+    }
+  }
+
+  let priority = 'Medium';
+  if (scores.high >= lexicon.thresholds.high && scores.high > scores.low) {
+    priority = 'High';
+  } else if (scores.low >= lexicon.thresholds.low && scores.low > scores.high) {
+    priority = 'Low';
+  }
+
+  return { priority, scores, matches, explanation: explain(priority, scores, matches) };
+}
+
+// "High (high 3, low 0): urgent +2 high, not optional +1 high (negated)"
+function explain(priority, scores, matches) {
+  if (matches.length === 0) {
+    return `${priority}: no priority terms`;
+  }
+  const terms = matches.map(m => `${m.negated ? 'negated ' : ''}"${m.term}" +${m.weight} ${m.side}`);
+  return `${priority} (high ${scores.high}, low ${scores.low}): ${terms.join(', ')}`;
+}
@@ -0,0 +1,87 @@
+// Multinomial naive Bayes over meeting words, trained on project corrections.
+// A meeting is the bag of words of its title, headings and to-dos (the
+// sources inference.collectSources() returns); each project's word counts are
+// Laplace-smoothed so a word never seen for a project doesn't rule it out.
+// The model is plain JSON, cheap enough to retrain on every new correction.
+
+// Words that say nothing about a project
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in',
+  'is', 'it', 'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'we', 'with', 'will',
+  'meeting', 'sync', 'call', 'notes', 'weekly', 'update'
+]);
+
+/**
+ * Words the classifier counts for a meeting
+ * @param {Array<Object>} sources - [{ zone, text }] from inference.collectSources()
+ * @returns {Array<string>} - Lowercase words, stopwords, single letters and bare numbers dropped
+ */
+export function features(sources) {
+  return sources
+    .flatMap(source => source.text.toLowerCase().replace(/[’‘]/g, "'").match(/[a-z0-9]+/g) || [])
+    .filter(word => word.length > 1 && !/^\d+$/.test(word) && !STOPWORDS.has(word));
+}
+
+/**
+ * Train a model on labelled meetings
+ * @param {Array<Object>} examples - [{ project, sources }]
+ * @returns {Object} - { classes: { [project]: { docs, counts: { [word]: n }, total } },
+ *   vocabulary (distinct words), examples }
+ */
+export function train(examples) {
+  const classes = {};
+  const vocabulary = new Set();
+
+  for (const { project, sources } of examples) {
+    const entry = classes[project] ||= { docs: 0, counts: {}, total: 0 };
+    entry.docs++;
+
+    for (const word of features(sources)) {
+      entry.counts[word] = (entry.counts[word] || 0) + 1;
+      entry.total++;
+      vocabulary.add(word);
+    }
+  }
+
+  return { classes, vocabulary: vocabulary.size, examples: examples.length };
+}
+
+/**
+ * Probability of each project for a meeting
+ * @param {Object} model - From train()
+ * @param {Array<Object>} sources - [{ zone, text }]
+ * @param {Array<string>} candidates - Projects that may be chosen (default: every trained one)
+ * @returns {Object|null} - { project, probabilities: { [project]: 0..1 } }, or null when
+ *   fewer than two candidate projects have examples (nothing to tell apart)
+ */
+export function predict(model, sources, candidates = null) {
+  const names = Object.keys(model?.classes || {}).filter(name => !candidates || candidates.includes(name));
+  if (names.length < 2) {
+    return null;
+  }
+
+  const words = features(sources);
+  const docs = names.reduce((sum, name) => sum + model.classes[name].docs, 0);
+
+  const logScores = names.map(name => {
+    const { docs: classDocs, counts, total } = model.classes[name];
+    let score = Math.log(classDocs / docs);
+    for (const word of words) {
+      score += Math.log(((counts[word] || 0) + 1) / (total + model.vocabulary + 1));
+    }
+    return score;
+  });
+
+  // Softmax in log space, so long meetings don't underflow to 0
+  const max = Math.max(...logScores);
+  const exp = logScores.map(score => Math.exp(score - max));
+  const sum = exp.reduce((a, b) => a + b, 0);
+
+  const probabilities = {};
+  names.forEach((name, i) => {
+    probabilities[name] = Math.round(exp[i] / sum * 1000) / 1000;
+  });
+
+  const [project] = names.reduce((best, name) => probabilities[name] > best[1] ? [name, probabilities[name]] : best, [null, -1]);
+  return { project, probabilities };
+}
@@ -1,4 +1,5 @@
 import * as client from './notion_client.js';
+import * as blockTree from './block_tree.js';
 import * as openai from './openai_client.js';
 
 // Log with timestamp
@@ -8,86 +9,31 @@ function log(message, level = 'INFO') {
 }
 
 /**
- * Find "Project Information" section in meeting page blocks
- * @param {Array} blocks - All blocks from meeting page
- * @returns {Object|null} - { startIndex, endIndex, heading } or null if not found
+ * Find "Project Information" section in a meeting page
+ * @param {Object} tree - Block tree of the meeting page
+ * @returns {Object|null} - { heading, nodes } or null if not found
  */
-export function findProjectInfoSection(blocks) {
-  let projectInfoIndex = -1;
-  let nextHeadingIndex = -1;
-
-  // Look for "Project Information" heading (case insensitive)
-  for (let i = 0; i < blocks.length; i++) {
-    const block = blocks[i];
-    
-    // Check heading blocks
-    if (block.type.includes('heading')) {
-      const text = block[block.type].rich_text
-        .map(t => t.plain_text)
-        .join('')
-        .toLowerCase()
-        .trim();
-      
-      if (text.includes('project information') || text.includes('project info')) {
-        projectInfoIndex = i;
-        continue;
-      }
-      
-      // If we found project info section, this is the next heading
-      if (projectInfoIndex !== -1) {
-        nextHeadingIndex = i;
-        break;
-      }
-    }
-  }
-
-  if (projectInfoIndex === -1) {
-    return null;
-  }
-
-  // If no next heading found, go to end of blocks
-  if (nextHeadingIndex === -1) {
-    nextHeadingIndex = blocks.length;
-  }
-
-  return {
-    startIndex: projectInfoIndex,
-    endIndex: nextHeadingIndex,
-    heading: blocks[projectInfoIndex],
-  };
+export function findProjectInfoSection(tree) {
+  // Look for "Project Information" heading (case insensitive); the section runs
+  // until the next heading of the same or higher level under the same parent
+  return blockTree.findSection(tree, text => {
+    const lower = text.toLowerCase();
+    return lower.includes('project information') || lower.includes('project info');
+  });
 }
 
 /**
  * Extract bullet points from a section
- * @param {Array} blocks - All blocks from page
- * @param {number} startIndex - Start of section
- * @param {number} endIndex - End of section
+ * @param {Object} section - Section from findProjectInfoSection()
  * @returns {Array<string>} - Array of bullet text
  */
-export function extractInfoBullets(blocks, startIndex, endIndex) {
+export function extractInfoBullets(section) {
   const bullets = [];
 
-  for (let i = startIndex + 1; i < endIndex; i++) {
-    const block = blocks[i];
-
-    // Extract from bulleted_list_item
-    if (block.type === 'bulleted_list_item' && block.bulleted_list_item) {
-      const text = block.bulleted_list_item.rich_text
-        .map(t => t.plain_text)
-        .join('')
-        .trim();
-      
-      if (text) {
-        bullets.push(text);
-      }
-    }
-
-    // Also extract from numbered_list_item
-    if (block.type === 'numbered_list_item' && block.numbered_list_item) {
-      const text = block.numbered_list_item.rich_text
-        .map(t => t.plain_text)
-        .join('')
-        .trim();
+  for (const block of blockTree.sectionBlocks(section)) {
+    // Extract from bulleted_list_item and numbered_list_item
+    if (block.type === 'bulleted_list_item' || block.type === 'numbered_list_item') {
+      const text = blockTree.blockText(block);
       
       if (text) {
         bullets.push(text);
@@ -96,10 +42,7 @@ export function extractInfoBullets(blocks, startIndex, endIndex) {
 
     // Extract from paragraph (in case user just typed lines)
     if (block.type === 'paragraph' && block.paragraph) {
-      const text = block.paragraph.rich_text
-        .map(t => t.plain_text)
-        .join('')
-        .trim();
+      const text = blockTree.blockText(block);
       
       // Only include if it starts with - or • or has meaningful content
       if (text && (text.startsWith('-') || text.startsWith('•') || text.length > 10)) {
@@ -124,22 +67,21 @@ export async function extractAndCategorize(meetingPageId) {
   try {
     log(`Extracting project info from meeting: ${meetingPageId}`);
 
-    // Get all blocks from meeting page
-    const blocks = await client.getAllBlocksRecursive(meetingPageId);
-    log(`Retrieved ${blocks.length} blocks from meeting`);
+    // Get block tree of meeting page
+    const tree = await client.getBlockTree(meetingPageId);
 
     // Find project information section
-    const section = findProjectInfoSection(blocks);
+    const section = findProjectInfoSection(tree);
     
     if (!section) {
       log('No "Project Information" section found');
       return null;
     }
 
-    log(`Found "Project Information" section at index ${section.startIndex}`);
+    log(`Found "Project Information" section at block ${section.heading.id} (${section.nodes.length} blocks)`);
 
     // Extract bullets from that section
-    const bullets = extractInfoBullets(blocks, section.startIndex, section.endIndex);
+    const bullets = extractInfoBullets(section);
     
     if (bullets.length === 0) {
       log('Project Information section is empty');
@@ -177,14 +119,14 @@ export async function extractAndCategorize(meetingPageId) {
  */
 export async function hasProjectInfo(meetingPageId) {
   try {
-    const blocks = await client.getAllBlocksRecursive(meetingPageId);
-    const section = findProjectInfoSection(blocks);
+    const tree = await client.getBlockTree(meetingPageId);
+    const section = findProjectInfoSection(tree);
     
     if (!section) {
       return false;
     }
 
-    const bullets = extractInfoBullets(blocks, section.startIndex, section.endIndex);
+    const bullets = extractInfoBullets(section);
     return bullets.length > 0;
 
   } catch (error) {
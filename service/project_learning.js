@@ -0,0 +1,105 @@
+import * as inference from './inference.js';
+import * as projectClassifier from './project_classifier.js';
+import * as projectRegistry from './project_registry.js';
+import * as state from './state_store.js';
+
+// Learning project inference from people's corrections. Each time someone sets
+// the Project of a meeting flagged Needs Review? (or clears the flag, confirming
+// the guess), the automation journals a `correction` with the meeting's title,
+// headings and to-dos. Those are the labelled examples the classifier in
+// project_classifier.js is trained on; inference uses it once there are enough.
+
+// Corrections needed before the model takes part in inference
+export const MIN_EXAMPLES = 5;
+
+let cached = null;
+let cachedKey = null;
+
+function toExample(correction) {
+  return { project: correction.project, sources: correction.sources || [] };
+}
+
+/**
+ * Model trained on every correction so far, retrained when one is added or changed
+ * @returns {Object|null} - project_classifier model, or null below MIN_EXAMPLES
+ */
+export function getModel() {
+  const corrections = state.getCorrections();
+  if (corrections.length < MIN_EXAMPLES) {
+    return null;
+  }
+
+  // Re-correcting a meeting replaces its example without changing the count,
+  // so the newest correction's time is part of the key
+  const latest = corrections.reduce((max, correction) => correction.at > max ? correction.at : max, '');
+  const key = `${corrections.length}@${latest}`;
+  if (!cached || cachedKey !== key) {
+    cached = projectClassifier.train(corrections.map(toExample));
+    cachedKey = key;
+  }
+  return cached;
+}
+
+/**
+ * Leave-one-out accuracy: each correction is predicted by a model trained on all the others
+ * @param {Array<Object>} corrections - From state.getCorrections()
+ * @param {Object} registry - From projectRegistry.getRegistry()
+ * @returns {Object} - { examples, original, keywords, learned, combined } where each
+ *   method is { correct, accuracy } (learned also counts the meetings it abstained on)
+ */
+export function evaluate(corrections, registry) {
+  const candidates = projectRegistry.activeProjects(registry).map(p => p.name);
+  const tally = {
+    original: { correct: 0 },
+    keywords: { correct: 0 },
+    learned: { correct: 0, abstained: 0 },
+    combined: { correct: 0 }
+  };
+
+  corrections.forEach((correction, i) => {
+    const model = projectClassifier.train(corrections.filter((_, j) => j !== i).map(toExample));
+    const sources = correction.sources || [];
+    const learned = projectClassifier.predict(model, sources, candidates);
+
+    tally.original.correct += correction.inferred === correction.project ? 1 : 0;
+    tally.keywords.correct += inference.inferFromSources(sources, registry).project === correction.project ? 1 : 0;
+    tally.combined.correct += inference.inferFromSources(sources, registry, model).project === correction.project ? 1 : 0;
+    if (learned) {
+      tally.learned.correct += learned.project === correction.project ? 1 : 0;
+    } else {
+      tally.learned.abstained++;
+    }
+  });
+
+  for (const method of Object.values(tally)) {
+    method.accuracy = corrections.length ? Math.round(method.correct / corrections.length * 1000) / 1000 : null;
+  }
+  return { examples: corrections.length, ...tally };
+}
+
+// CLI: how well inference would have done on the corrections collected so far
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const asJson = process.argv.includes('--json');
+  const corrections = state.getCorrections();
+
+  if (corrections.length === 0) {
+    console.log('No project corrections recorded yet');
+  } else {
+    const registry = await projectRegistry.getRegistry();
+    const report = evaluate(corrections, registry);
+
+    if (asJson) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      const percent = method => `${(method.accuracy * 100).toFixed(1)}%`.padStart(7);
+      console.log(`Held-out accuracy over ${report.examples} correction(s) (leave-one-out):\n`);
+      console.log(`  At the time (original guess)   ${percent(report.original)}`);
+      console.log(`  Keywords (current registry)    ${percent(report.keywords)}`);
+      console.log(`  Learned model alone            ${percent(report.learned)}  (abstained on ${report.learned.abstained})`);
+      console.log(`  Keywords + learned model       ${percent(report.combined)}`);
+      if (report.examples < MIN_EXAMPLES) {
+        console.log(`\nThe model joins inference after ${MIN_EXAMPLES} corrections (${report.examples} so far).`);
+      }
+    }
+  }
+}
@@ -1,4 +1,6 @@
 import * as client from './notion_client.js';
+import * as blockTree from './block_tree.js';
+import * as state from './state_store.js';
 import { readFile } from 'fs/promises';
 
 // Log with timestamp
@@ -24,19 +26,23 @@ export async function findProjectPage(projectName) {
     const projectsDbId = config.databases.projects.id;
 
     // Query for project with matching name
-    const response = await client.queryDatabase(projectsDbId, {
+    const matches = await client.queryAll(projectsDbId, {
       property: 'Name',
       title: {
         equals: projectName
       }
     });
 
-    if (response.results.length === 0) {
+    if (matches.length === 0) {
       log(`Project page not found for: ${projectName}`, 'WARN');
       return null;
     }
 
-    const pageId = response.results[0].id;
+    if (matches.length > 1) {
+      log(`Found ${matches.length} project pages named ${projectName}, using the first`, 'WARN');
+    }
+
+    const pageId = matches[0].id;
     log(`Found project page for ${projectName}: ${pageId}`);
     return pageId;
 
@@ -64,10 +70,9 @@ export function formatEntry(content, meetingTitle, meetingId) {
  * @param {string} sectionHeading - Heading to find (e.g., "🔑 Credentials & Access")
  * @param {string} content - Content to append
  * @param {string} fallbackSection - Section to use if primary not found (default: "💡 Project Context & Decisions")
- * @param {number} retryCount - Current retry attempt (internal use)
  * @returns {Promise<boolean>} - True if successful
  */
-export async function appendToSection(pageId, sectionHeading, content, fallbackSection = '💡 Project Context & Decisions', retryCount = 0) {
+export async function appendToSection(pageId, sectionHeading, content, fallbackSection = '💡 Project Context & Decisions') {
   try {
     log(`Appending to section "${sectionHeading}" in page ${pageId}`);
     log(`Content length: ${content.length} chars`);
@@ -75,39 +80,31 @@ export async function appendToSection(pageId, sectionHeading, content, fallbackS
 
     // Get ONLY top-level blocks (no recursion) - much faster!
     const startTime = Date.now();
-    const blocks = await client.getTopLevelBlocks(pageId);
+    const tree = await client.getBlockTree(pageId, { maxDepth: 0 });
     const fetchTime = Date.now() - startTime;
-    log(`Fetched ${blocks.length} top-level blocks in ${fetchTime}ms`);
+    log(`Fetched ${tree.children.length} top-level blocks in ${fetchTime}ms`);
     
     // Find the section heading (top-level only)
-    let sectionBlock = null;
-
-    for (const block of blocks) {
-      if (block.type.includes('heading')) {
-        const text = block[block.type].rich_text
-          .map(t => t.plain_text)
-          .join('')
-          .trim();
-        
-        if (text === sectionHeading || text.includes(sectionHeading.split(' ').slice(1).join(' '))) {
-          sectionBlock = block;
-          log(`Found section heading, block ID: ${block.id}`);
-          break;
-        }
-      }
+    const heading = blockTree.findHeading(tree, text =>
+      text === sectionHeading || text.includes(sectionHeading.split(' ').slice(1).join(' '))
+    );
+    const sectionBlock = heading?.block || null;
+
+    if (sectionBlock) {
+      log(`Found section heading, block ID: ${sectionBlock.id}`);
     }
 
     if (!sectionBlock) {
       // Try fallback section if primary not found
       if (fallbackSection && sectionHeading !== fallbackSection) {
         log(`Section "${sectionHeading}" not found, trying fallback: "${fallbackSection}"`, 'WARN');
-        return await appendToSection(pageId, fallbackSection, content, null, retryCount); // No further fallback
+        return await appendToSection(pageId, fallbackSection, content, null); // No further fallback
       }
       
       log(`Section "${sectionHeading}" not found in page`, 'ERROR');
-      const availableHeadings = blocks
-        .filter(b => b.type.includes('heading'))
-        .map(b => b[b.type].rich_text.map(t => t.plain_text).join(''))
+      const availableHeadings = tree.children
+        .filter(node => blockTree.headingLevel(node))
+        .map(node => blockTree.blockText(node.block))
         .join(', ');
       log(`Available headings: ${availableHeadings}`);
       return false;
@@ -139,11 +136,7 @@ export async function appendToSection(pageId, sectionHeading, content, fallbackS
     log(`Attempting to append ${bulletBlocks.length} bulleted list item(s) after block ${sectionBlock.id}...`);
     const appendStart = Date.now();
     
-    await client.notion.blocks.children.append({
-      block_id: pageId,
-      children: bulletBlocks,
-      after: sectionBlock.id
-    });
+    await client.appendBlocks(pageId, bulletBlocks, sectionBlock.id);
     
     const appendTime = Date.now() - appendStart;
     log(`Append completed in ${appendTime}ms`);
@@ -151,14 +144,7 @@ export async function appendToSection(pageId, sectionHeading, content, fallbackS
     return true;
 
   } catch (error) {
-    // Retry logic for timeouts or rate limits
-    if ((error.code === 'notionhq_client_request_timeout' || error.status === 429) && retryCount < 2) {
-      const waitTime = (retryCount + 1) * 3000; // 3s, 6s
-      log(`Operation failed (${error.message}), retrying in ${waitTime/1000}s... (attempt ${retryCount + 1}/2)`, 'WARN');
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-      return appendToSection(pageId, sectionHeading, content, fallbackSection, retryCount + 1);
-    }
-    
+    // Timeouts and rate limits are already retried by the shared limiter
     log(`Error appending to section: ${error.message}`, 'ERROR');
     console.error(error.stack);
     return false;
@@ -187,60 +173,70 @@ export async function updateProjectPage(projectName, categorized, meetingTitle,
 
     let successCount = 0;
     let totalItems = 0;
+    let alreadyWritten = 0;
+    const source = { project: projectName, pageId, sourceId: meetingId };
+
+    // Append entries one bullet at a time (or as one block when joined),
+    // skipping anything the local history says this section already has
+    async function addEntries(section, entries, joined = false) {
+      const fresh = entries.filter(entry => !state.hasProjectInfoEntry(pageId, section, entry));
+      alreadyWritten += entries.length - fresh.length;
+      if (fresh.length === 0) {
+        return;
+      }
+
+      const batches = joined ? [fresh] : fresh.map(entry => [entry]);
+      for (const batch of batches) {
+        totalItems++;
+        const formatted = batch.map(entry => formatEntry(entry, meetingTitle, meetingId)).join('\n');
+        const success = await appendToSection(pageId, section, formatted);
+        if (success) {
+          successCount++;
+          batch.forEach(entry => state.record('project_info', { ...source, section, entry }));
+        }
+      }
+    }
 
     // Add credentials
     if (categorized.credentials && categorized.credentials.length > 0) {
       log(`Adding ${categorized.credentials.length} credential(s)`);
-      for (const cred of categorized.credentials) {
-        totalItems++;
-        const formatted = formatEntry(cred, meetingTitle, meetingId);
-        const success = await appendToSection(pageId, '🔑 Credentials & Access', formatted);
-        if (success) successCount++;
-      }
+      await addEntries('🔑 Credentials & Access', categorized.credentials);
     }
 
     // Add contacts
     if (categorized.contacts && categorized.contacts.length > 0) {
       log(`Adding ${categorized.contacts.length} contact(s)`);
-      for (const contact of categorized.contacts) {
-        totalItems++;
-        const formatted = formatEntry(contact, meetingTitle, meetingId);
-        const success = await appendToSection(pageId, '👥 Key Contacts', formatted);
-        if (success) successCount++;
-      }
+      await addEntries('👥 Key Contacts', categorized.contacts);
     }
 
     // Add links
     if (categorized.links && categorized.links.length > 0) {
       log(`Adding ${categorized.links.length} link(s)`);
-      for (const link of categorized.links) {
-        totalItems++;
-        const formatted = formatEntry(link, meetingTitle, meetingId);
-        const success = await appendToSection(pageId, '🔗 Important Links', formatted);
-        if (success) successCount++;
-      }
+      await addEntries('🔗 Important Links', categorized.links);
     }
 
     // Add decisions (to chronological log)
     if (categorized.decisions && categorized.decisions.length > 0) {
       log(`Adding ${categorized.decisions.length} decision(s)`);
       // Simple and clean - just the decisions (will be real bullets)
-      const decisionBlock = categorized.decisions.join('\n');
-      
-      totalItems++;
-      const success = await appendToSection(pageId, '💡 Project Context & Decisions', decisionBlock);
-      if (success) successCount++;
+      await addEntries('💡 Project Context & Decisions', categorized.decisions, true);
     }
 
     // Add other items if any
     if (categorized.other && categorized.other.length > 0) {
       log(`Adding ${categorized.other.length} uncategorized item(s) to decisions log`);
       // Simple and clean - just the items (will be real bullets)
-      const otherBlock = categorized.other.join('\n');
-      
-      totalItems++;
-      const success = await appendToSection(pageId, '💡 Project Context & Decisions', otherBlock);
-      if (success) successCount++;
+      await addEntries('💡 Project Context & Decisions', categorized.other, true);
+    }
+
+    if (alreadyWritten > 0) {
+      log(`Skipped ${alreadyWritten} item(s) already written to this page`);
+    }
+
+    // Nothing new to write counts as success
+    if (totalItems === 0) {
+      log('Update complete: nothing new to add');
+      return true;
     }
 
     log(`Update complete: ${successCount}/${totalItems} items added successfully`);
@@ -0,0 +1,210 @@
+import { readFile } from 'fs/promises';
+import * as client from './notion_client.js';
+
+// The one list of projects, read from the Projects DB. Each project page has:
+//   Name           - canonical project name (used for every Project select)
+//   Aliases        - comma-separated names people write for it ("cu, click up")
+//   Context Clues  - comma-separated topics that hint at it ("wpr, dashboards")
+//                    Either list may weight an entry for inference: "cu:0.5, clickup:4"
+//   Active         - unchecked projects are kept as select options but never inferred
+// Loaded once per PROJECT_REGISTRY_TTL_MS (default 5 minutes) and shared by
+// inference, inline #proj: tokens, the quick todo processor, the OpenAI prompts
+// and the select-option sync. Adding a project is adding a page.
+
+// Where nothing matches; always a valid option even without a page
+export const FALLBACK_PROJECT = 'Support/Other';
+
+const TTL_MS = parseInt(process.env.PROJECT_REGISTRY_TTL_MS || '300000');
+
+let cached = null;
+
+function log(message, level = 'INFO') {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [PROJECTS] ${message}`);
+}
+
+function propertyText(prop) {
+  return (prop?.title || prop?.rich_text || []).map(t => t.plain_text).join('');
+}
+
+function words(text) {
+  return text.toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+// Whether needle's words appear in sequence in haystack
+function containsWords(haystack, needle) {
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((word, j) => haystack[i + j] === word)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// "cu:0.5, click up\nCUARC" -> { items: ['cu', 'click up', 'cuarc'], weights: { cu: 0.5 } }
+function parseList(text) {
+  const items = [];
+  const weights = {};
+
+  for (const entry of text.split(/[,;\n]/)) {
+    const [, item, weight] = entry.trim().toLowerCase().match(/^(.*?)(?:\s*:\s*(\d+(?:\.\d+)?))?$/);
+    if (!item) continue;
+    items.push(item);
+    if (weight !== undefined) {
+      weights[item] = parseFloat(weight);
+    }
+  }
+
+  return { items, weights };
+}
+
+/**
+ * Turn a Projects DB page into a registry entry
+ * @param {Object} page - Projects DB page
+ * @returns {Object|null} - { name, pageId, aliases, clues, weights, active }, or null for an
+ *   unnamed page; weights holds only the aliases and clues given an explicit weight
+ */
+export function toProject(page) {
+  const name = propertyText(page.properties.Name).trim();
+  if (!name) {
+    return null;
+  }
+
+  // Databases without an Active column treat every project as active
+  const active = page.properties.Active ? Boolean(page.properties.Active.checkbox) : true;
+
+  const aliases = parseList(propertyText(page.properties.Aliases));
+  const clues = parseList(propertyText(page.properties['Context Clues']));
+
+  return {
+    name,
+    pageId: page.id,
+    aliases: aliases.items,
+    clues: clues.items,
+    weights: { ...clues.weights, ...aliases.weights },
+    active
+  };
+}
+
+/**
+ * Build a registry from project entries
+ * @param {Array<Object>} projects - From toProject()
+ * @returns {Object} - { projects, loadedAt }
+ */
+export function createRegistry(projects = []) {
+  return { projects, loadedAt: Date.now() };
+}
+
+/**
+ * The project registry, from cache while it is fresh
+ * @param {Object} options - { force: reload even if fresh, projectsDbId: skip reading the config }
+ * @returns {Promise<Object>} - { projects: [{ name, pageId, aliases, clues, weights, active }], loadedAt }
+ */
+export async function getRegistry(options = {}) {
+  if (cached && !options.force && Date.now() - cached.loadedAt < TTL_MS) {
+    return cached;
+  }
+
+  try {
+    let projectsDbId = options.projectsDbId;
+    if (!projectsDbId) {
+      const config = JSON.parse(await readFile('./CA_V2_CONFIG.json', 'utf-8'));
+      projectsDbId = config.databases.projects.id;
+    }
+
+    const pages = await client.queryAll(projectsDbId);
+    cached = createRegistry(pages.map(toProject).filter(Boolean));
+    log(`Loaded ${cached.projects.length} projects (${activeProjects(cached).length} active)`);
+    return cached;
+
+  } catch (error) {
+    // A stale list beats no list; an empty one is retried on the next call
+    log(`Failed to load projects: ${error.message}`, 'ERROR');
+    return cached || createRegistry();
+  }
+}
+
+// Last loaded registry without any I/O (empty before the first getRegistry())
+export function getCachedRegistry() {
+  return cached || createRegistry();
+}
+
+// Forget the cached registry (e.g. after editing the Projects DB)
+export function clearCache() {
+  cached = null;
+}
+
+export function activeProjects(registry) {
+  return registry.projects.filter(project => project.active);
+}
+
+/**
+ * Look up a project by its name or one of its aliases
+ * @param {Object} registry - From getRegistry()
+ * @param {string} name - As written ("clickup", "AI Sales", "cu")
+ * @returns {Object|null} - Registry entry (inactive projects included)
+ */
+export function findProject(registry, name) {
+  const key = (name || '').trim().toLowerCase();
+  if (!key) {
+    return null;
+  }
+
+  // Partial matches take whole words only: "sales" finds "AI Sales", "cu" doesn't find "cucumber"
+  const keyWords = words(key);
+  const containsKey = text => keyWords.length > 0 && containsWords(words(text), keyWords);
+
+  return registry.projects.find(p => p.name.toLowerCase() === key || p.aliases.includes(key)) ||
+    registry.projects.find(p => containsKey(p.name) || p.aliases.some(containsKey)) ||
+    null;
+}
+
+/**
+ * Options for the Project select in the Meetings and Tasks DBs
+ * @param {Object} registry - From getRegistry()
+ * @returns {Array<Object>} - [{ name }], every project plus the fallback
+ */
+export function selectOptions(registry) {
+  const names = registry.projects.map(p => p.name);
+  if (!names.includes(FALLBACK_PROJECT)) {
+    names.push(FALLBACK_PROJECT);
+  }
+  return names.map(name => ({ name }));
+}
+
+/**
+ * Project list for an OpenAI prompt: names with aliases, then context clues
+ * @param {Object} registry - From getRegistry()
+ * @returns {string} - Prompt lines
+ */
+export function describeForPrompt(registry) {
+  const projects = activeProjects(registry);
+  const keywords = projects.map(p => `- ${[p.name, ...p.aliases].join(', ')} → "${p.name}"`);
+  const clues = projects
+    .filter(p => p.clues.length > 0)
+    .map(p => `- ${p.clues.join(', ')} → likely "${p.name}"`);
+
+  return [
+    'Keywords:',
+    ...keywords,
+    `- Anything else that fits no project → "${FALLBACK_PROJECT}"`,
+    '',
+    'Context clues:',
+    ...(clues.length > 0 ? clues : ['- (none)'])
+  ].join('\n');
+}
+
+// CLI: show the registry as the automation sees it
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const registry = await getRegistry({ force: true });
+
+  if (registry.projects.length === 0) {
+    console.log('No projects found in the Projects DB');
+  }
+  for (const project of registry.projects) {
+    console.log(`${project.active ? '✅' : '⏸️ '} ${project.name}`);
+    const withWeight = item => item in project.weights ? `${item} (${project.weights[item]})` : item;
+    console.log(`     aliases: ${project.aliases.map(withWeight).join(', ') || '-'}`);
+    console.log(`     clues:   ${project.clues.map(withWeight).join(', ') || '-'}`);
+  }
+}
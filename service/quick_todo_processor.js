@@ -1,5 +1,6 @@
 import * as client from './notion_client.js';
 import * as openai from './openai_client.js';
+import * as projectRegistry from './project_registry.js';
 
 // Log with timestamp
 function log(message, level = 'INFO') {
@@ -94,7 +95,7 @@ export async function processQuickTodo(page) {
     
     // Send to GPT-5 Nano for parsing
     log('Sending to GPT-5 Nano for parsing...');
-    const parsed = await openai.parseQuickTodo(content);
+    const parsed = await openai.parseQuickTodo(content, await projectRegistry.getRegistry());
     
     log(`Parsed result: Title="${parsed.title}", Project=${parsed.project}, Priority=${parsed.priority}, Due=${parsed.due}`);
     
@@ -162,7 +163,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   console.log(`Testing quick todo processing for task: ${taskPageId}\n`);
 
   // Fetch the page first
-  const page = await client.notion.pages.retrieve({ page_id: taskPageId });
+  const page = await client.getPage(taskPageId);
   
   console.log('Current page state:');
   console.log(`  Title: ${page.properties.Title?.title?.map(t => t.plain_text).join('') || '(empty)'}`);
@@ -1,7 +1,13 @@
 import * as client from './notion_client.js';
+import * as blockTree from './block_tree.js';
+import * as inference from './inference.js';
+import * as inlineTokens from './inline_tokens.js';
 import * as openai from './openai_client.js';
+import * as parsers from './parsers.js';
+import * as recurrence from './recurrence.js';
 import * as projectInfo from './project_info_extractor.js';
 import * as projectPage from './project_page_updater.js';
+import * as projectRegistry from './project_registry.js';
 import { readFile } from 'fs/promises';
 
 // Log with timestamp
@@ -10,83 +16,45 @@ function log(message, level = 'INFO') {
   console.log(`[${timestamp}] [QUICK_TODO_V2] ${message}`);
 }
 
+// Match a section heading with or without its emoji prefix
+function sectionMatcher(sectionHeading) {
+  const bare = sectionHeading.replace(/[📋📌]/gu, '').trim();
+  return text => text.includes(sectionHeading) || text.includes(bare);
+}
+
 /**
  * Extract content from specific section (heading-based)
- * @param {Array} blocks - All blocks from page
+ * @param {Object} tree - Block tree of the page
  * @param {string} sectionHeading - Heading to find (e.g., "📋 Task")
  * @returns {string} - Content under that heading
  */
-function extractSectionContent(blocks, sectionHeading) {
-  let sectionIndex = -1;
-  let nextHeadingIndex = -1;
+function extractSectionContent(tree, sectionHeading) {
+  const section = blockTree.findSection(tree, sectionMatcher(sectionHeading));
 
-  // Find the section heading
-  for (let i = 0; i < blocks.length; i++) {
-    const block = blocks[i];
-    
-    if (block.type.includes('heading')) {
-      const text = block[block.type].rich_text
-        .map(t => t.plain_text)
-        .join('')
-        .trim();
-      
-      if (text.includes(sectionHeading) || text.includes(sectionHeading.replace(/[📋📌]/g, '').trim())) {
-        sectionIndex = i;
-        continue;
-      }
-      
-      if (sectionIndex !== -1) {
-        nextHeadingIndex = i;
-        break;
-      }
-    }
-  }
-
-  if (sectionIndex === -1) {
+  if (!section) {
     return '';
   }
 
-  // Extract content between headings
-  const endIndex = nextHeadingIndex === -1 ? blocks.length : nextHeadingIndex;
   let content = '';
 
-  for (let i = sectionIndex + 1; i < endIndex; i++) {
-    const block = blocks[i];
-    
+  for (const block of blockTree.sectionBlocks(section)) {
     // Skip dividers
     if (block.type === 'divider') {
       continue;
     }
     
-    if (block.type === 'paragraph' && block.paragraph?.rich_text) {
-      const text = block.paragraph.rich_text
-        .map(t => t.plain_text)
-        .join('')
-        .trim();
-      if (text) {
-        content += text + '\n';
-      }
+    const text = blockTree.blockText(block);
+    if (!text) {
+      continue;
     }
     
-    if (block.type.includes('heading') && block[block.type]?.rich_text) {
-      const text = block[block.type].rich_text
-        .map(t => t.plain_text)
-        .join('')
-        .trim();
-      if (text) {
-        content += text + '\n';
-      }
+    if (block.type === 'paragraph' || block.type.includes('heading')) {
+      content += text + '\n';
     }
     
     // Also capture bulleted lists
-    if (block.type === 'bulleted_list_item' && block.bulleted_list_item?.rich_text) {
-      const text = block.bulleted_list_item.rich_text
-        .map(t => t.plain_text)
-        .join('')
-        .trim();
-      if (text) {
-        content += '- ' + text + '\n';
-      }
+    if (block.type === 'bulleted_list_item') {
+      content += '- ' + text + '\n';
     }
   }
 
@@ -101,47 +69,23 @@ function extractSectionContent(blocks, sectionHeading) {
  */
 async function deleteSection(pageId, sectionHeading) {
   try {
-    const blocks = await client.getAllBlocksRecursive(pageId);
-    
-    let sectionIndex = -1;
-    let nextHeadingIndex = -1;
+    const tree = await client.getBlockTree(pageId);
+    const section = blockTree.findSection(tree, sectionMatcher(sectionHeading));
 
-    // Find the section heading
-    for (let i = 0; i < blocks.length; i++) {
-      const block = blocks[i];
-      
-      if (block.type.includes('heading')) {
-        const text = block[block.type].rich_text
-          .map(t => t.plain_text)
-          .join('')
-          .trim();
-        
-        if (text.includes(sectionHeading) || text.includes(sectionHeading.replace(/[📋📌]/g, '').trim())) {
-          sectionIndex = i;
-          continue;
-        }
-        
-        if (sectionIndex !== -1) {
-          nextHeadingIndex = i;
-          break;
-        }
-      }
-    }
-
-    if (sectionIndex === -1) {
+    if (!section) {
       log(`Section "${sectionHeading}" not found for deletion`);
       return true; // Already gone, that's fine
     }
 
-    // Delete all blocks from section heading to next heading (or end)
-    const endIndex = nextHeadingIndex === -1 ? blocks.length : nextHeadingIndex;
+    // Delete the heading and its sibling blocks; children go with their parent,
+    // and nothing outside the heading's own parent is touched
+    const toDelete = [section.heading, ...section.nodes.filter(node => node.parent !== section.heading)];
     
-    for (let i = sectionIndex; i < endIndex; i++) {
-      const block = blocks[i];
+    for (const node of toDelete) {
       try {
-        await client.notion.blocks.delete({ block_id: block.id });
+        await client.deleteBlock(node.id);
       } catch (error) {
-        log(`Could not delete block ${block.id}: ${error.message}`, 'WARN');
+        log(`Could not delete block ${node.id}: ${error.message}`, 'WARN');
       }
     }
 
@@ -179,6 +123,39 @@ export function isQuickTodo(page) {
   return hasMinimalTitle && hasMissingFields && isNewTask;
 }
 
+// Inline tokens (!high, #proj:, @due(), ~2h, +name), a recurrence ("every Friday")
+// and effort ("half a day") are read line by line, so they belong to the task
+// written on that line: { text (what the AI sees), tokens, repeats, effort }.
+function readLine(line, options) {
+  const tokens = inlineTokens.parseInlineTokens(line, options);
+  if (tokens.unresolved.length > 0) {
+    log(`Unresolved tokens left in task text: ${tokens.unresolved.join(' ')}`, 'WARN');
+  }
+
+  const untokened = inlineTokens.maskTokens(line, tokens.spans);
+  const repeats = recurrence.parseRecurrence(untokened, options.dateOptions);
+  const effort = parsers.parseEstimate(repeats ? inlineTokens.maskTokens(untokened, [repeats]) : untokened);
+  const text = inlineTokens.stripTokens(line, [...tokens.spans, ...(repeats ? [repeats] : [])]);
+
+  return { text, tokens, repeats, effort };
+}
+
+// Tokens are explicit, so they override what the AI reads from the wording;
+// fields the line has no token for keep the AI's value.
+function applyTokens(task, line) {
+  const { tokens, repeats, effort } = line || {};
+  const due = tokens?.due?.start || task.due || repeats?.start || null;
+  return {
+    ...task,
+    priority: tokens?.priority || task.priority,
+    project: tokens?.project || task.project,
+    due,
+    estimate: tokens?.estimate ?? effort?.hours ?? task.estimate_hours ?? null,
+    owners: tokens?.owners.length > 0 ? tokens.owners : task.owners || [],
+    recurrence: repeats ? recurrence.anchorRule(repeats.rule, due) : null
+  };
+}
+
 /**
  * Process a quick todo with AI (v2 with Project Info section)
  * @param {Object} page - Task page object
@@ -189,12 +166,14 @@ export async function processQuickTodo(page) {
     const pageId = page.id;
     log(`Processing quick todo v2: ${pageId}`);
     
-    // Get all blocks
-    const blocks = await client.getAllBlocksRecursive(pageId);
+    // Get block tree (cached, so deleteSection() below reuses this crawl)
+    const tree = await client.getBlockTree(pageId, {
+      lastEditedTime: page.last_edited_time
+    });
     
     // Extract both sections
-    const taskContent = extractSectionContent(blocks, '📋 Task');
-    const projectInfoContent = extractSectionContent(blocks, '📌 Project Info');
+    const taskContent = extractSectionContent(tree, '📋 Task');
+    const projectInfoContent = extractSectionContent(tree, '📌 Project Info');
     
     log(`Task section: ${taskContent ? taskContent.substring(0, 50) + '...' : '(empty)'}`);
     log(`Project Info section: ${projectInfoContent ? projectInfoContent.substring(0, 50) + '...' : '(empty)'}`);
@@ -214,8 +193,27 @@ export async function processQuickTodo(page) {
       log('Processing Task section...');
       
       try {
-        const parsed = await openai.parseQuickTodo(taskContent);
-        const tasks = parsed.tasks || [];
+        const config = JSON.parse(await readFile('./CA_V2_CONFIG.json', 'utf-8'));
+        
+        // Tokens and the recurrence are read first and kept out of what the AI sees
+        const dateOptions = { timezone: config.timezone || parsers.DEFAULT_TIMEZONE };
+        const registry = await projectRegistry.getRegistry({ projectsDbId: config.databases.projects.id });
+        const lineOptions = {
+          aliases: parsers.buildAliasIndex(config.people),
+          dateOptions,
+          projects: registry
+        };
+        const lines = taskContent.split('\n')
+          .map(line => readLine(line, lineOptions))
+          .filter(line => line.text);
+        const taskText = lines.map(line => line.text).join('\n') || taskContent;
+        
+        const parsed = await openai.parseQuickTodo(taskText, registry);
+        // The AI's project must be a registry name to be a valid select option;
+        // a task without a line number only takes tokens when there is one line
+        const tasks = (parsed.tasks || [])
+          .map(task => ({ ...task, project: inference.resolveProjectName(task.project, registry) }))
+          .map(task => applyTokens(task, lines.length === 1 ? lines[0] : lines[task.line - 1]));
         
         log(`Parsed ${tasks.length} task(s)`);
         
@@ -257,6 +255,24 @@ export async function processQuickTodo(page) {
           };
         }
         
+        if (typeof page.properties.Estimate?.number !== 'number' && firstTask.estimate !== null) {
+          updates['Estimate'] = {
+            number: firstTask.estimate
+          };
+        }
+        
+        if (!page.properties.Assignee?.people?.length && firstTask.owners.length > 0) {
+          updates['Assignee'] = {
+            people: firstTask.owners.map(id => ({ id }))
+          };
+        }
+        
+        if (!page.properties.Recurrence?.rich_text?.length && firstTask.recurrence) {
+          updates['Recurrence'] = {
+            rich_text: [{ text: { content: firstTask.recurrence } }]
+          };
+        }
+        
         // Always set Status to Backlog if empty
         if (!page.properties.Status?.select) {
           updates['Status'] = {
@@ -271,7 +287,6 @@ export async function processQuickTodo(page) {
         
         // Create additional tasks as new pages (if multiple tasks detected)
         if (tasks.length > 1) {
-          const config = JSON.parse(await readFile('./CA_V2_CONFIG.json', 'utf-8'));
           const tasksDbId = config.databases.tasks.id;
           
           for (let i = 1; i < tasks.length; i++) {
@@ -298,6 +313,21 @@ export async function processQuickTodo(page) {
                   'Project': {
                     select: { name: task.project }
                   }
+                }),
+                ...(task.estimate !== null && {
+                  'Estimate': {
+                    number: task.estimate
+                  }
+                }),
+                ...(task.owners.length > 0 && {
+                  'Assignee': {
+                    people: task.owners.map(id => ({ id }))
+                  }
+                }),
+                ...(task.recurrence && {
+                  'Recurrence': {
+                    rich_text: [{ text: { content: task.recurrence } }]
+                  }
                 })
               });
               
@@ -339,28 +369,12 @@ export async function processQuickTodo(page) {
           let detectedProject = null;
           const allContent = bullets.join(' ').toLowerCase();
           
-          // Check against project keywords
-          const projectKeywords = {
-            'ClickUp': ['clickup', 'click up'],
-            'HubSpot': ['hubspot', 'hub spot'],
-            'Docebo': ['docebo'],
-            'AI Sales': ['ai sales', 'retell'],
-            'Insider Knowledge': ['insider', 'merlin'],
-            'PD OTN': ['pd otn', 'otn'],
-            'Podcast': ['podcast'],
-            'Quarterly Economic Review': ['qer', 'economic'],
-          };
-          
-          for (const [project, keywords] of Object.entries(projectKeywords)) {
-            if (keywords.some(kw => allContent.includes(kw))) {
-              detectedProject = project;
-              break;
-            }
-          }
+          // Check against project names and aliases
+          detectedProject = inference.findMentionedProject(allContent, await projectRegistry.getRegistry());
           
           if (!detectedProject) {
-            log('Could not detect project from content, defaulting to Support/Other', 'WARN');
-            detectedProject = 'Support/Other';
+            log(`Could not detect project from content, defaulting to ${projectRegistry.FALLBACK_PROJECT}`, 'WARN');
+            detectedProject = projectRegistry.FALLBACK_PROJECT;
           }
           
           log(`Detected project: ${detectedProject}`);
@@ -405,10 +419,7 @@ export async function processQuickTodo(page) {
       if (!taskContent && projectInfoContent && projectInfoSuccess) {
         log('Only Project Info processed - deleting entire page (inbox entry)');
         try {
-          await client.notion.pages.update({
-            page_id: pageId,
-            archived: true
-          });
+          await client.archivePage(pageId);
           return { taskCreated: false, projectInfoRouted: true, pageDeleted: true };
         } catch (error) {
           log(`Could not archive page: ${error.message}`, 'WARN');
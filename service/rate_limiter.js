@@ -0,0 +1,138 @@
+// Token bucket rate limiter shared by every Notion call.
+// Notion allows an average of 3 requests/second; the bucket lets short bursts
+// through and queues the rest in FIFO order.
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a token bucket limiter
+ * @param {Object} options - { ratePerSecond, burst }
+ * @returns {Object} - { schedule, pauseFor, getStats, resetStats }
+ */
+export function createRateLimiter({ ratePerSecond = 3, burst = 3 } = {}) {
+  const intervalMs = 1000 / ratePerSecond;
+  const queue = [];
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let pumping = false;
+
+  let stats = { calls: 0, totalWaitMs: 0, maxWaitMs: 0 };
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - lastRefill) / intervalMs);
+    lastRefill = now;
+  }
+
+  // Hand out tokens to queued callers until the queue drains
+  async function pump() {
+    if (pumping) return;
+    pumping = true;
+
+    try {
+      while (queue.length > 0) {
+        const pauseMs = pausedUntil - Date.now();
+        if (pauseMs > 0) {
+          await delay(pauseMs);
+          continue;
+        }
+
+        refill();
+        if (tokens < 1) {
+          await delay(Math.ceil((1 - tokens) * intervalMs));
+          continue;
+        }
+
+        tokens -= 1;
+        queue.shift()();
+      }
+    } finally {
+      pumping = false;
+    }
+  }
+
+  // Wait for a token; resolves with how long the caller sat in the queue
+  function acquire() {
+    const enqueuedAt = Date.now();
+
+    return new Promise(resolve => {
+      queue.push(() => {
+        const waitedMs = Date.now() - enqueuedAt;
+        stats.calls++;
+        stats.totalWaitMs += waitedMs;
+        stats.maxWaitMs = Math.max(stats.maxWaitMs, waitedMs);
+        resolve(waitedMs);
+      });
+      pump();
+    });
+  }
+
+  return {
+    /**
+     * Run fn once a token is available
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<*>} - Result of fn
+     */
+    async schedule(fn) {
+      await acquire();
+      return fn();
+    },
+
+    /**
+     * Hold every queued call (e.g. after a 429 with Retry-After)
+     * @param {number} ms - How long to pause
+     */
+    pauseFor(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+      tokens = 0;
+    },
+
+    getStats() {
+      return {
+        ...stats,
+        queued: queue.length,
+        avgWaitMs: stats.calls > 0 ? Math.round(stats.totalWaitMs / stats.calls) : 0
+      };
+    },
+
+    resetStats() {
+      stats = { calls: 0, totalWaitMs: 0, maxWaitMs: 0 };
+    }
+  };
+}
+
+/**
+ * Cap how many async tasks run at once (e.g. parallel block fetches).
+ * Tasks still take their turn in the token bucket; this only bounds fan-out.
+ * @param {number} concurrency - Max tasks in flight
+ * @returns {Function} - run(fn) => Promise resolving with fn's result
+ */
+export function createConcurrencyLimit(concurrency) {
+  const waiting = [];
+  let active = 0;
+
+  function next() {
+    if (active >= concurrency || waiting.length === 0) {
+      return;
+    }
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return function run(fn) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ fn, resolve, reject });
+      next();
+    });
+  };
+}
@@ -0,0 +1,314 @@
+import * as parsers from './parsers.js';
+
+// Recurrence rules for repeating tasks ("every Friday", "monthly on the 1st").
+// Rules are stored on the task as a subset of iCalendar RRULE:
+//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY   INTERVAL=n   BYDAY=MO,FR
+//   BYMONTHDAY=15 (-1 = last day)       BYMONTH=2   UNTIL=YYYYMMDD
+// e.g. "every other Friday" -> FREQ=WEEKLY;INTERVAL=2;BYDAY=FR
+// The task's Due date plays the part of DTSTART: each occurrence is computed
+// from the previous one's due date. Monthly and yearly rules are pinned to the
+// first due date's day (and month) with anchorRule(), so a short month doesn't
+// shift the rest of the series: Jan 31 -> Feb 28 -> Mar 31.
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WORKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+const COUNT = '(\\d+|two|three|four|five|six|seven|eight|nine|ten)';
+const ORDINAL = '(?:(\\d{1,2})(?:st|nd|rd|th)|(last)(?: day)?)';
+// "on the 15th", "on the last day", "on Friday(s)"
+const ON = `(?:\\s+on\\s+(?:the\\s+)?(?:${ORDINAL}|${parsers.WEEKDAY}s?))?`;
+const UNITS = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', quarter: 'MONTHLY', year: 'YEARLY' };
+const ADVERBS = {
+  daily: ['DAILY', 1], weekly: ['WEEKLY', 1], biweekly: ['WEEKLY', 2], fortnightly: ['WEEKLY', 2],
+  monthly: ['MONTHLY', 1], quarterly: ['MONTHLY', 3], yearly: ['YEARLY', 1], annually: ['YEARLY', 1]
+};
+
+function dayCode(name) {
+  return DAY_CODES[parsers.WEEKDAYS[name.toLowerCase()]];
+}
+
+// Weekday codes named in a list like "Mon, Wed and Fri"
+function dayCodes(text) {
+  const codes = [];
+  for (const match of text.matchAll(new RegExp(`\\b${parsers.WEEKDAY}\\b`, 'gi'))) {
+    const code = dayCode(match[1]);
+    if (!codes.includes(code)) codes.push(code);
+  }
+  return codes.sort((a, b) => DAY_CODES.indexOf(a) - DAY_CODES.indexOf(b));
+}
+
+// BYMONTHDAY / BYDAY from an "on …" suffix
+function onSuffix(day, last, weekday) {
+  if (day) return { byMonthDay: Math.min(+day, 31) };
+  if (last) return { byMonthDay: -1 };
+  if (weekday) return { byDay: [dayCode(weekday)] };
+  return {};
+}
+
+// Each rule: a pattern and a resolver returning the rule parts
+const RULES = [
+  // every weekday, every workday
+  [/\b(?:every|each)\s+(?:week|work)\s?day\b/i, () => ({ freq: 'WEEKLY', byDay: WORKDAYS })],
+
+  // every Friday, every other Tue, every Mon and Thu
+  [new RegExp(`\\b(?:every|each)\\s+(other\\s+)?${parsers.WEEKDAY}s?\\b(?:\\s*(?:,|&|/|\\band\\b)\\s*${parsers.WEEKDAY}s?\\b)*`, 'i'), m => ({
+    freq: 'WEEKLY', interval: m[1] ? 2 : 1, byDay: dayCodes(m[0])
+  })],
+
+  // every day, every 2 weeks, every other month on the 15th, every quarter
+  [new RegExp(`\\b(?:every|each)\\s+(?:(other)\\s+|${COUNT}\\s+)?(day|week|month|quarter|year)s?\\b${ON}`, 'i'), m => {
+    const count = m[1] ? 2 : m[2] ? parsers.NUMBER_WORDS[m[2].toLowerCase()] ?? parseInt(m[2]) : 1;
+    const unit = m[3].toLowerCase();
+    return {
+      freq: UNITS[unit],
+      interval: unit === 'quarter' ? count * 3 : count,
+      ...onSuffix(m[4], m[5], m[6])
+    };
+  }],
+
+  // weekly, monthly on the 1st ("weekly report" is a noun phrase, not a schedule)
+  [new RegExp(`\\b(daily|weekly|biweekly|fortnightly|monthly|quarterly|yearly|annually)${ON}(?=\\s*(?:$|[,.;)]|(?:until|starting|beginning)\\b))`, 'i'), m => {
+    const [freq, interval] = ADVERBS[m[1].toLowerCase()];
+    return { freq, interval, ...onSuffix(m[2], m[3], m[4]) };
+  }],
+
+  // the 15th of every month, the last day of each month
+  [new RegExp(`\\b(?:on\\s+)?the\\s+${ORDINAL}\\s+of\\s+(?:every|each)\\s+(other\\s+)?month\\b`, 'i'), m => ({
+    freq: 'MONTHLY', interval: m[3] ? 2 : 1, ...onSuffix(m[1], m[2])
+  })]
+];
+
+/**
+ * Format rule parts as an RRULE string
+ * @param {Object} parts - { freq, interval, byDay, byMonthDay, byMonth, until (YYYY-MM-DD) }
+ * @returns {string} - e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=FR
+ */
+export function formatRule(parts) {
+  return [
+    `FREQ=${parts.freq}`,
+    parts.interval > 1 && `INTERVAL=${parts.interval}`,
+    parts.byDay?.length && `BYDAY=${parts.byDay.join(',')}`,
+    parts.byMonthDay && `BYMONTHDAY=${parts.byMonthDay}`,
+    parts.byMonth && `BYMONTH=${parts.byMonth}`,
+    parts.until && `UNTIL=${parts.until.replace(/-/g, '')}`
+  ].filter(Boolean).join(';');
+}
+
+/**
+ * Parse an RRULE string back into its parts
+ * @param {string} rule - e.g. FREQ=MONTHLY;BYMONTHDAY=-1
+ * @returns {Object|null} - { freq, interval, byDay, byMonthDay, byMonth, until }, or null if unreadable
+ */
+export function parseRule(rule) {
+  const fields = Object.fromEntries((rule || '').replace(/^RRULE:/i, '').split(';')
+    .map(pair => pair.split('='))
+    .filter(([key, value]) => key && value)
+    .map(([key, value]) => [key.trim().toUpperCase(), value.trim().toUpperCase()]));
+
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(fields.FREQ)) {
+    return null;
+  }
+
+  const until = fields.UNTIL?.match(/^(\d{4})(\d{2})(\d{2})/);
+  return {
+    freq: fields.FREQ,
+    interval: Math.max(parseInt(fields.INTERVAL) || 1, 1),
+    byDay: fields.BYDAY ? fields.BYDAY.split(',').filter(code => DAY_CODES.includes(code)) : [],
+    byMonthDay: fields.BYMONTHDAY ? parseInt(fields.BYMONTHDAY) : null,
+    byMonth: parseInt(fields.BYMONTH) || null,
+    until: until ? `${until[1]}-${until[2]}-${until[3]}` : null
+  };
+}
+
+/**
+ * Pin a monthly or yearly rule to the day (and month) its series starts on
+ * @param {string} rule - RRULE string from parseRecurrence()
+ * @param {string|null} start - First due date (YYYY-MM-DD)
+ * @returns {string} - The rule with BYMONTHDAY (and BYMONTH for yearly) added, or
+ *   unchanged if it already names a day, isn't monthly or yearly, or there is no start
+ */
+export function anchorRule(rule, start) {
+  const parts = parseRule(rule);
+  if (!parts || !start || parts.byMonthDay || !['MONTHLY', 'YEARLY'].includes(parts.freq)) {
+    return rule;
+  }
+
+  const date = toDate(start);
+  parts.byMonthDay = date.getUTCDate();
+  if (parts.freq === 'YEARLY') {
+    parts.byMonth = date.getUTCMonth() + 1;
+  }
+  return formatRule(parts);
+}
+
+/**
+ * Parse a recurrence phrase from to-do text
+ * @param {string} text - To-do or quick todo text
+ * @param {Object} options - { timezone, now } as for parsers.parseDate()
+ * @returns {Object|null} - { rule, start, text, index }: the RRULE string (to pass through
+ *   anchorRule() once the first due date is known), the first occurrence on or after today
+ *   or the "starting <date>" (YYYY-MM-DD), and the matched words (including
+ *   "starting <date>" and "until <date>"), or null if the text doesn't repeat
+ */
+export function parseRecurrence(text, options = {}) {
+  let best = null;
+  for (const [pattern, resolve] of RULES) {
+    const match = text.match(pattern);
+    if (match && (!best || match.index < best.index || (match.index === best.index && match[0].length > best.text.length))) {
+      best = { parts: { interval: 1, ...resolve(match) }, text: match[0], index: match.index };
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  // "… starting Nov 3", "… until Dec 31", in either order: the date has to follow straight on
+  let from = null;
+  for (;;) {
+    const rest = text.slice(best.index + best.text.length);
+    const lead = rest.match(/^\s*,?\s+(until|starting|beginning|from)(?:\s+on)?\s+/i);
+    const key = lead && (/^until$/i.test(lead[1]) ? 'until' : 'from');
+    if (!lead || (key === 'until' ? best.parts.until : from)) {
+      break;
+    }
+
+    const date = parsers.parseDate(rest.slice(lead[0].length), options);
+    if (!date || date.index !== 0) {
+      break;
+    }
+    if (key === 'until') {
+      best.parts.until = date.start;
+    } else {
+      // "starting Nov 3 until Dec 31" and "from Nov 3 to Dec 31" read as one range
+      from = date.start;
+      best.parts.until ||= date.end;
+    }
+    best.text += lead[0] + date.text;
+  }
+
+  const rule = formatRule(best.parts);
+  return { rule, start: firstOccurrence(rule, options, from), text: best.text, index: best.index };
+}
+
+function toDate(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+// Day of the month in a month N months after a date; -1 and days past the end mean the last day
+function monthDay(date, months, day) {
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months + 1, 0));
+  const target = day === -1 ? lastDay.getUTCDate() : Math.min(day, lastDay.getUTCDate());
+  return new Date(Date.UTC(lastDay.getUTCFullYear(), lastDay.getUTCMonth(), target));
+}
+
+// Monday of a date's week (RRULE's default WKST=MO)
+function weekStart(date) {
+  return addDays(date, -((date.getUTCDay() + 6) % 7));
+}
+
+// First occurrence strictly after a date
+function occurrenceAfter(parts, from) {
+  const { freq, interval, byDay, byMonthDay, byMonth } = parts;
+
+  if (freq === 'DAILY') {
+    return addDays(from, interval);
+  }
+
+  if (freq === 'WEEKLY') {
+    if (byDay.length === 0) {
+      return addDays(from, 7 * interval);
+    }
+    // Listed days in this week, else in the week `interval` weeks on
+    for (let i = 1; i <= 7 * (interval + 1); i++) {
+      const date = addDays(from, i);
+      const weeks = Math.round((weekStart(date) - weekStart(from)) / (7 * 86400000));
+      if (weeks % interval === 0 && byDay.includes(DAY_CODES[date.getUTCDay()])) {
+        return date;
+      }
+    }
+    return null;
+  }
+
+  if (freq === 'MONTHLY') {
+    if (!byMonthDay) {
+      return monthDay(from, interval, from.getUTCDate());
+    }
+    const sameMonth = monthDay(from, 0, byMonthDay);
+    return sameMonth > from ? sameMonth : monthDay(from, interval, byMonthDay);
+  }
+
+  // YEARLY (Feb 29 falls back to Feb 28)
+  if (!byMonth) {
+    return monthDay(from, 12 * interval, byMonthDay || from.getUTCDate());
+  }
+  const sameYear = monthDay(new Date(Date.UTC(from.getUTCFullYear(), byMonth - 1, 1)), 0, byMonthDay || 1);
+  return sameYear > from
+    ? sameYear
+    : monthDay(new Date(Date.UTC(from.getUTCFullYear() + interval, byMonth - 1, 1)), 0, byMonthDay || 1);
+}
+
+/**
+ * First occurrence of a rule on or after today
+ * @param {string} rule - RRULE string
+ * @param {Object} options - { timezone, now }
+ * @param {string|null} from - YYYY-MM-DD the series starts on, if later than today
+ * @returns {string|null} - YYYY-MM-DD, or null if the rule is unreadable or already ended
+ */
+export function firstOccurrence(rule, options = {}, from = null) {
+  const parts = parseRule(rule);
+  if (!parts) {
+    return null;
+  }
+
+  const { timezone = parsers.DEFAULT_TIMEZONE, now = new Date() } = options;
+  const zonedToday = parsers.zonedDate(now, timezone);
+  const today = from && toDate(from) > zonedToday ? toDate(from) : zonedToday;
+
+  // Without a weekday or day of the month to land on, the series starts today
+  const first = parts.byDay.length > 0 || parts.byMonthDay
+    ? occurrenceAfter(parts, addDays(today, -1))
+    : today;
+
+  return first && (!parts.until || formatDate(first) <= parts.until) ? formatDate(first) : null;
+}
+
+/**
+ * Next occurrence after a completed one. Occurrences that are already in the
+ * past are skipped, so finishing a task late doesn't queue up a backlog.
+ * @param {string} rule - RRULE string
+ * @param {string} after - Due date of the completed occurrence (YYYY-MM-DD)
+ * @param {Object} options - { timezone, now }
+ * @returns {string|null} - YYYY-MM-DD, or null when the series has ended
+ */
+export function nextOccurrence(rule, after, options = {}) {
+  const parts = parseRule(rule);
+  if (!parts) {
+    return null;
+  }
+
+  const { timezone = parsers.DEFAULT_TIMEZONE, now = new Date() } = options;
+  const today = parsers.zonedDate(now, timezone);
+
+  let next = occurrenceAfter(parts, toDate(after));
+  // Bounded so a daily rule years overdue still ends
+  for (let i = 0; next && next < today && i < 1000; i++) {
+    next = occurrenceAfter(parts, next);
+  }
+
+  if (!next || (parts.until && formatDate(next) > parts.until)) {
+    return null;
+  }
+  return formatDate(next);
+}
@@ -0,0 +1,356 @@
+import { appendFileSync, createReadStream, existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { createInterface } from 'readline';
+
+// Local processing history, kept as an append-only JSON Lines journal.
+// Every record is one line ({ type, at, ...data }); the journal is replayed
+// once on first use into the indexes below, so lookups cost no I/O. Records
+// themselves aren't kept in memory: history queries (the CLI) stream the file.
+// A sweep that found nothing isn't journaled, and `compact` rewrites the
+// journal down to what the indexes need.
+//
+// Record types:
+//   meeting_run   - one processMeeting() pass (counts, project, status, and
+//                   for an inferred project its source, confidence and evidence)
+//   task          - to-do block -> created task mapping
+//   task_update   - to-do edit or completion synced between a task and its
+//                   to-do (latest text, and the checked value both sides agree on)
+//   completion_sync - one sweep of Tasks DB completion changes back to to-dos
+//   occurrence    - next task of a recurring series, created when one was Done
+//   recurrence_sync - one sweep of Done recurring tasks
+//   correction    - project a person gave (or confirmed for) a meeting flagged
+//                   Needs Review?, with the texts it was inferred from
+//   correction_sync - one sweep of Meetings DB edits for project corrections
+//   project_info  - entry written to a project page section
+//   quick_todo    - processQuickTodo() outcome
+//   error         - anything that failed, with scope and page ID
+
+const STATE_FILE = process.env.STATE_FILE || './state/ca_v2_state.jsonl';
+
+let state = null;
+
+// Whether the journal ends mid-line (a torn write), so the next record needs a line break first
+let tornTail = false;
+
+function emptyState() {
+  return {
+    tasksByBlock: new Map(),
+    projectInfo: new Set(),
+    quickTodos: new Map(),
+    occurrences: new Map(),
+    corrections: new Map(),
+    sweeps: new Map(),
+    inferredRuns: new Map()
+  };
+}
+
+function projectInfoKey(pageId, section, entry) {
+  return `${pageId}:${section}:${entry.trim().toLowerCase()}`;
+}
+
+// Update the in-memory indexes for one record
+function index(record) {
+  if ((record.type === 'task' || record.type === 'task_update') && record.blockId) {
+    // Later updates overlay the original mapping
+    state.tasksByBlock.set(record.blockId, { ...state.tasksByBlock.get(record.blockId), ...record });
+  } else if (record.type === 'project_info') {
+    state.projectInfo.add(projectInfoKey(record.pageId, record.section, record.entry));
+  } else if (record.type === 'quick_todo') {
+    state.quickTodos.set(record.pageId, record);
+  } else if (record.type === 'occurrence') {
+    state.occurrences.set(record.taskId, record);
+  } else if (record.type === 'correction') {
+    // A meeting corrected twice keeps only its latest label
+    state.corrections.set(record.meetingId, record);
+  } else if (record.type.endsWith('_sync')) {
+    state.sweeps.set(record.type, record);
+  } else if (record.type === 'meeting_run' && record.status === 'ok' && record.confidence !== undefined) {
+    // The last time a meeting's project was inferred, for learning from corrections
+    state.inferredRuns.set(record.meetingId, record);
+  }
+}
+
+function load() {
+  if (state) {
+    return state;
+  }
+
+  state = emptyState();
+
+  if (existsSync(STATE_FILE)) {
+    const text = readFileSync(STATE_FILE, 'utf-8');
+    tornTail = text.length > 0 && !text.endsWith('\n');
+    const lines = text.split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        index(JSON.parse(line));
+      } catch (error) {
+        // A torn last line from a crash mid-write; everything before it is intact
+        console.warn(`[STATE] Skipping unreadable journal line: ${line.substring(0, 80)}`);
+      }
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Append a record to the journal
+ * @param {string} type - Record type (see header)
+ * @param {Object} data - Record fields
+ * @returns {Object} - The stored record
+ */
+export function record(type, data = {}) {
+  load();
+
+  const entry = { type, at: new Date().toISOString(), ...data };
+  mkdirSync(dirname(STATE_FILE), { recursive: true });
+  appendFileSync(STATE_FILE, (tornTail ? '\n' : '') + JSON.stringify(entry) + '\n');
+  tornTail = false;
+  index(entry);
+  return entry;
+}
+
+/**
+ * Record a sweep of Notion edits (type ending in _sync). One that checked
+ * nothing is only noted in memory: after a restart the next sweep starts from
+ * the last one that found something, which covers the same (empty) window.
+ * @param {string} type - Sweep record type, e.g. 'completion_sync'
+ * @param {Object} data - { startedAt, checked, ... }
+ * @returns {Object} - The sweep record
+ */
+export function recordSweep(type, data) {
+  if (data.checked > 0) {
+    return record(type, data);
+  }
+
+  load();
+  const entry = { type, at: new Date().toISOString(), ...data };
+  index(entry);
+  return entry;
+}
+
+/**
+ * Latest sweep of a kind, to start the next one from
+ * @param {string} type - Sweep record type
+ * @returns {Object|null} - { startedAt, checked, ... }
+ */
+export function getLastSweep(type) {
+  return load().sweeps.get(type) || null;
+}
+
+/**
+ * Latest successful run of a meeting that inferred its project
+ * @param {string} meetingId - Meeting page ID
+ * @returns {Object|null} - meeting_run record ({ project, source, confidence, needsReview, ... })
+ */
+export function getInferredRun(meetingId) {
+  return load().inferredRuns.get(meetingId) || null;
+}
+
+// Record a failure without letting the journal itself throw
+export function recordError(scope, id, error) {
+  try {
+    return record('error', { scope, id, message: error.message || String(error) });
+  } catch (writeError) {
+    console.error(`[STATE] Could not record error: ${writeError.message}`);
+    return null;
+  }
+}
+
+/**
+ * Task created from a to-do block, if any, with its last synced state
+ * @param {string} blockId - to_do block ID
+ * @returns {Object|null} - { meetingId, blockId, lineKey, taskId, text, checked }
+ */
+export function getTaskForBlock(blockId) {
+  return load().tasksByBlock.get(blockId) || null;
+}
+
+// True if this exact entry was already written to this project page section
+export function hasProjectInfoEntry(pageId, section, entry) {
+  return load().projectInfo.has(projectInfoKey(pageId, section, entry));
+}
+
+/**
+ * Next occurrence already created for a completed recurring task, if any
+ * @param {string} taskId - Completed task page ID
+ * @returns {Object|null} - { seriesId, taskId, nextTaskId, due } (nextTaskId null when the series ended)
+ */
+export function getNextOccurrence(taskId) {
+  return load().occurrences.get(taskId) || null;
+}
+
+/**
+ * Latest project correction for a meeting, if any
+ * @param {string} meetingId - Meeting page ID
+ * @returns {Object|null} - { meetingId, title, inferred, project, confirmed, sources }
+ */
+export function getCorrection(meetingId) {
+  return load().corrections.get(meetingId) || null;
+}
+
+// Every meeting's latest correction, the labelled examples for project learning
+export function getCorrections() {
+  return [...load().corrections.values()];
+}
+
+// Last recorded outcome for a quick todo page
+export function getQuickTodo(pageId) {
+  return load().quickTodos.get(pageId) || null;
+}
+
+/**
+ * Stream journal records from disk, for history queries
+ * @param {Object} filter - { type, id (meeting/page ID), since (ISO date) }
+ * @yields {Object} - Matching records, oldest first
+ */
+export async function* readJournal({ type, id, since } = {}) {
+  if (!existsSync(STATE_FILE)) {
+    return;
+  }
+
+  const lines = createInterface({ input: createReadStream(STATE_FILE, 'utf-8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let r;
+    try {
+      r = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+    if ((!type || r.type === type) &&
+        (!id || r.meetingId === id || r.pageId === id || r.id === id || r.sourceId === id) &&
+        (!since || r.at >= since)) {
+      yield r;
+    }
+  }
+}
+
+/**
+ * Rewrite the journal with only the records the indexes are built from. Run
+ * history, superseded quick todo outcomes and errors are dropped; mappings,
+ * project info entries, occurrences, corrections, the last sweep of each kind
+ * and each meeting's last inferred run are kept. The new journal replaces the
+ * old one in a single rename.
+ * @returns {Object} - { before, after } record counts
+ */
+export function compact() {
+  const current = load();
+  const lines = existsSync(STATE_FILE)
+    ? readFileSync(STATE_FILE, 'utf-8').split('\n').filter(line => line.trim())
+    : [];
+
+  // The project info index only keeps keys, so its records come from the file
+  const projectInfo = [];
+  for (const line of lines) {
+    if (!line.includes('"project_info"')) continue;
+    try {
+      const r = JSON.parse(line);
+      if (r.type === 'project_info') projectInfo.push(r);
+    } catch (error) {
+      // Torn line, already skipped by load()
+    }
+  }
+
+  const kept = [
+    ...[...current.tasksByBlock.values()].map(task => ({ ...task, type: 'task' })),
+    ...projectInfo,
+    ...current.quickTodos.values(),
+    ...current.occurrences.values(),
+    ...current.corrections.values(),
+    ...current.sweeps.values(),
+    ...current.inferredRuns.values()
+  ].sort((a, b) => a.at < b.at ? -1 : a.at > b.at ? 1 : 0);
+
+  const tmpFile = `${STATE_FILE}.tmp`;
+  mkdirSync(dirname(STATE_FILE), { recursive: true });
+  writeFileSync(tmpFile, kept.map(r => JSON.stringify(r) + '\n').join(''));
+  renameSync(tmpFile, STATE_FILE);
+  tornTail = false;
+  return { before: lines.length, after: kept.length };
+}
+
+// CLI: inspect processing history
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [command, arg] = process.argv.slice(2);
+  const since = process.argv.find(a => a.startsWith('--since='))?.split('=')[1];
+  const id = arg && !arg.startsWith('--') ? arg : undefined;
+
+  // Print records as they stream in (keep filters on fields readJournal() doesn't)
+  async function print(records, format, keep = () => true) {
+    let printed = 0;
+    for await (const r of records) {
+      if (!keep(r)) continue;
+      console.log(format(r));
+      printed++;
+    }
+    if (printed === 0) {
+      console.log('(none)');
+    }
+  }
+
+  if (command === 'runs') {
+    await print(readJournal({ type: 'meeting_run', id, since }), r =>
+      `${r.at}  ${r.status.padEnd(5)}  ${r.meetingId}  "${r.title}"  project=${r.project}${r.source ? ` (${r.source} ${r.confidence})` : ''} created=${r.created} updated=${r.updated ?? 0} skipped=${r.skipped}${r.error ? '  error=' + r.error : ''}${r.needsReview ? '  review: ' + r.evidence : ''}`
+    );
+
+  } else if (command === 'tasks') {
+    await print(readJournal({ id, since }), r =>
+      `${r.at}  ${r.type === 'task' ? 'created' : 'updated'} block ${r.blockId} -> task ${r.taskId}  "${r.text.substring(0, 60)}"${r.changes ? '  [' + r.changes.join(', ') + ']' : ''}`,
+      r => r.type === 'task' || r.type === 'task_update'
+    );
+
+  } else if (command === 'project-info') {
+    await print(readJournal({ type: 'project_info', since }), r =>
+      `${r.at}  ${r.project} / ${r.section}: ${r.entry.substring(0, 80)}`,
+      r => !id || r.project === id
+    );
+
+  } else if (command === 'quick-todos') {
+    await print(readJournal({ type: 'quick_todo', id, since }), r =>
+      `${r.at}  ${r.pageId}  task=${Boolean(r.taskCreated)} info=${Boolean(r.projectInfoRouted)} deleted=${Boolean(r.pageDeleted)}`
+    );
+
+  } else if (command === 'occurrences') {
+    await print(readJournal({ type: 'occurrence', since }), r =>
+      `${r.at}  series ${r.seriesId}: ${r.taskId} -> ${r.nextTaskId ? r.nextTaskId + ' due ' + r.due : '(series ended)'}`,
+      r => !id || r.seriesId === id
+    );
+
+  } else if (command === 'corrections') {
+    await print(readJournal({ type: 'correction', id, since }), r =>
+      `${r.at}  ${r.meetingId}  "${r.title}"  ${r.confirmed ? 'confirmed ' + r.project : r.inferred + ' -> ' + r.project}`
+    );
+
+  } else if (command === 'errors') {
+    await print(readJournal({ type: 'error', id, since }), r =>
+      `${r.at}  [${r.scope}] ${r.id || '-'}: ${r.message}`
+    );
+
+  } else if (command === 'summary') {
+    const counts = {};
+    for await (const r of readJournal({ since })) {
+      counts[r.type] = (counts[r.type] || 0) + 1;
+    }
+    console.log(`Journal: ${STATE_FILE}`);
+    Object.entries(counts).forEach(([type, count]) => console.log(`  ${type}: ${count}`));
+
+  } else if (command === 'compact') {
+    const { before, after } = compact();
+    console.log(`Compacted ${STATE_FILE}: ${before} -> ${after} record(s)`);
+
+  } else {
+    console.log('Usage:');
+    console.log('  node service/state_store.js summary [--since=ISO]        - Record counts');
+    console.log('  node service/state_store.js runs [meeting_id]            - Meeting processing runs');
+    console.log('  node service/state_store.js tasks [meeting_id]           - To-do block -> task mappings');
+    console.log('  node service/state_store.js project-info [project]       - Entries written to project pages');
+    console.log('  node service/state_store.js quick-todos [page_id]        - Quick todo outcomes');
+    console.log('  node service/state_store.js occurrences [series_id]      - Recurring task occurrences');
+    console.log('  node service/state_store.js corrections [meeting_id]     - Project corrections learned from');
+    console.log('  node service/state_store.js errors [page_id]             - Recorded failures');
+    console.log('  node service/state_store.js compact                      - Drop history the lookups don\'t need');
+  }
+}
@@ -0,0 +1,365 @@
+import * as blockCopy from './block_copy.js';
+import * as extractors from './extractors.js';
+import * as inlineTokens from './inline_tokens.js';
+import * as parsers from './parsers.js';
+import * as priority from './priority.js';
+import * as recurrence from './recurrence.js';
+
+// Keeps tasks in step with the to-do blocks they came from, both ways.
+
+// Read plain text from a title/rich_text property
+function propertyText(prop) {
+  return (prop?.title || prop?.rich_text || []).map(t => t.plain_text).join('');
+}
+
+export function getTaskTitle(task) {
+  return propertyText(task.properties.Title);
+}
+
+// The source to-do, so editing its text updates this task instead of creating a duplicate
+export function getTaskBlockId(task) {
+  return propertyText(task.properties['Block ID']) || null;
+}
+
+export function getTaskLineKey(task) {
+  return propertyText(task.properties['Line Key']) || null;
+}
+
+export function getTaskParentId(task) {
+  return task.properties['Parent Task']?.relation?.[0]?.id || null;
+}
+
+export function getTaskRecurrence(task) {
+  return propertyText(task.properties.Recurrence) || null;
+}
+
+// Every occurrence of a repeating task shares the first task's page ID
+export function getTaskSeriesId(task) {
+  return propertyText(task.properties['Series ID']) || null;
+}
+
+export function getTaskAssignees(task) {
+  return (task.properties.Assignee?.people || []).map(user => user.id);
+}
+
+/**
+ * Everything a to-do's text sets on its task: inline tokens (see inline_tokens.js) first,
+ * then the date/priority/effort/assignee heuristics over the text the tokens didn't claim
+ * @param {Object} todo - From extractTodos() (text, mentions); a bare { text } works too
+ * @param {Object} context - { aliases (parsers.buildAliasIndex()), dateOptions ({ timezone, now }),
+ *   priorityLexicon (priority.buildLexicon()), projects (projectRegistry.getRegistry()) }
+ * @returns {Object} - { due, priority, priorityReason, project, estimate, recurrence,
+ *   assignees, spans, unresolved } where priorityReason says which terms decided the
+ *   priority, estimate is in hours (null if the text gives no sizing), project is null
+ *   unless a token set it, recurrence is a recurrence.parseRecurrence() result and spans
+ *   are the phrases to cut from the title
+ */
+export function parseTodoFields(todo, context = {}) {
+  const tokens = inlineTokens.parseInlineTokens(todo.text, context);
+  let rest = inlineTokens.maskTokens(todo.text, tokens.spans);
+
+  // "every Friday" is a schedule, not a due date of "Friday"
+  const repeats = recurrence.parseRecurrence(rest, context.dateOptions);
+  if (repeats) {
+    rest = inlineTokens.maskTokens(rest, [repeats]);
+  }
+
+  // An explicit date wins; otherwise a repeating to-do is due at its first occurrence
+  const written = tokens.due || parsers.parseDate(rest, context.dateOptions);
+  const due = written || (repeats?.start ? { start: repeats.start, end: null } : null);
+  const assignees = tokens.owners.length > 0
+    ? [...new Set([...tokens.owners, ...(todo.mentions || [])])]
+    : getTodoAssignees({ ...todo, text: rest }, context.aliases);
+
+  // Sizing words stay in the title ("30 min call"); only the ~2h token is cut
+  const effort = tokens.estimate ?? parsers.parseEstimate(
+    tokens.due || !written ? rest : inlineTokens.maskTokens(rest, [written])
+  )?.hours ?? null;
+
+  const classified = tokens.priority
+    ? { priority: tokens.priority, explanation: `${tokens.priority}: inline token` }
+    : priority.classifyPriority(rest, context.priorityLexicon);
+
+  return {
+    due,
+    priority: classified.priority,
+    priorityReason: classified.explanation,
+    project: tokens.project,
+    estimate: effort,
+    recurrence: repeats && { ...repeats, rule: recurrence.anchorRule(repeats.rule, due?.start) },
+    assignees,
+    spans: [...tokens.spans, repeats, tokens.due ? null : written],
+    unresolved: tokens.unresolved
+  };
+}
+
+/**
+ * People a to-do assigns: @mentions first, then names resolved through the alias table
+ * @param {Object} todo - From extractTodos()
+ * @param {Map} aliases - From parsers.buildAliasIndex()
+ * @returns {Array<string>} - Notion user IDs
+ */
+export function getTodoAssignees(todo, aliases) {
+  return [...new Set([...(todo.mentions || []), ...parsers.parseAssignees(todo.text, aliases)])];
+}
+
+/**
+ * Task title for a to-do: its rich text with parsed phrases (tokens, the due date) cut out
+ * @param {Object} todo - From extractTodos() (text, richText)
+ * @param {Array<Object|null>} spans - Matches in todo.text ({ index, text }), nulls ignored
+ * @returns {Array} - Title rich text for a create/update request
+ */
+export function buildTaskTitle(todo, spans = []) {
+  if (!todo.richText) {
+    return [{ text: { content: todo.text } }];
+  }
+  
+  // todo.text is trimmed; offsets into the rich text include any leading space
+  const raw = todo.richText.map(t => t.plain_text).join('');
+  const shift = raw.length - raw.trimStart().length;
+  const ranges = spans.filter(Boolean).map(span => ({ index: span.index + shift, length: span.text.length }));
+  
+  const title = blockCopy.removeSpans(todo.richText, ranges);
+  return blockCopy.toRequestRichText(title.length > 0 ? title : todo.richText);
+}
+
+// Notion date property value for a parsed date (or clear it)
+export function dueProperty(parsed) {
+  return { date: parsed ? { start: parsed.start, ...(parsed.end && { end: parsed.end }) } : null };
+}
+
+/**
+ * Properties for the next occurrence of a recurring task: the same work, not yet done.
+ * Repeating tasks keep an RRULE in "Recurrence" and get one each time they're marked Done.
+ * It keeps the meeting link but not the to-do link, which stays with the first task.
+ * @param {Object} task - Completed occurrence
+ * @param {string} seriesId - Shared series ID
+ * @param {string} due - Next occurrence date (YYYY-MM-DD)
+ * @returns {Object} - Properties for createPage()
+ */
+export function occurrenceProperties(task, seriesId, due) {
+  const { properties } = task;
+  const text = content => ({ rich_text: [{ text: { content } }] });
+
+  return {
+    'Title': { title: blockCopy.toRequestRichText(properties.Title?.title) },
+    'Status': completionStatus(false),
+    'Due': { date: { start: due } },
+    'Recurrence': text(getTaskRecurrence(task)),
+    'Series ID': text(seriesId),
+    'Sprint?': { checkbox: false },
+    ...(properties.Priority?.select && { 'Priority': { select: { name: properties.Priority.select.name } } }),
+    ...(properties.Project?.select && { 'Project': { select: { name: properties.Project.select.name } } }),
+    ...(typeof properties.Estimate?.number === 'number' && { 'Estimate': { number: properties.Estimate.number } }),
+    ...(properties.Assignee?.people?.length > 0 && { 'Assignee': { people: getTaskAssignees(task).map(id => ({ id })) } }),
+    ...(properties['From Meeting']?.relation?.length > 0 && {
+      'From Meeting': { relation: properties['From Meeting'].relation.map(({ id }) => ({ id })) }
+    })
+  };
+}
+
+function sameIds(a, b) {
+  return a.length === b.length && a.every(id => b.includes(id));
+}
+
+// Anything other than Done (Backlog, Next, Doing) is an unchecked to-do
+export function isTaskDone(task) {
+  return task.properties.Status?.select?.name === 'Done';
+}
+
+/**
+ * Decide how to reconcile a task's Status with its to-do's checkbox. The baseline (the
+ * last value both sides agreed on) decides: the side that moved away from it wins; without
+ * one the newer edit wins, and the task wins a tie since Notion keeps minutes only and the
+ * Tasks DB is where work is tracked. Both sides moving means they agree (it's a yes/no).
+ * @param {Object} task - Task page
+ * @param {Object} todo - { checked, lastEditedTime } of the source block
+ * @param {boolean|null} baseline - Last synced checked value, if known
+ * @returns {Object|null} - { target: 'task'|'block', checked } or null when already in sync
+ */
+export function resolveCompletion(task, todo, baseline = null) {
+  const taskDone = isTaskDone(task);
+  if (taskDone === todo.checked) {
+    return null;
+  }
+
+  if (typeof baseline === 'boolean') {
+    return todo.checked !== baseline
+      ? { target: 'task', checked: todo.checked }
+      : { target: 'block', checked: taskDone };
+  }
+
+  const blockNewer = new Date(todo.lastEditedTime) > new Date(task.last_edited_time);
+  return blockNewer
+    ? { target: 'task', checked: todo.checked }
+    : { target: 'block', checked: taskDone };
+}
+
+// Status to write for a checked/unchecked to-do
+export function completionStatus(checked) {
+  return { select: { name: checked ? 'Done' : 'Backlog' } };
+}
+
+/**
+ * Completion a parent task should have, given its subtasks (to-dos nested under its
+ * to-do). Re-evaluated whenever a subtask's completion or nesting changes.
+ * @param {Array} subtasks - Task pages related to the parent
+ * @returns {boolean|null} - true when every subtask is Done, null without subtasks
+ */
+export function rollupCompletion(subtasks) {
+  if (subtasks.length === 0) {
+    return null;
+  }
+  return subtasks.every(isTaskDone);
+}
+
+/**
+ * Index a meeting's tasks for zero-call lookups
+ * @param {Array} tasks - Task pages from getMeetingTasks()
+ * @returns {Object} - { lineKeys: Set, byBlockId: Map, byLineKey: Map }
+ */
+export function buildTaskIndex(tasks) {
+  const index = { lineKeys: new Set(), byBlockId: new Map(), byLineKey: new Map() };
+
+  for (const task of tasks) {
+    const lineKey = getTaskLineKey(task);
+    const blockId = getTaskBlockId(task);
+
+    if (lineKey) {
+      index.lineKeys.add(lineKey);
+      index.byLineKey.set(lineKey, task);
+    }
+    if (blockId) {
+      index.byBlockId.set(blockId, task);
+    }
+  }
+
+  return index;
+}
+
+// Add a newly created task to the index
+export function addToIndex(index, task, lineKey, blockId) {
+  index.lineKeys.add(lineKey);
+  index.byLineKey.set(lineKey, task);
+  if (blockId) {
+    index.byBlockId.set(blockId, task);
+  }
+}
+
+/**
+ * Work out which task properties a to-do edit should change
+ * @param {Object} task - Existing task page
+ * @param {Object} todo - { text, checked, blockId, parentBlockId, lastEditedTime } from
+ *   extractTodos(), plus fields from parseTodoFields(), assignees (fields.assignees)
+ *   and parentTaskId (the parent to-do's task, if it has one)
+ * @param {string} meetingId - Source meeting ID
+ * @param {Object|null} previous - Last synced snapshot from the state store
+ *   ({ text, checked, assignees, parentBlockId })
+ * @param {Object} context - { aliases, dateOptions } as for parseTodoFields()
+ * @returns {Object} - { properties, changes, block } where block is { checked } when
+ *   the to-do itself should be updated from the task, or null
+ */
+export function diffTodo(task, todo, meetingId, previous = null, context = {}) {
+  const properties = {};
+  const changes = [];
+  const lineKey = extractors.generateLineKey(meetingId, todo.text);
+
+  // Backfill the block link on tasks created before we tracked it
+  if (getTaskBlockId(task) !== todo.blockId) {
+    properties['Block ID'] = { rich_text: [{ text: { content: todo.blockId } }] };
+    changes.push('block');
+  }
+
+  // Text edits: the Line Key is a hash of the text, so a mismatch means it changed
+  if (getTaskLineKey(task) !== lineKey) {
+    const oldText = previous?.text ?? getTaskTitle(task);
+
+    const fields = todo.fields || parseTodoFields(todo, context);
+    const oldFields = parseTodoFields({ text: oldText }, context);
+    properties['Title'] = { title: buildTaskTitle(todo, fields.spans) };
+    properties['Line Key'] = { rich_text: [{ text: { content: lineKey } }] };
+    changes.push('text');
+
+    // Everything else read from the text is only touched when the text now says
+    // something different (manual edits in the Tasks DB survive otherwise)
+    if (oldFields.due?.start !== fields.due?.start || oldFields.due?.end !== fields.due?.end) {
+      properties['Due'] = dueProperty(fields.due);
+      changes.push('due');
+    }
+
+    if (oldFields.priority !== fields.priority) {
+      properties['Priority'] = { select: { name: fields.priority } };
+      changes.push('priority');
+    }
+
+    if (fields.project && oldFields.project !== fields.project) {
+      properties['Project'] = { select: { name: fields.project } };
+      changes.push('project');
+    }
+
+    if (oldFields.estimate !== fields.estimate) {
+      properties['Estimate'] = { number: fields.estimate };
+      changes.push('estimate');
+    }
+
+    if (oldFields.recurrence?.rule !== fields.recurrence?.rule) {
+      properties['Recurrence'] = { rich_text: fields.recurrence ? [{ text: { content: fields.recurrence.rule } }] : [] };
+      changes.push('recurrence');
+    }
+  }
+
+  // Assignees: follow the to-do when it names different people than at the last
+  // sync. Without a snapshot, only fill in tasks nobody has assigned yet.
+  const assignees = todo.assignees || [];
+  const assigneesChanged = previous?.assignees
+    ? !sameIds(previous.assignees, assignees)
+    : getTaskAssignees(task).length === 0 && assignees.length > 0;
+  if (assigneesChanged) {
+    properties['Assignee'] = { people: assignees.map(id => ({ id })) };
+    changes.push('assignee');
+  }
+
+  // Nesting: follow the to-do when it moved under a different parent since the
+  // last sync. Without a snapshot, only link tasks that have no parent yet.
+  const parentTaskId = todo.parentTaskId ?? null;
+  const nestingChanged = previous && 'parentBlockId' in previous
+    ? previous.parentBlockId !== (todo.parentBlockId ?? null)
+    : parentTaskId !== null && getTaskParentId(task) === null;
+  if (nestingChanged && getTaskParentId(task) !== parentTaskId) {
+    properties['Parent Task'] = { relation: parentTaskId ? [{ id: parentTaskId }] : [] };
+    changes.push('parent');
+  }
+
+  // Completion: whichever side changed since the last sync wins
+  let block = null;
+  const completion = resolveCompletion(task, todo, previous?.checked);
+  if (completion?.target === 'task') {
+    properties['Status'] = completionStatus(completion.checked);
+    changes.push('status');
+  } else if (completion?.target === 'block') {
+    block = { checked: completion.checked };
+    changes.push('checked');
+  }
+
+  // A to-do that reappeared is no longer orphaned
+  if (task.properties['Source Removed?']?.checkbox) {
+    properties['Source Removed?'] = { checkbox: false };
+    changes.push('restored');
+  }
+
+  return { properties, changes, block };
+}
+
+/**
+ * Tasks whose source to-do block is gone from the meeting
+ * @param {Object} index - From buildTaskIndex()
+ * @param {Array} todos - Current to-dos from extractTodos()
+ * @returns {Array} - Task pages to flag (already-flagged ones excluded)
+ */
+export function findOrphanedTasks(index, todos) {
+  const current = new Set(todos.map(todo => todo.blockId));
+
+  return [...index.byBlockId.entries()]
+    .filter(([blockId, task]) => !current.has(blockId) && !task.properties['Source Removed?']?.checkbox)
+    .map(([, task]) => task);
+}
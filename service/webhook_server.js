@@ -0,0 +1,244 @@
+import http from 'http';
+import crypto from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+// Notion webhook receiver: verifies signatures, debounces bursts of edits per
+// page and hands each affected page to a handler one at a time.
+
+const WEBHOOK_PATH = '/notion/webhook';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Page events that can mean a meeting or quick todo needs (re)processing
+const PAGE_EVENTS = ['page.created', 'page.content_updated', 'page.properties_updated', 'page.undeleted'];
+
+// Log with timestamp
+function log(message, level = 'INFO') {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [WEBHOOK] [${level}] ${message}`);
+}
+
+// Compare Notion IDs with or without dashes
+export function normalizeId(id) {
+  return (id || '').replace(/-/g, '').toLowerCase();
+}
+
+/**
+ * Sign a raw request body the way Notion does (X-Notion-Signature)
+ * @param {string} rawBody - Exact request body
+ * @param {string} secret - Webhook verification token
+ * @returns {string} - "sha256=<hex>"
+ */
+export function signBody(rawBody, secret) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+/**
+ * Check an X-Notion-Signature header against the raw body
+ * @param {string} rawBody - Exact request body
+ * @param {string} signature - Header value
+ * @param {string} secret - Webhook verification token
+ * @returns {boolean} - True if the signature matches
+ */
+export function verifySignature(rawBody, signature, secret) {
+  if (!signature || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(signBody(rawBody, secret));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Debounce events per key, then run the handler for each key serially
+ * @param {Function} handler - async (key, payload) => void
+ * @param {number} debounceMs - Quiet period before a key is run
+ * @returns {Object} - { enqueue(key, payload), pending() }
+ */
+export function createDebouncedQueue(handler, debounceMs) {
+  const timers = new Map();
+  const ready = new Map(); // key -> latest payload, in fire order
+  let running = false;
+
+  async function drain() {
+    if (running) return;
+    running = true;
+
+    try {
+      while (ready.size > 0) {
+        const [key, payload] = ready.entries().next().value;
+        ready.delete(key);
+
+        try {
+          await handler(key, payload);
+        } catch (error) {
+          log(`Handler failed for ${key}: ${error.message}`, 'ERROR');
+          console.error(error.stack);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    enqueue(key, payload) {
+      clearTimeout(timers.get(key));
+      timers.set(key, setTimeout(() => {
+        timers.delete(key);
+        ready.set(key, payload);
+        drain();
+      }, debounceMs));
+    },
+
+    pending() {
+      return timers.size + ready.size;
+    }
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+function respond(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Start the webhook HTTP server
+ * @param {Object} options - { port, secret, debounceMs, databaseIds, onPage, tokenFile }
+ *   databaseIds: parent databases whose pages we care about
+ *   onPage: async (pageId, event) => void, called after the debounce window
+ *   tokenFile: where to save the subscription's verification token (never logged)
+ * @returns {http.Server} - Listening server
+ */
+export function startWebhookServer({ port, secret, debounceMs, databaseIds, onPage, tokenFile }) {
+  const watched = new Set(databaseIds.map(normalizeId));
+  const queue = createDebouncedQueue(onPage, debounceMs);
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'GET' && req.url === '/health') {
+      return respond(res, 200, { ok: true, pending: queue.pending() });
+    }
+
+    if (req.url !== WEBHOOK_PATH) {
+      return respond(res, 404, { error: 'not_found' });
+    }
+
+    if (req.method !== 'POST') {
+      return respond(res, 405, { error: 'method_not_allowed' });
+    }
+
+    let rawBody;
+    let event;
+    try {
+      rawBody = await readBody(req);
+      event = JSON.parse(rawBody);
+    } catch (error) {
+      return respond(res, 400, { error: 'invalid_body' });
+    }
+
+    // One-time handshake when the subscription is created: Notion sends the
+    // token we then use as the signing secret. It is a credential, so it goes to a
+    // private file rather than the log
+    if (event.verification_token) {
+      if (!tokenFile) {
+        log('Received a verification token but have nowhere to save it', 'WARN');
+        return respond(res, 200, { ok: true });
+      }
+      try {
+        await mkdir(dirname(tokenFile), { recursive: true });
+        await writeFile(tokenFile, event.verification_token + '\n', { mode: 0o600 });
+      } catch (error) {
+        log(`Received a verification token but could not save it: ${error.message}`, 'ERROR');
+        return respond(res, 500, { error: 'token_not_saved' });
+      }
+      log(`Received a verification token; saved it to ${tokenFile}`, 'WARN');
+      log('Set NOTION_WEBHOOK_SECRET to it and paste it into the Notion subscription to verify it', 'WARN');
+      return respond(res, 200, { ok: true });
+    }
+
+    if (!verifySignature(rawBody, req.headers['x-notion-signature'], secret)) {
+      log(`Rejected event with bad signature (${event.type || 'unknown type'})`, 'WARN');
+      return respond(res, 401, { error: 'invalid_signature' });
+    }
+
+    respond(res, 200, { ok: true });
+
+    if (!PAGE_EVENTS.includes(event.type) || event.entity?.type !== 'page') {
+      log(`Ignoring ${event.type} event`);
+      return;
+    }
+
+    const parentId = event.data?.parent?.id;
+    if (parentId && !watched.has(normalizeId(parentId))) {
+      log(`Ignoring ${event.type} for page outside watched databases (${event.entity.id})`);
+      return;
+    }
+
+    log(`Queued ${event.type} for page ${event.entity.id}`);
+    queue.enqueue(event.entity.id, event);
+  });
+
+  server.listen(port, () => {
+    log(`Listening on http://localhost:${port}${WEBHOOK_PATH} (debounce ${debounceMs}ms)`);
+  });
+
+  return server;
+}
+
+// CLI: replay a signed sample event against a running server
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const command = process.argv[2];
+
+  if (command === 'send') {
+    const fixturePath = process.argv[3] || 'fixtures/webhook_page_content_updated.json';
+    const url = process.argv[4] || `http://localhost:3000${WEBHOOK_PATH}`;
+    const fixture = JSON.parse(await readFile(fixturePath, 'utf-8'));
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Notion-Signature': fixture.signature
+      },
+      body: fixture.body
+    });
+
+    console.log(`${response.status} ${await response.text()}`);
+
+  } else if (command === 'sign') {
+    const fixturePath = process.argv[3];
+    const secret = process.argv[4];
+    if (!fixturePath || !secret) {
+      console.log('Usage: node service/webhook_server.js sign <fixture.json> <secret>');
+      process.exit(1);
+    }
+
+    const fixture = JSON.parse(await readFile(fixturePath, 'utf-8'));
+    console.log(signBody(fixture.body, secret));
+
+  } else {
+    console.log('Usage:');
+    console.log('  node service/webhook_server.js send [fixture.json] [url]   - POST a signed sample event');
+    console.log('  node service/webhook_server.js sign <fixture.json> <secret> - Print the signature for a fixture body');
+  }
+}
@@ -0,0 +1,194 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMemoryNotion } from '../service/memory_notion.js';
+
+// The journal path is read when the state store loads, so set it first
+const dir = mkdtempSync(join(tmpdir(), 'ca-v2-automation-'));
+process.env.STATE_FILE = join(dir, 'state.jsonl');
+
+const client = await import('../service/notion_client.js');
+const openai = await import('../service/openai_client.js');
+const automation = await import('../service/automation.js');
+
+const config = JSON.parse(readFileSync(new URL('../CA_V2_CONFIG.json', import.meta.url), 'utf-8'));
+const seed = JSON.parse(readFileSync(new URL('../fixtures/ca_v2_workspace.json', import.meta.url), 'utf-8'));
+
+const CLICKUP_PAGE = '00000000-0000-4000-8000-000000000101';
+const CLICKUP_SYNC = '00000000-0000-4000-8000-000000000201';
+const PODCAST_PLANNING = '00000000-0000-4000-8000-000000000202';
+const MONDAY_SYNC = '00000000-0000-4000-8000-000000000203';
+
+function plain(prop) {
+  return (prop?.title || prop?.rich_text || []).map(t => t.plain_text).join('');
+}
+
+function blockText(block) {
+  return plain(block[block.type]);
+}
+
+// Edits made by a test are stamped a few minutes ahead, so the next poll sees them as
+// newer than the last run (Notion keeps edit times to the minute)
+let minutesAhead = 0;
+function editLater() {
+  minutesAhead += 2;
+}
+
+// One offline poll over the fixture workspace; every OpenAI request fails, as with the API down
+const notion = createMemoryNotion(seed, { now: () => new Date(Date.now() + minutesAhead * 60000) });
+let openaiCalls = 0;
+let tasks;
+
+before(async () => {
+  client.setBackend(notion);
+  openai.setBackend({
+    chat: {
+      completions: {
+        create: async () => {
+          openaiCalls++;
+          throw new Error('offline');
+        }
+      }
+    }
+  });
+
+  await automation.runOnce();
+  tasks = (await notion.databases.query({ database_id: config.databases.tasks.id })).results;
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function meeting(id) {
+  return notion.pages.retrieve({ page_id: id });
+}
+
+async function taskNamed(title) {
+  const { results } = await notion.databases.query({ database_id: config.databases.tasks.id });
+  return results.find(task => plain(task.properties.Title) === title);
+}
+
+async function sourceTodo(task) {
+  return notion.blocks.retrieve({ block_id: plain(task.properties['Block ID']) });
+}
+
+describe('runOnce over the fixture workspace', () => {
+  it('creates a task for every to-do of the two new meetings', () => {
+    const created = tasks
+      .filter(task => task.properties['From Meeting'].relation.some(r => r.id !== PODCAST_PLANNING))
+      .map(task => [plain(task.properties.Title), task.properties.Project.select?.name, task.properties.Status.select?.name]);
+
+    assert.deepEqual(created.sort(), [
+      ['@Anonymous archive old automations', 'ClickUp', 'Done'],
+      ['Chuck to update the client portal FAQ', 'ClickUp', 'Backlog'],
+      ['Clean up CUARC folder structure when you can', 'ClickUp', 'Backlog'],
+      ['Collect the top 10 client questions', 'ClickUp', 'Done'],
+      ['Draft answers for review', 'ClickUp', 'Backlog'],
+      ['Hold the half-day ClickUp migration workshop', 'ClickUp', 'Backlog'],
+      ['Merge duplicate contacts before the import', 'HubSpot', 'Backlog'],
+      ['Move the sprint board to the new space', 'ClickUp', 'Backlog'],
+      ['Order new badges for the office', 'HubSpot', 'Backlog'],
+      ['Record the pipeline walkthrough for the podcast team', 'Podcast', 'Backlog'],
+      ['Renew the Zoom licence', 'Docebo', 'Backlog'],
+      ['Send WPR dashboard to Chuck urgent', 'ClickUp', 'Backlog'],
+      ['Send the WPR to the team', 'ClickUp', 'Backlog']
+    ]);
+  });
+
+  it('links subtasks to their parent and reads priority and effort', () => {
+    const byTitle = Object.fromEntries(tasks.map(task => [plain(task.properties.Title), task]));
+    const parent = byTitle['Chuck to update the client portal FAQ'];
+
+    for (const title of ['Collect the top 10 client questions', 'Draft answers for review']) {
+      assert.deepEqual(byTitle[title].properties['Parent Task'].relation, [{ id: parent.id }]);
+    }
+    assert.equal(byTitle['Send WPR dashboard to Chuck urgent'].properties.Priority.select.name, 'High');
+    assert.equal(byTitle['Draft answers for review'].properties.Estimate.number, 2);
+    assert.equal(byTitle['Hold the half-day ClickUp migration workshop'].properties.Estimate.number, 4);
+  });
+
+  it('marks the meetings processed and files them under a project', async () => {
+    const clickup = await meeting(CLICKUP_SYNC);
+    assert.equal(clickup.properties.Processed.checkbox, true);
+    assert.equal(clickup.properties.Project.select.name, 'ClickUp');
+    assert.equal(clickup.properties['Project Source'].select.name, 'keyword');
+    assert.equal(clickup.properties['Needs Review?'].checkbox, false);
+
+    // Four projects come up and none clearly wins, and the model couldn't be asked
+    const monday = await meeting(MONDAY_SYNC);
+    assert.equal(monday.properties.Processed.checkbox, true);
+    assert.equal(monday.properties.Project.select.name, 'HubSpot');
+    assert.equal(monday.properties['Needs Review?'].checkbox, true);
+    assert.deepEqual(monday.properties.Projects.multi_select.map(option => option.name), ['ClickUp', 'Docebo', 'HubSpot', 'Podcast']);
+
+    const podcast = await meeting(PODCAST_PLANNING);
+    assert.equal(podcast.properties['Last Processed'].date.start, '2025-10-23T17:00:00.000Z');
+  });
+
+  it('appends project information from the meeting and the quick todo to the project page', async () => {
+    const blocks = (await notion.blocks.children.list({ block_id: CLICKUP_PAGE })).results;
+    const heading = blocks.findIndex(block => blockText(block) === '💡 Project Context & Decisions');
+
+    assert.deepEqual(blocks.slice(heading + 1, heading + 4).map(blockText), [
+      'ClickUp API docs are at https://clickup.com/api',
+      'ClickUp workspace admin is Karen (karen@example.com)',
+      'Portal login lives in the CA-Ops 1Password vault'
+    ]);
+    assert.equal(blocks[heading + 4].type, 'heading_2');
+  });
+
+  it('asks the stubbed OpenAI client instead of the network', () => {
+    assert.ok(openaiCalls > 0);
+  });
+});
+
+describe('completion sync', () => {
+  it('completes a task when its to-do is ticked in the meeting', async () => {
+    const todo = await sourceTodo(await taskNamed('Send the WPR to the team'));
+    editLater();
+    await notion.blocks.update({ block_id: todo.id, to_do: { checked: true } });
+
+    await automation.runOnce();
+    assert.equal((await taskNamed('Send the WPR to the team')).properties.Status.select.name, 'Done');
+  });
+
+  it('ticks the to-do when its task is closed in the Tasks DB', async () => {
+    const task = await taskNamed('Move the sprint board to the new space');
+    editLater();
+    await notion.pages.update({ page_id: task.id, properties: { 'Status': { select: { name: 'Done' } } } });
+
+    await automation.runOnce();
+    assert.equal((await sourceTodo(task)).to_do.checked, true);
+    assert.equal((await taskNamed('Move the sprint board to the new space')).properties.Status.select.name, 'Done');
+  });
+});
+
+describe('subtask roll-up', () => {
+  const PARENT = 'Chuck to update the client portal FAQ';
+
+  it('links a to-do nested under another one to its task', async () => {
+    const parent = await taskNamed(PARENT);
+    editLater();
+    await notion.blocks.children.append({
+      block_id: plain(parent.properties['Block ID']),
+      children: [{ to_do: { rich_text: [{ text: { content: 'Publish the FAQ page' } }], checked: false } }]
+    });
+
+    await automation.runOnce();
+    assert.deepEqual((await taskNamed('Publish the FAQ page')).properties['Parent Task'].relation, [{ id: parent.id }]);
+  });
+
+  it('completes the parent once every subtask is done', async () => {
+    editLater();
+    for (const title of ['Draft answers for review', 'Publish the FAQ page']) {
+      const task = await taskNamed(title);
+      await notion.pages.update({ page_id: task.id, properties: { 'Status': { select: { name: 'Done' } } } });
+    }
+
+    await automation.runOnce();
+    const parent = await taskNamed(PARENT);
+    assert.equal(parent.properties.Status.select.name, 'Done');
+    assert.equal((await sourceTodo(parent)).to_do.checked, true);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as blockCopy from '../service/block_copy.js';
+import * as blockTree from '../service/block_tree.js';
+
+const PLAIN = { bold: false, italic: false, strikethrough: false, underline: false, code: false, color: 'default' };
+
+function text(content, annotations = {}, link = null) {
+  return { type: 'text', text: { content, link }, annotations: { ...PLAIN, ...annotations }, plain_text: content, href: link?.url ?? null };
+}
+
+function mention(user, name) {
+  return { type: 'mention', mention: { type: 'user', user: { object: 'user', id: user } }, annotations: PLAIN, plain_text: `@${name}`, href: null };
+}
+
+function contents(items) {
+  return items.map(item => item.plain_text);
+}
+
+describe('toRequestRichText', () => {
+  it('keeps annotations, links and mentions', () => {
+    const request = blockCopy.toRequestRichText([
+      text('Send ', { bold: true }),
+      text('deck', {}, { url: 'https://example.com/deck' }),
+      mention('u1', 'Dana')
+    ]);
+
+    assert.deepEqual(request, [
+      { type: 'text', text: { content: 'Send ', link: null }, annotations: { ...PLAIN, bold: true } },
+      { type: 'text', text: { content: 'deck', link: { url: 'https://example.com/deck' } }, annotations: PLAIN },
+      { type: 'mention', mention: { user: { id: 'u1' } }, annotations: PLAIN }
+    ]);
+  });
+
+  it('turns mentions the API cannot create into linked text', () => {
+    const preview = { type: 'mention', mention: { type: 'link_preview', link_preview: { url: 'https://x.test' } }, annotations: PLAIN, plain_text: 'x.test', href: 'https://x.test' };
+    assert.deepEqual(blockCopy.toRequestRichText([preview]), [
+      { type: 'text', text: { content: 'x.test', link: { url: 'https://x.test' } }, annotations: PLAIN }
+    ]);
+  });
+});
+
+describe('toRequestBlocks', () => {
+  function tree(blocks) {
+    const root = blockTree.createRoot('page');
+    const attach = (parent, list) => {
+      const nodes = blockTree.attachChildren(parent, list.map(({ children, ...block }) => block));
+      list.forEach((block, i) => block.children && attach(nodes[i], block.children));
+    };
+    attach(root, blocks);
+    return root.children;
+  }
+
+  function block(id, type, content, children) {
+    return { id, type, [type]: { rich_text: [text(content)], color: 'default' }, has_children: Boolean(children), ...(children && { children }) };
+  }
+
+  it('copies child blocks in request shape without IDs', () => {
+    const [copy] = blockCopy.toRequestBlocks(tree([
+      block('b1', 'bulleted_list_item', 'Context', [block('b2', 'paragraph', 'Detail')])
+    ]));
+
+    assert.deepEqual(copy, {
+      type: 'bulleted_list_item',
+      bulleted_list_item: {
+        color: 'default',
+        rich_text: [{ type: 'text', text: { content: 'Context', link: null }, annotations: PLAIN }],
+        children: [{
+          type: 'paragraph',
+          paragraph: { color: 'default', rich_text: [{ type: 'text', text: { content: 'Detail', link: null }, annotations: PLAIN }] }
+        }]
+      }
+    });
+  });
+
+  it('lifts blocks nested deeper than one request allows', () => {
+    const copies = blockCopy.toRequestBlocks(tree([
+      block('a', 'toggle', 'a', [block('b', 'toggle', 'b', [block('c', 'toggle', 'c', [block('d', 'paragraph', 'd')])])])
+    ]));
+
+    const c = copies[0].toggle.children[0].toggle.children;
+    assert.deepEqual(c.map(copy => copy.type), ['toggle', 'paragraph']);
+    assert.equal(c[0].toggle.children, undefined);
+    assert.equal(c[1].paragraph.rich_text[0].text.content, 'd');
+  });
+
+  it('leaves a note for blocks it cannot copy and honours skip', () => {
+    const copies = blockCopy.toRequestBlocks(tree([
+      { id: 'img', type: 'image', image: { type: 'file', file: { url: 'https://files.test/a.png' } } },
+      block('t', 'to_do', 'nested todo'),
+      block('p', 'paragraph', 'kept')
+    ]), { skip: node => node.type === 'to_do' });
+
+    assert.equal(copies.length, 2);
+    assert.equal(copies[0].paragraph.rich_text[0].text.content, '[image not copied]');
+    assert.equal(copies[1].paragraph.rich_text[0].text.content, 'kept');
+  });
+});
+
+describe('blockUrl', () => {
+  it('links to the block on its page', () => {
+    const page = { url: 'https://www.notion.so/Weekly-sync-2967a873fa3181368299d13b5bd279b7' };
+    assert.equal(
+      blockCopy.blockUrl(page, '00000000-0000-4000-8000-0000000000ee'),
+      'https://www.notion.so/Weekly-sync-2967a873fa3181368299d13b5bd279b7#000000000000400080000000000000ee'
+    );
+  });
+});
+
+describe('removeSpans', () => {
+  it('cuts a range that crosses an annotation boundary and keeps the rest formatted', () => {
+    // "Send the deck by Friday" with "by Fri" bold and "day" italic
+    const items = [text('Send the deck '), text('by Fri', { bold: true }), text('day', { italic: true })];
+    const result = blockCopy.removeSpans(items, [{ index: 14, length: 9 }]);
+
+    assert.deepEqual(contents(result), ['Send the deck']);
+    assert.equal(result[0].text.content, 'Send the deck');
+  });
+
+  it('keeps annotated text on both sides of a cut', () => {
+    const items = [text('Call ', { bold: true }), text('tomorrow', { italic: true }), text(' about ', { bold: true }), text('pricing', {}, { url: 'https://x.test' })];
+    const result = blockCopy.removeSpans(items, [{ index: 5, length: 8 }]);
+
+    assert.deepEqual(contents(result), ['Call ', 'about ', 'pricing']);
+    assert.equal(result[0].annotations.bold, true);
+    assert.equal(result[1].annotations.bold, true);
+    assert.deepEqual(result[2].text.link, { url: 'https://x.test' });
+  });
+
+  it('drops a mention the range touches and tidies the seams', () => {
+    const items = [text('Ask '), mention('u1', 'Dana'), text(' re: budget, ')];
+    assert.deepEqual(contents(blockCopy.removeSpans(items, [{ index: 4, length: 2 }])), ['Ask ', 're: budget']);
+  });
+
+  it('returns the items untouched without ranges', () => {
+    const items = [text('Write recap', { code: true })];
+    assert.deepEqual(blockCopy.removeSpans(items, []), items);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as blockTree from '../service/block_tree.js';
+
+function block(id, type, text = '') {
+  return { id, type, [type]: { rich_text: text ? [{ plain_text: text }] : [] } };
+}
+
+// Page:
+//   # Notes
+//   para
+//   ## Tasks            (toggle heading)
+//     todo-1
+//       todo-1a
+//   todo-2
+//   # Project Info
+//   info
+function buildPage() {
+  const root = blockTree.createRoot('page');
+  const [, , tasks] = blockTree.attachChildren(root, [
+    block('h1', 'heading_1', 'Notes'),
+    block('p1', 'paragraph', 'para'),
+    block('h2', 'heading_2', '📋 Tasks'),
+    block('t2', 'to_do', 'todo-2'),
+    block('h3', 'heading_1', 'Project Info'),
+    block('p2', 'paragraph', 'info')
+  ]);
+  const [todo] = blockTree.attachChildren(tasks, [block('t1', 'to_do', 'todo-1')]);
+  blockTree.attachChildren(todo, [block('t1a', 'to_do', 'todo-1a')]);
+  return root;
+}
+
+describe('walk / flatten', () => {
+  it('visits blocks in document order', () => {
+    assert.deepEqual(blockTree.flatten(buildPage()).map(b => b.id), ['h1', 'p1', 'h2', 't1', 't1a', 't2', 'h3', 'p2']);
+  });
+
+  it('keeps parent links, depth and sibling order', () => {
+    const node = blockTree.findNode(buildPage(), 't1a');
+    assert.equal(node.depth, 2);
+    assert.equal(node.parent.id, 't1');
+    assert.equal(blockTree.findNode(buildPage(), 't2').index, 3);
+    assert.equal(blockTree.findNode(buildPage(), 'missing'), null);
+  });
+});
+
+describe('blockText / headingLevel', () => {
+  it('reads plain text and heading levels', () => {
+    const root = buildPage();
+    assert.equal(blockTree.blockText(blockTree.findNode(root, 'h2').block), '📋 Tasks');
+    assert.equal(blockTree.blockText({ id: 'd', type: 'divider', divider: {} }), '');
+    assert.equal(blockTree.headingLevel(blockTree.findNode(root, 'h2')), 2);
+    assert.equal(blockTree.headingLevel(blockTree.findNode(root, 'p1')), null);
+  });
+});
+
+describe('sections', () => {
+  it('finds a heading by substring or predicate', () => {
+    const root = buildPage();
+    assert.equal(blockTree.findHeading(root, 'Tasks').id, 'h2');
+    assert.equal(blockTree.findHeading(root, text => text.startsWith('Project')).id, 'h3');
+    assert.equal(blockTree.findHeading(root, 'Nope'), null);
+  });
+
+  it('takes a toggle heading\'s children, then siblings up to a heading of the same or higher level', () => {
+    const root = buildPage();
+    const tasks = blockTree.findSection(root, 'Tasks');
+    assert.deepEqual(tasks.nodes.map(n => n.id), ['t1', 't2']);
+    assert.deepEqual(blockTree.sectionBlocks(tasks).map(b => b.id), ['t1', 't1a', 't2']);
+
+    const notes = blockTree.findSection(root, 'Notes');
+    assert.deepEqual(notes.nodes.map(n => n.id), ['p1', 'h2', 't2']);
+    assert.equal(blockTree.findSection(root, 'Nope'), null);
+  });
+
+  it('finds the heading a block sits under', () => {
+    const root = buildPage();
+    assert.equal(blockTree.enclosingHeading(blockTree.findNode(root, 't1a')).id, 'h2');
+    assert.equal(blockTree.enclosingHeading(blockTree.findNode(root, 't2')).id, 'h2');
+    assert.equal(blockTree.enclosingHeading(blockTree.findNode(root, 'p2')).id, 'h3');
+    assert.equal(blockTree.enclosingHeading(blockTree.findNode(root, 'h1')), null);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as inference from '../service/inference.js';
+import * as projectClassifier from '../service/project_classifier.js';
+import * as projectRegistry from '../service/project_registry.js';
+
+const registry = projectRegistry.createRegistry([
+  { name: 'ClickUp', pageId: 'p1', aliases: ['click up', 'cu'], clues: ['wpr', 'dashboards'], weights: {}, active: true },
+  { name: 'HubSpot', pageId: 'p2', aliases: ['crm', 'hs'], clues: ['contacts', 'deals'], weights: {}, active: true },
+  { name: 'Insider Knowledge', pageId: 'p3', aliases: ['insider', 'ik'], clues: [], weights: { ik: 0.5 }, active: true },
+  { name: 'Old', pageId: 'p4', aliases: ['legacy'], clues: [], weights: {}, active: false },
+  { name: 'Support/Other', pageId: 'p9', aliases: ['support'], clues: [], weights: {}, active: true }
+]);
+
+function block(type, text) {
+  return { type, [type]: { rich_text: [{ plain_text: text }] } };
+}
+
+describe('inferProject', () => {
+  it('weighs terms by kind and by where they were found', () => {
+    const inferred = inference.inferProject('ClickUp weekly', [
+      block('heading_2', 'Dashboards'),
+      block('to_do', 'Fix the WPR')
+    ], registry);
+    assert.equal(inferred.project, 'ClickUp');
+    assert.equal(inferred.source, 'keyword');
+    assert.deepEqual(inferred.scores, { ClickUp: 10.5 });
+    assert.equal(inferred.confidence, 0.78);
+    assert.equal(inferred.explanation, 'ClickUp 10.5 vs nothing else (confidence 0.78): title "clickup" +9, heading "dashboards" +1, todo "wpr" +0.5');
+  });
+
+  it('matches short aliases as whole words only', () => {
+    const inferred = inference.inferProject('Weekly', [block('to_do', 'discuss cucumbers')], registry);
+    assert.equal(inferred.project, projectRegistry.FALLBACK_PROJECT);
+    assert.equal(inferred.confidence, 0);
+  });
+
+  it('matches multi-word names before their parts', () => {
+    const inferred = inference.inferProject('Insider knowledge sync', [], registry);
+    assert.deepEqual(inferred.scores, { 'Insider Knowledge': 9 });
+  });
+
+  it('has no confidence when two projects tie', () => {
+    const inferred = inference.inferProject('Weekly', [
+      block('to_do', 'Clean crm contacts'),
+      block('to_do', 'cu dashboards')
+    ], registry);
+    assert.equal(inferred.confidence, 0);
+    assert.deepEqual(inferred.scores, { HubSpot: 1.5, ClickUp: 1.5 });
+  });
+
+  it('ignores inactive projects', () => {
+    assert.equal(inference.inferProject('legacy cleanup', [], registry).project, projectRegistry.FALLBACK_PROJECT);
+  });
+
+  it('lets a #proj: paragraph override the keywords', () => {
+    const inferred = inference.inferProject('ClickUp', [block('paragraph', '#proj:hs')], registry);
+    assert.equal(inferred.project, 'HubSpot');
+    assert.equal(inferred.source, 'hashtag');
+    assert.equal(inferred.confidence, 1);
+  });
+
+  it('adds the learned model as evidence', () => {
+    const title = text => [{ zone: 'title', text }];
+    const model = projectClassifier.train([
+      { project: 'HubSpot', sources: title('pipeline review forecast') },
+      { project: 'HubSpot', sources: title('pipeline cleanup') },
+      { project: 'ClickUp', sources: title('sprint board automations') },
+      { project: 'ClickUp', sources: title('sprint planning board') }
+    ]);
+
+    assert.equal(inference.inferFromSources(title('pipeline forecast'), registry).project, projectRegistry.FALLBACK_PROJECT);
+    const learned = inference.inferFromSources(title('pipeline forecast'), registry, model);
+    assert.equal(learned.project, 'HubSpot');
+    assert.ok(learned.confidence > 0.5);
+  });
+});
+
+describe('resolveProjectName / findMentionedProject', () => {
+  it('maps names and aliases to the registry name', () => {
+    assert.equal(inference.resolveProjectName('click up', registry), 'ClickUp');
+    assert.equal(inference.resolveProjectName('support/other', registry), 'Support/Other');
+    assert.equal(inference.resolveProjectName('nope', registry), null);
+  });
+
+  it('finds the project a text mentions most strongly', () => {
+    assert.equal(inference.findMentionedProject('update the crm', registry), 'HubSpot');
+    assert.equal(inference.findMentionedProject('crm and clickup', registry), 'ClickUp');
+  });
+});
+
+describe('resolveTodoProject', () => {
+  const context = { meetingProject: 'ClickUp', registry };
+
+  function resolve(todo, extra = {}) {
+    const { project, source } = inference.resolveTodoProject(todo, { ...context, ...extra });
+    return [project, source];
+  }
+
+  it('takes an inline token first', () => {
+    assert.deepEqual(resolve({ text: 'Clean the crm', fields: { project: 'ClickUp' } }), ['ClickUp', 'token']);
+  });
+
+  it('takes a project the to-do names, but not a clue alone', () => {
+    assert.deepEqual(resolve({ text: 'Clean the CRM' }), ['HubSpot', 'todo']);
+    assert.deepEqual(resolve({ text: 'check contacts' }), ['ClickUp', 'meeting']);
+  });
+
+  it('follows a parent that was filed on its own evidence', () => {
+    assert.deepEqual(resolve({ text: 'subtask' }, { parent: { project: 'HubSpot', source: 'todo' } }), ['HubSpot', 'parent']);
+  });
+
+  it('falls back to the heading, then the meeting', () => {
+    const parent = { project: 'ClickUp', source: 'meeting' };
+    assert.deepEqual(resolve({ text: 'subtask' }, { parent, heading: 'HubSpot' }), ['HubSpot', 'heading']);
+    assert.deepEqual(resolve({ text: 'subtask' }, { heading: 'Other' }), ['ClickUp', 'meeting']);
+  });
+});
+
+describe('needsReview', () => {
+  it('flags confidence below the threshold', () => {
+    assert.equal(inference.needsReview(0.59), true);
+    assert.equal(inference.needsReview(0.6), false);
+    assert.equal(inference.needsReview(0.7, 0.8), true);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as inlineTokens from '../service/inline_tokens.js';
+import * as parsers from '../service/parsers.js';
+import * as projectRegistry from '../service/project_registry.js';
+
+const options = {
+  aliases: parsers.buildAliasIndex([
+    { name: 'Chuck Norris', user_id: 'u1', aliases: ['chuck'] },
+    { name: 'Karen Smith', user_id: 'u2' }
+  ]),
+  dateOptions: { timezone: 'America/New_York', now: new Date('2026-10-19T16:00:00Z') },
+  projects: projectRegistry.createRegistry([
+    { name: 'ClickUp', pageId: 'p1', aliases: ['cu', 'click up'], clues: ['wpr'], weights: {}, active: true },
+    { name: 'AI Sales', pageId: 'p2', aliases: ['retell'], clues: [], weights: {}, active: true }
+  ])
+};
+
+describe('parseInlineTokens', () => {
+  it('reads every kind of token', () => {
+    const tokens = inlineTokens.parseInlineTokens('Send deck !high #proj:"AI Sales" @due(2026-11-02) ~2h +chuck', options);
+    assert.equal(tokens.priority, 'High');
+    assert.equal(tokens.project, 'AI Sales');
+    assert.equal(tokens.due.start, '2026-11-02');
+    assert.equal(tokens.due.text, '@due(2026-11-02)');
+    assert.equal(tokens.estimate, 2);
+    assert.deepEqual(tokens.owners, ['u1']);
+    assert.deepEqual(tokens.unresolved, []);
+    assert.equal(tokens.spans.length, 5);
+  });
+
+  it('resolves project aliases, dotted names and relative dates', () => {
+    assert.equal(inlineTokens.parseInlineTokens('#proj:cu setup', options).project, 'ClickUp');
+    assert.deepEqual(inlineTokens.parseInlineTokens('Fix it ~30m, +karen.smith', options).owners, ['u2']);
+    assert.equal(inlineTokens.parseInlineTokens('Plan @due(next friday).', options).due.start, '2026-10-30');
+  });
+
+  it('converts estimates to hours with an 8h day', () => {
+    assert.equal(inlineTokens.parseInlineTokens('Migrate ~30m', options).estimate, 0.5);
+    assert.equal(inlineTokens.parseInlineTokens('Migrate ~3 days', options).estimate, 24);
+    assert.equal(inlineTokens.parseInlineTokens('Migrate ~1.5d', options).estimate, 12);
+  });
+
+  it('leaves tokens it cannot resolve in place', () => {
+    const tokens = inlineTokens.parseInlineTokens('#proj:nope +bob @due(whenever) x', options);
+    assert.equal(tokens.project, null);
+    assert.deepEqual(tokens.owners, []);
+    assert.equal(tokens.due, null);
+    assert.deepEqual(tokens.spans, []);
+    assert.deepEqual(tokens.unresolved, ['#proj:nope', '+bob', '@due(whenever)']);
+  });
+
+  it('ignores look-alikes inside words', () => {
+    const tokens = inlineTokens.parseInlineTokens('email a@b.com about 1+1', options);
+    assert.deepEqual(tokens.spans, []);
+    assert.deepEqual(tokens.unresolved, []);
+  });
+
+  it('lets the last priority token win', () => {
+    assert.equal(inlineTokens.parseInlineTokens('!h !l', options).priority, 'Low');
+  });
+});
+
+describe('maskTokens / stripTokens', () => {
+  const text = '#proj:cu setup ~2h';
+  const { spans } = inlineTokens.parseInlineTokens(text, options);
+
+  it('masks tokens with spaces, keeping offsets', () => {
+    const masked = inlineTokens.maskTokens(text, spans);
+    assert.equal(masked.length, text.length);
+    assert.equal(masked.trim(), 'setup');
+  });
+
+  it('strips tokens and collapses the whitespace they leave', () => {
+    assert.equal(inlineTokens.stripTokens(text, spans), 'setup');
+    assert.equal(inlineTokens.stripTokens('Send deck !high now', [{ index: 10, text: '!high' }]), 'Send deck now');
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryNotion, MemoryNotionError } from '../service/memory_notion.js';
+
+const TASKS = 'tasks-db';
+
+function text(content) {
+  return [{ text: { content } }];
+}
+
+function taskPage(id, title, status, due = null, estimate = null) {
+  return {
+    id,
+    parent: { database_id: TASKS },
+    properties: {
+      'Title': { title: text(title) },
+      'Status': { select: { name: status } },
+      'Due': { date: due ? { start: due } : null },
+      ...(estimate !== null && { 'Estimate': { number: estimate } })
+    }
+  };
+}
+
+function workspace() {
+  return {
+    databases: {
+      [TASKS]: {
+        title: 'Tasks',
+        properties: {
+          'Title': { type: 'title' },
+          'Status': { type: 'select' },
+          'Due': { type: 'date' },
+          'Estimate': { type: 'number' },
+          'Done?': { type: 'checkbox' }
+        }
+      }
+    },
+    pages: [
+      taskPage('t1', 'Send deck', 'Backlog', '2026-10-23', 2),
+      taskPage('t2', 'Book venue', 'Done', '2026-10-20'),
+      taskPage('t3', 'Write recap', 'Backlog', null, 0.5),
+      {
+        id: 'meeting',
+        parent: { page_id: 'root' },
+        properties: {},
+        children: [
+          { id: 'h1', type: 'heading_2', heading_2: { rich_text: text('Tasks') } },
+          { id: 'todo', type: 'to_do', to_do: { rich_text: text('Send deck'), checked: false }, children: [
+            { id: 'sub', type: 'to_do', to_do: { rich_text: text('Draft slides') } }
+          ] }
+        ]
+      }
+    ]
+  };
+}
+
+function titles(response) {
+  return response.results.map(page => page.properties.Title.title[0].plain_text);
+}
+
+describe('databases.query', () => {
+  it('renders every schema property, filled or empty', async () => {
+    const notion = createMemoryNotion(workspace());
+    const [page] = (await notion.databases.query({ database_id: TASKS, filter: { property: 'Title', title: { equals: 'Book venue' } } })).results;
+
+    assert.equal(page.properties.Title.title[0].plain_text, 'Book venue');
+    assert.deepEqual(page.properties.Estimate, { type: 'number', number: null });
+    assert.deepEqual(page.properties['Done?'], { type: 'checkbox', checkbox: false });
+  });
+
+  it('applies property, compound and emptiness filters', async () => {
+    const notion = createMemoryNotion(workspace());
+    const query = filter => notion.databases.query({ database_id: TASKS, filter }).then(titles);
+
+    assert.deepEqual(await query({ property: 'Status', select: { equals: 'Backlog' } }), ['Send deck', 'Write recap']);
+    assert.deepEqual(await query({ property: 'Due', date: { is_empty: true } }), ['Write recap']);
+    assert.deepEqual(await query({
+      and: [
+        { property: 'Estimate', number: { is_not_empty: true } },
+        { property: 'Status', select: { does_not_equal: 'Done' } }
+      ]
+    }), ['Send deck', 'Write recap']);
+    assert.deepEqual(await query({
+      or: [
+        { property: 'Title', title: { contains: 'venue' } },
+        { property: 'Due', date: { on_or_after: '2026-10-23' } }
+      ]
+    }), ['Send deck', 'Book venue']);
+  });
+
+  it('rejects filters on unknown properties', async () => {
+    const notion = createMemoryNotion(workspace());
+    await assert.rejects(
+      notion.databases.query({ database_id: TASKS, filter: { property: 'Nope', checkbox: { equals: true } } }),
+      error => error instanceof MemoryNotionError && error.code === 'validation_error' && error.status === 400
+    );
+    await assert.rejects(notion.databases.query({ database_id: 'missing' }), { code: 'object_not_found', status: 404 });
+  });
+
+  it('sorts with empty values last', async () => {
+    const notion = createMemoryNotion(workspace());
+    const query = sorts => notion.databases.query({ database_id: TASKS, sorts }).then(titles);
+
+    assert.deepEqual(await query([{ property: 'Due', direction: 'ascending' }]), ['Book venue', 'Send deck', 'Write recap']);
+    assert.deepEqual(await query([{ property: 'Due', direction: 'descending' }]), ['Send deck', 'Book venue', 'Write recap']);
+    assert.deepEqual(await query([{ property: 'Estimate', direction: 'descending' }]), ['Send deck', 'Write recap', 'Book venue']);
+    assert.deepEqual(await query([{ property: 'Status', direction: 'descending' }, { property: 'Due', direction: 'ascending' }]), ['Book venue', 'Send deck', 'Write recap']);
+  });
+
+  it('pages through results with start_cursor', async () => {
+    const notion = createMemoryNotion(workspace());
+    const first = await notion.databases.query({ database_id: TASKS, page_size: 2 });
+    assert.deepEqual(titles(first), ['Send deck', 'Book venue']);
+    assert.equal(first.has_more, true);
+    assert.equal(first.next_cursor, 't3');
+
+    const second = await notion.databases.query({ database_id: TASKS, page_size: 2, start_cursor: first.next_cursor });
+    assert.deepEqual(titles(second), ['Write recap']);
+    assert.equal(second.has_more, false);
+    assert.equal(second.next_cursor, null);
+
+    await assert.rejects(notion.databases.query({ database_id: TASKS, start_cursor: 'bogus' }), { code: 'validation_error' });
+  });
+});
+
+describe('pages', () => {
+  it('creates and updates pages in request shape', async () => {
+    const notion = createMemoryNotion(workspace(), { now: () => new Date('2026-10-19T16:00:42Z') });
+    const created = await notion.pages.create({
+      parent: { database_id: TASKS },
+      properties: { 'Title': { title: text('New task') }, 'Status': { select: { name: 'Backlog' } } }
+    });
+    assert.equal(created.properties.Title.title[0].plain_text, 'New task');
+    assert.equal(created.last_edited_time, '2026-10-19T16:00:00.000Z');
+
+    const updated = await notion.pages.update({ page_id: created.id, properties: { 'Status': { select: { name: 'Done' } } } });
+    assert.equal(updated.properties.Status.select.name, 'Done');
+    assert.equal(updated.properties.Title.title[0].plain_text, 'New task');
+
+    await notion.pages.update({ page_id: created.id, archived: true });
+    await assert.rejects(notion.pages.retrieve({ page_id: created.id }), { code: 'object_not_found' });
+  });
+});
+
+describe('blocks', () => {
+  async function childIds(notion, blockId) {
+    return (await notion.blocks.children.list({ block_id: blockId })).results.map(block => block.id);
+  }
+
+  it('lists children in order with has_children', async () => {
+    const notion = createMemoryNotion(workspace());
+    const { results } = await notion.blocks.children.list({ block_id: 'meeting' });
+    assert.deepEqual(results.map(block => [block.id, block.has_children]), [['h1', false], ['todo', true]]);
+    assert.equal(results[1].to_do.rich_text[0].plain_text, 'Send deck');
+    assert.deepEqual(await childIds(notion, 'todo'), ['sub']);
+  });
+
+  it('appends at the end, or in order after a given block', async () => {
+    const notion = createMemoryNotion(workspace());
+    const paragraph = content => ({ paragraph: { rich_text: text(content) } });
+
+    await notion.blocks.children.append({ block_id: 'meeting', children: [paragraph('end')] });
+    const { results } = await notion.blocks.children.append({ block_id: 'meeting', children: [paragraph('a'), paragraph('b')], after: 'h1' });
+
+    const ids = await childIds(notion, 'meeting');
+    assert.deepEqual(ids.slice(1, 3), results.map(block => block.id));
+    assert.equal(ids[0], 'h1');
+    assert.equal(ids[3], 'todo');
+    assert.equal(ids.length, 5);
+
+    await assert.rejects(
+      notion.blocks.children.append({ block_id: 'meeting', children: [paragraph('x')], after: 'sub' }),
+      { code: 'validation_error' }
+    );
+  });
+
+  it('updates and deletes blocks and touches the page', async () => {
+    let now = new Date('2026-10-19T16:00:00Z');
+    const notion = createMemoryNotion(workspace(), { now: () => now });
+
+    now = new Date('2026-10-19T17:30:00Z');
+    const updated = await notion.blocks.update({ block_id: 'sub', to_do: { checked: true } });
+    assert.equal(updated.to_do.checked, true);
+    assert.equal(updated.last_edited_time, '2026-10-19T17:30:00.000Z');
+    assert.equal((await notion.pages.retrieve({ page_id: 'meeting' })).last_edited_time, '2026-10-19T17:30:00.000Z');
+
+    await assert.rejects(notion.blocks.update({ block_id: 'sub', paragraph: {} }), { code: 'validation_error' });
+
+    await notion.blocks.delete({ block_id: 'sub' });
+    assert.deepEqual(await childIds(notion, 'todo'), []);
+    assert.equal((await notion.blocks.retrieve({ block_id: 'todo' })).has_children, false);
+  });
+
+  it('snapshots back to the seed format without deleted blocks', async () => {
+    const notion = createMemoryNotion(workspace());
+    await notion.blocks.delete({ block_id: 'sub' });
+
+    const meeting = notion.snapshot().pages.find(page => page.id === 'meeting');
+    assert.deepEqual(meeting.children.map(block => block.id), ['h1', 'todo']);
+    assert.equal(meeting.children[1].children, undefined);
+  });
+});
@@ -0,0 +1,217 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as blockTree from '../service/block_tree.js';
+import * as client from '../service/notion_client.js';
+
+function networkError(code) {
+  return Object.assign(new Error(`request failed: ${code}`), { code });
+}
+
+function httpError(status, message, fields = {}) {
+  return Object.assign(new Error(message), { status, ...fields });
+}
+
+function rateLimited() {
+  return httpError(429, 'Rate limited', { code: 'rate_limited', headers: { 'retry-after': '0' } });
+}
+
+// Backend whose calls fail with the given errors, in order, then succeed
+function failingBackend(errors, result) {
+  const calls = { create: 0, query: 0, append: 0 };
+  const next = async kind => {
+    const error = errors[calls[kind]++];
+    if (error) throw error;
+    return typeof result === 'function' ? result(calls[kind]) : result;
+  };
+
+  client.setBackend({
+    pages: { create: () => next('create') },
+    databases: { query: () => next('query') },
+    blocks: { children: { append: () => next('append') } }
+  });
+  return calls;
+}
+
+describe('apiCall retries', () => {
+  beforeEach(() => client.clearBlockCache());
+
+  it('retries a query after a dropped connection', async () => {
+    const calls = failingBackend([networkError('ECONNRESET')], { results: [], has_more: false });
+    assert.deepEqual((await client.queryDatabase('db')).results, []);
+    assert.equal(calls.query, 2);
+  });
+
+  it('does not resend a create that may have reached Notion', async () => {
+    for (const error of [networkError('ECONNRESET'), networkError('ETIMEDOUT'), httpError(502, 'Bad gateway')]) {
+      const calls = failingBackend([error], { id: 'page' });
+      await assert.rejects(client.createPage('db', {}));
+      assert.equal(calls.create, 1);
+    }
+  });
+
+  it('resends a create that was rate limited', async () => {
+    const calls = failingBackend([rateLimited()], { id: 'page' });
+    assert.equal((await client.createPage('db', {})).id, 'page');
+    assert.equal(calls.create, 2);
+  });
+
+  it('does not retry a rejected request', async () => {
+    const calls = failingBackend([httpError(400, 'Bad property', { code: 'validation_error' })], {});
+    await assert.rejects(client.queryDatabase('db'), /Bad property/);
+    assert.equal(calls.query, 1);
+  });
+});
+
+describe('createPage', () => {
+  it('appends children past the 100-block request limit', async () => {
+    const calls = failingBackend([], { id: 'page' });
+    const children = Array.from({ length: 230 }, () => ({ paragraph: { rich_text: [] } }));
+    await client.createPage('db', {}, children);
+    assert.equal(calls.create, 1);
+    assert.equal(calls.append, 2);
+  });
+});
+
+describe('queryAll', () => {
+  it('follows next_cursor through every page', async () => {
+    const responses = [
+      { results: [{ id: 'a' }, { id: 'b' }], has_more: true, next_cursor: 'c1' },
+      { results: [{ id: 'c' }], has_more: false, next_cursor: null }
+    ];
+    failingBackend([], call => responses[call - 1]);
+    assert.deepEqual((await client.queryAll('db')).map(page => page.id), ['a', 'b', 'c']);
+  });
+
+  it('stops at maxResults', async () => {
+    failingBackend([], { results: [{ id: 'a' }, { id: 'b' }], has_more: true, next_cursor: 'next' });
+    assert.equal((await client.queryAll('db', {}, [], { maxResults: 3 })).length, 3);
+  });
+});
+
+// Backend serving children lists from { parentId: [block] }, counting list calls
+function treeBackend(tree, { delayFor = () => 0 } = {}) {
+  const stats = { lists: 0, active: 0, peak: 0 };
+
+  client.setBackend({
+    blocks: {
+      children: {
+        list: async ({ block_id, start_cursor }) => {
+          stats.lists++;
+          stats.active++;
+          stats.peak = Math.max(stats.peak, stats.active);
+          await new Promise(resolve => setTimeout(resolve, delayFor(block_id)));
+          stats.active--;
+
+          if (!tree[block_id]) {
+            throw httpError(404, `Could not find block ${block_id}`, { code: 'object_not_found' });
+          }
+          // Two blocks per page, to exercise pagination
+          const start = start_cursor ? Number(start_cursor) : 0;
+          const more = start + 2 < tree[block_id].length;
+          return { results: tree[block_id].slice(start, start + 2), has_more: more, next_cursor: more ? String(start + 2) : null };
+        },
+        append: async () => ({ results: [] })
+      },
+      update: async () => ({}),
+      delete: async () => ({})
+    }
+  });
+  return stats;
+}
+
+function child(id, { type = 'paragraph', hasChildren = false, edited = '2026-10-19T16:00:00.000Z' } = {}) {
+  return { id, type, [type]: { rich_text: [] }, has_children: hasChildren, last_edited_time: edited };
+}
+
+describe('getBlocks cache', () => {
+  beforeEach(() => client.clearBlockCache());
+
+  it('fetches every page of children once per run', async () => {
+    const stats = treeBackend({ page: [child('a'), child('b'), child('c')] });
+    assert.deepEqual((await client.getBlocks('page')).map(b => b.id), ['a', 'b', 'c']);
+    assert.deepEqual((await client.getBlocks('page')).map(b => b.id), ['a', 'b', 'c']);
+
+    assert.equal(stats.lists, 2);
+    assert.deepEqual(client.getBlockCacheStats(), { hits: 1, misses: 1, entries: 1 });
+  });
+
+  it('refetches when the parent was edited since it was cached', async () => {
+    const stats = treeBackend({ page: [child('a')] });
+    await client.getBlocks('page', { lastEditedTime: '2026-10-19T16:00:00.000Z' });
+    await client.getBlocks('page', { lastEditedTime: '2026-10-19T16:00:00.000Z' });
+    assert.equal(stats.lists, 1);
+
+    await client.getBlocks('page', { lastEditedTime: '2026-10-19T16:05:00.000Z' });
+    assert.equal(stats.lists, 2);
+  });
+
+  it('drops cached children after a mutation', async () => {
+    const stats = treeBackend({ page: [child('a')], a: [child('a1')] });
+    await client.getBlocks('page');
+    await client.getBlocks('a');
+
+    await client.appendBlocks('page', [{ paragraph: { rich_text: [] } }]);
+    await client.getBlocks('page');
+    assert.equal(stats.lists, 3);
+
+    // Changing a block invalidates its own children and its parent's list
+    await client.updateBlock('a', { paragraph: { rich_text: [] } });
+    await client.getBlocks('page');
+    await client.getBlocks('a');
+    assert.equal(stats.lists, 5);
+
+    await client.deleteBlock('a1');
+    await client.getBlocks('a');
+    await client.getBlocks('page');
+    assert.equal(stats.lists, 6);
+  });
+});
+
+describe('getBlockTree', () => {
+  beforeEach(() => client.clearBlockCache());
+
+  // page
+  //   a (toggle)
+  //     a1
+  //       a1x
+  //   b (child page, never expanded)
+  //   c
+  //     c1
+  //     c2
+  const tree = {
+    page: [child('a', { type: 'toggle', hasChildren: true }), child('b', { type: 'child_page', hasChildren: true }), child('c', { hasChildren: true })],
+    a: [child('a1', { hasChildren: true })],
+    a1: [child('a1x')],
+    c: [child('c1'), child('c2')]
+  };
+
+  it('keeps document order when later siblings load first', async () => {
+    // The first subtree is the slowest to load
+    treeBackend(tree, { delayFor: id => (id === 'a' ? 30 : 0) });
+    const root = await client.getBlockTree('page');
+    assert.deepEqual(blockTree.flatten(root).map(b => b.id), ['a', 'a1', 'a1x', 'b', 'c', 'c1', 'c2']);
+  });
+
+  it('stops at maxDepth', async () => {
+    treeBackend(tree);
+    assert.deepEqual(blockTree.flatten(await client.getBlockTree('page', { maxDepth: 0 })).map(b => b.id), ['a', 'b', 'c']);
+
+    client.clearBlockCache();
+    assert.deepEqual(blockTree.flatten(await client.getBlockTree('page', { maxDepth: 1 })).map(b => b.id), ['a', 'a1', 'b', 'c', 'c1', 'c2']);
+  });
+
+  it('fetches at most `concurrency` children lists at once', async () => {
+    const wide = { page: ['x', 'y', 'z', 'w'].map(id => child(id, { hasChildren: true })) };
+    for (const id of ['x', 'y', 'z', 'w']) wide[id] = [child(`${id}1`)];
+
+    // Slower than the shared limiter's 3 req/s, so lists overlap unless the crawl holds them back
+    const stats = treeBackend(wide, { delayFor: id => (id === 'page' ? 0 : 1000) });
+    await client.getBlockTree('page', { concurrency: 2 });
+    assert.equal(stats.peak, 2);
+  });
+
+  it('skips subtrees it cannot read', async () => {
+    treeBackend({ page: [child('gone', { hasChildren: true }), child('ok')] });
+    assert.deepEqual((await client.getAllBlocksRecursive('page')).map(b => b.id), ['gone', 'ok']);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as openai from '../service/openai_client.js';
+import * as projectRegistry from '../service/project_registry.js';
+
+const registry = projectRegistry.createRegistry([
+  { name: 'ClickUp', pageId: 'p1', aliases: ['click up', 'cu'], clues: [], weights: {}, active: true },
+  { name: 'AI Sales', pageId: 'p2', aliases: ['retell'], clues: [], weights: {}, active: true },
+  { name: 'Old CRM', pageId: 'p3', aliases: ['legacy'], clues: [], weights: {}, active: false }
+]);
+
+const sources = [{ zone: 'title', text: 'Weekly sync' }];
+
+// Stand-in for the SDK: each request takes the next answer, an Error is thrown
+function stubModel(answers) {
+  const calls = { count: 0 };
+  openai.setBackend({
+    chat: {
+      completions: {
+        create: async () => {
+          const answer = answers[calls.count++];
+          if (answer instanceof Error) {
+            throw answer;
+          }
+          return {
+            choices: [{ message: { content: JSON.stringify(answer) } }],
+            usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+          };
+        }
+      }
+    }
+  });
+  return calls;
+}
+
+function rateLimited() {
+  return Object.assign(new Error('Rate limited'), { status: 429 });
+}
+
+describe('classifyMeetingProject', () => {
+  it('takes an active project by name or alias', async () => {
+    stubModel([{ project: 'click up', confidence: 0.9, rationale: 'Talks about the WPR' }]);
+    assert.deepEqual(await openai.classifyMeetingProject(sources, registry), {
+      project: 'ClickUp', confidence: 0.9, rationale: 'Talks about the WPR'
+    });
+
+    stubModel([{ project: projectRegistry.FALLBACK_PROJECT, confidence: 1.7 }]);
+    assert.deepEqual(await openai.classifyMeetingProject(sources, registry), {
+      project: projectRegistry.FALLBACK_PROJECT, confidence: 1, rationale: ''
+    });
+  });
+
+  it('ignores a project that is not in the registry, or only part of a name', async () => {
+    stubModel([{ project: 'Podcast', confidence: 0.8 }]);
+    assert.equal(await openai.classifyMeetingProject(sources, registry), null);
+
+    stubModel([{ project: 'Sales', confidence: 0.8 }]);
+    assert.equal(await openai.classifyMeetingProject(sources, registry), null);
+  });
+
+  it('ignores an inactive project', async () => {
+    stubModel([{ project: 'Old CRM', confidence: 0.8 }]);
+    assert.equal(await openai.classifyMeetingProject(sources, registry), null);
+  });
+
+  it('retries a rate-limited request once', async () => {
+    const calls = stubModel([rateLimited(), { project: 'AI Sales', confidence: 0.7 }]);
+    assert.equal((await openai.classifyMeetingProject(sources, registry)).project, 'AI Sales');
+    assert.equal(calls.count, 2);
+
+    const failing = stubModel([rateLimited(), rateLimited(), { project: 'AI Sales' }]);
+    assert.equal(await openai.classifyMeetingProject(sources, registry), null);
+    assert.equal(failing.count, 2);
+  });
+
+  it('does not retry other failures or ask about an empty meeting', async () => {
+    const calls = stubModel([new Error('Bad request'), { project: 'AI Sales' }]);
+    assert.equal(await openai.classifyMeetingProject(sources, registry), null);
+    assert.equal(await openai.classifyMeetingProject([], registry), null);
+    assert.equal(calls.count, 1);
+  });
+});
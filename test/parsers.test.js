@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as parsers from '../service/parsers.js';
+
+// Monday 2026-10-19, noon in New York
+const options = { timezone: 'America/New_York', now: new Date('2026-10-19T16:00:00Z') };
+
+function due(text) {
+  return parsers.parseDate(text, options)?.start ?? null;
+}
+
+describe('parseDate', () => {
+  it('reads relative days and weekdays', () => {
+    assert.equal(due('Fix today'), '2026-10-19');
+    assert.equal(due('Ship it tomorrow'), '2026-10-20');
+    assert.equal(due('Send deck by Friday'), '2026-10-23');
+    assert.equal(due('next week'), '2026-10-26');
+    assert.equal(due('in 2 weeks'), '2026-11-02');
+    assert.equal(due('eow'), '2026-10-23');
+    assert.equal(due('end of month'), '2026-10-31');
+  });
+
+  it('reads numeric and ISO dates', () => {
+    assert.equal(due('Due 10/31'), '2026-10-31');
+    assert.equal(due('Call on 11/3/2027'), '2027-11-03');
+    assert.equal(due('Report due 2026-11-02'), '2026-11-02');
+  });
+
+  it('reads month names either side of the day, rolling past dates to next year', () => {
+    assert.equal(due('Launch May 5'), '2027-05-05');
+    assert.equal(due('by may 5th'), '2027-05-05');
+    assert.equal(due('3 May'), '2027-05-03');
+  });
+
+  it('returns the matched words and where they are', () => {
+    assert.deepEqual(parsers.parseDate('Send deck by Friday', options), {
+      start: '2026-10-23', end: null, text: 'by Friday', index: 10
+    });
+  });
+
+  it('reads a day range', () => {
+    const range = parsers.parseDate('Workshop Nov 3-5', options);
+    assert.equal(range.start, '2026-11-03');
+    assert.equal(range.end, '2026-11-05');
+  });
+
+  it('starts a weekday range today when it names today', () => {
+    assert.deepEqual(parsers.parseDate('Offsite Mon–Wed', options), {
+      start: '2026-10-19', end: '2026-10-21', text: 'Mon–Wed', index: 8
+    });
+    assert.equal(parsers.parseDate('Cover support Friday through Monday', options).end, '2026-10-26');
+    assert.equal(due('Ship it Monday'), '2026-10-26');
+  });
+
+  it('only reads hyphenated numbers as a date after a date cue', () => {
+    assert.equal(due('by 11-3'), '2026-11-03');
+    assert.equal(due('Review 2-3 pages'), null);
+    assert.equal(due('Order 3-4 chairs'), null);
+  });
+
+  it('prefers a weekday to a bare numeric range', () => {
+    const parsed = parsers.parseDate('Order 3-4 chairs by Friday', options);
+    assert.equal(parsed.start, '2026-10-23');
+    assert.equal(parsed.text, 'by Friday');
+  });
+
+  it('does not read "may" the verb as a month', () => {
+    assert.equal(due('I may 5 times'), null);
+  });
+
+  it('returns null without a date', () => {
+    assert.equal(parsers.parseDate('Update the FAQ', options), null);
+  });
+});
+
+describe('timezones', () => {
+  // 10pm on Monday 2026-10-19 in New York, already Tuesday in UTC
+  const lateMonday = new Date('2026-10-20T02:00:00Z');
+
+  it('validates IANA names', () => {
+    assert.equal(parsers.isValidTimezone('Europe/London'), true);
+    assert.equal(parsers.isValidTimezone('Mars/Olympus_Mons'), false);
+  });
+
+  it('reads the calendar day in the given timezone', () => {
+    assert.equal(parsers.zonedDate(lateMonday, 'America/New_York').toISOString(), '2026-10-19T00:00:00.000Z');
+    assert.equal(parsers.zonedDate(lateMonday, 'UTC').toISOString(), '2026-10-20T00:00:00.000Z');
+  });
+
+  it('resolves relative dates from the day where the text was written', () => {
+    assert.equal(parsers.parseDueDate('Ship it tomorrow', { timezone: 'America/New_York', now: lateMonday }), '2026-10-20');
+    assert.equal(parsers.parseDueDate('Ship it tomorrow', { timezone: 'UTC', now: lateMonday }), '2026-10-21');
+    assert.equal(parsers.parseDueDate('Ship it tomorrow', 'Asia/Tokyo'), parsers.parseDueDate('Ship it tomorrow', { timezone: 'Asia/Tokyo' }));
+  });
+});
+
+describe('parseEstimate', () => {
+  function hours(text) {
+    return parsers.parseEstimate(text)?.hours ?? null;
+  }
+
+  it('reads durations and attached units', () => {
+    assert.equal(hours('30 min call'), 0.5);
+    assert.equal(hours('a couple of hours'), 2);
+    assert.equal(hours('1.5d'), 12);
+    assert.equal(hours('~2h'), 2);
+  });
+
+  it('uses the upper end of a range', () => {
+    assert.equal(hours('2-3 hours'), 3);
+    assert.equal(hours('Run a 1-2 days workshop'), 16);
+  });
+
+  it('reads half and whole days', () => {
+    assert.equal(hours('half a day'), 4);
+    assert.equal(hours('all day workshop'), 8);
+  });
+
+  it('ignores spans of time that are not effort', () => {
+    assert.equal(hours('in 2 days'), null);
+    assert.equal(hours('every 2 weeks'), null);
+    assert.equal(hours('3 days ago'), null);
+    assert.equal(hours('2 weeks notice'), null);
+    assert.equal(hours('Pause the campaign for 2 weeks'), null);
+  });
+});
+
+describe('parseAssignees', () => {
+  const aliases = parsers.buildAliasIndex([
+    { name: 'Chuck Norris', user_id: 'u1', aliases: ['chuck'] },
+    { name: 'Karen Smith', user_id: 'u2' }
+  ]);
+
+  it('resolves names through the alias table', () => {
+    assert.deepEqual(parsers.parseAssignees('Chuck to send deck', aliases), ['u1']);
+  });
+
+  it('ignores words that are not in the table', () => {
+    assert.deepEqual(parsers.parseAssignees('Review to-dos:', aliases), []);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as planning from '../service/planning.js';
+
+function task(project, estimate, due, status = 'To Do') {
+  return {
+    properties: {
+      'Project': project ? { select: { name: project } } : { select: null },
+      'Estimate': { number: estimate },
+      'Due': due ? { date: { start: due } } : { date: null },
+      'Status': { select: { name: status } }
+    }
+  };
+}
+
+describe('weekOf', () => {
+  it('returns the Monday of the week', () => {
+    assert.equal(planning.weekOf('2026-10-19'), '2026-10-19');
+    assert.equal(planning.weekOf('2026-10-22'), '2026-10-19');
+    assert.equal(planning.weekOf('2026-10-25'), '2026-10-19');
+    assert.equal(planning.weekOf('2026-10-26'), '2026-10-26');
+  });
+
+  it('uses the date part of a datetime and crosses month ends', () => {
+    assert.equal(planning.weekOf('2026-11-01T23:30:00.000-05:00'), '2026-10-26');
+  });
+});
+
+describe('weeklyEstimates', () => {
+  it('totals open estimates per project and week', () => {
+    const report = planning.weeklyEstimates([
+      task('ClickUp', 2, '2026-10-20'),
+      task('ClickUp', 0.1, '2026-10-23'),
+      task('ClickUp', 0.2, '2026-10-27'),
+      task('ClickUp', 1.5, null),
+      task('Podcast', 3, '2026-10-21'),
+      task(null, 1, '2026-10-21')
+    ]);
+
+    assert.deepEqual(report.weeks, ['2026-10-19', '2026-10-26', 'unscheduled']);
+    assert.deepEqual(report.projects.ClickUp, {
+      weeks: { '2026-10-19': 2.1, '2026-10-26': 0.2, unscheduled: 1.5 },
+      total: 3.8,
+      tasks: 4
+    });
+    assert.equal(report.projects.Podcast.total, 3);
+    assert.equal(report.projects['(no project)'].tasks, 1);
+  });
+
+  it('skips Done tasks and tasks without an estimate', () => {
+    const report = planning.weeklyEstimates([
+      task('ClickUp', 2, '2026-10-20', 'Done'),
+      task('ClickUp', null, '2026-10-20')
+    ]);
+    assert.deepEqual(report, { projects: {}, weeks: [] });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as priority from '../service/priority.js';
+
+function level(text, lexicon) {
+  return priority.classifyPriority(text, lexicon).priority;
+}
+
+describe('classifyPriority', () => {
+  it('reads weighted terms against the thresholds', () => {
+    assert.equal(level('Fix login urgent'), 'High');
+    assert.equal(level('important'), 'Medium');
+    assert.equal(level('important and crucial'), 'High');
+    assert.equal(level('nice to have: dark mode'), 'Low');
+    assert.equal(level('low priority cleanup'), 'Low');
+  });
+
+  it('matches whole words only', () => {
+    assert.equal(level('importantly, update docs'), 'Medium');
+    assert.equal(level('futureproof the API'), 'Medium');
+  });
+
+  it('counts a negated term for the other side', () => {
+    assert.equal(level('not urgent, tidy the backlog'), 'Low');
+    assert.equal(level('This is not optional, important'), 'High');
+  });
+
+  it('does not carry a negation across punctuation', () => {
+    const result = priority.classifyPriority('Urgent? no. Someday maybe');
+    assert.equal(result.priority, 'High');
+    assert.deepEqual(result.scores, { high: 2, low: 1 });
+  });
+
+  it('explains the matches', () => {
+    const result = priority.classifyPriority('not urgent, tidy the backlog');
+    assert.equal(result.explanation, 'Low (high 0, low 3): negated "urgent" +2 low, "backlog" +1 low');
+    assert.equal(priority.classifyPriority('Update the FAQ').explanation, 'Medium: no priority terms');
+  });
+});
+
+describe('buildLexicon', () => {
+  it('adds terms and removes zero-weight ones', () => {
+    const lexicon = priority.buildLexicon({ high: { 'exec ask': 2 }, low: { future: 0 } });
+    assert.equal(level('exec ask for slides', lexicon), 'High');
+    assert.equal(level('future work', lexicon), 'Medium');
+    assert.equal(level('future work'), 'Low');
+  });
+
+  it('takes thresholds from config', () => {
+    const lexicon = priority.buildLexicon({ thresholds: { high: 1 } });
+    assert.equal(level('important', lexicon), 'High');
+  });
+});
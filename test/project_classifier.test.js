@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as projectClassifier from '../service/project_classifier.js';
+
+function title(text) {
+  return [{ zone: 'title', text }];
+}
+
+const examples = [
+  { project: 'HubSpot', sources: title('pipeline review forecast') },
+  { project: 'HubSpot', sources: title('pipeline cleanup') },
+  { project: 'ClickUp', sources: title('sprint board automations') },
+  { project: 'ClickUp', sources: title('sprint planning board') }
+];
+
+describe('features', () => {
+  it('drops stopwords, single letters and bare numbers', () => {
+    assert.deepEqual(projectClassifier.features(title("The CRM's 2 big wins, a Q4 plan")), ['crm', 'big', 'wins', 'q4', 'plan']);
+  });
+
+  it('reads every source', () => {
+    assert.deepEqual(projectClassifier.features([
+      { zone: 'title', text: 'Pipeline' },
+      { zone: 'todo', text: 'forecast deals' }
+    ]), ['pipeline', 'forecast', 'deals']);
+  });
+});
+
+describe('train', () => {
+  it('counts words per project', () => {
+    const model = projectClassifier.train(examples);
+    assert.equal(model.examples, 4);
+    assert.equal(model.classes.HubSpot.docs, 2);
+    assert.equal(model.classes.HubSpot.counts.pipeline, 2);
+    assert.equal(model.classes.ClickUp.total, 6);
+    assert.equal(model.vocabulary, 8);
+  });
+});
+
+describe('predict', () => {
+  const model = projectClassifier.train(examples);
+
+  it('picks the project whose words match', () => {
+    const predicted = projectClassifier.predict(model, title('pipeline forecast'));
+    assert.equal(predicted.project, 'HubSpot');
+    assert.deepEqual(predicted.probabilities, { HubSpot: 0.873, ClickUp: 0.127 });
+    assert.equal(projectClassifier.predict(model, title('board for the sprint')).project, 'ClickUp');
+  });
+
+  it('falls back to the priors for unseen words', () => {
+    const predicted = projectClassifier.predict(model, title('zebra'));
+    assert.ok(Math.abs(predicted.probabilities.HubSpot - 0.5) < 0.1);
+  });
+
+  it('abstains with fewer than two candidates', () => {
+    assert.equal(projectClassifier.predict(model, title('pipeline'), ['HubSpot']), null);
+    assert.equal(projectClassifier.predict(projectClassifier.train([]), title('pipeline')), null);
+    assert.equal(projectClassifier.predict(null, title('pipeline')), null);
+  });
+});
@@ -0,0 +1,65 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The journal path is read when the state store loads, so set it first
+const dir = mkdtempSync(join(tmpdir(), 'ca-v2-learning-'));
+process.env.STATE_FILE = join(dir, 'state.jsonl');
+
+const state = await import('../service/state_store.js');
+const projectLearning = await import('../service/project_learning.js');
+const projectRegistry = await import('../service/project_registry.js');
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function correct(meetingId, project, text) {
+  state.record('correction', { meetingId, title: text, inferred: 'Support/Other', project, sources: [{ zone: 'title', text }] });
+}
+
+describe('getModel', () => {
+  it('needs MIN_EXAMPLES corrections', () => {
+    for (let i = 0; i < projectLearning.MIN_EXAMPLES - 1; i++) {
+      correct(`m${i}`, i % 2 ? 'HubSpot' : 'Podcast', i % 2 ? 'crm deals' : 'episode recording');
+    }
+    assert.equal(projectLearning.getModel(), null);
+  });
+
+  it('retrains when a meeting is corrected again', async () => {
+    correct('m4', 'Podcast', 'episode recording');
+    const before = projectLearning.getModel();
+    assert.equal(before.classes.Podcast.docs, 3);
+    assert.equal(projectLearning.getModel(), before);
+
+    // Same number of corrections, newer label for m0
+    await new Promise(resolve => setTimeout(resolve, 5));
+    correct('m0', 'HubSpot', 'episode recording');
+    const retrained = projectLearning.getModel();
+    assert.notEqual(retrained, before);
+    assert.equal(retrained.classes.Podcast.docs, 2);
+    assert.equal(retrained.classes.HubSpot.docs, 3);
+  });
+});
+
+describe('evaluate', () => {
+  it('scores each correction with a model trained on the others', () => {
+    const registry = projectRegistry.createRegistry([
+      { name: 'HubSpot', pageId: 'p1', aliases: ['crm'], clues: [], weights: {}, active: true },
+      { name: 'Podcast', pageId: 'p2', aliases: ['episode'], clues: [], weights: {}, active: true }
+    ]);
+    const corrections = [
+      { project: 'HubSpot', inferred: 'HubSpot', sources: [{ zone: 'title', text: 'pipeline forecast' }] },
+      { project: 'HubSpot', inferred: 'Podcast', sources: [{ zone: 'title', text: 'pipeline cleanup' }] },
+      { project: 'Podcast', inferred: 'Podcast', sources: [{ zone: 'title', text: 'guest booking' }] },
+      { project: 'Podcast', inferred: 'Podcast', sources: [{ zone: 'title', text: 'guest questions' }] }
+    ];
+
+    const report = projectLearning.evaluate(corrections, registry);
+    assert.equal(report.examples, 4);
+    assert.equal(report.original.accuracy, 0.75);
+    assert.equal(report.keywords.accuracy, 0);
+    assert.equal(report.learned.accuracy, 1);
+    assert.equal(report.learned.abstained, 0);
+  });
+});
@@ -0,0 +1,131 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as client from '../service/notion_client.js';
+import * as projectRegistry from '../service/project_registry.js';
+
+function text(content) {
+  return [{ plain_text: content }];
+}
+
+function projectPage(id, name, { aliases = '', clues = '', active } = {}) {
+  return {
+    id,
+    properties: {
+      'Name': { title: text(name) },
+      'Aliases': { rich_text: text(aliases) },
+      'Context Clues': { rich_text: text(clues) },
+      ...(active !== undefined && { 'Active': { checkbox: active } })
+    }
+  };
+}
+
+describe('toProject', () => {
+  it('splits aliases and clues and reads per-term weights', () => {
+    const project = projectRegistry.toProject(projectPage('p1', 'ClickUp', {
+      aliases: 'cu:0.5, Click Up\nCUARC',
+      clues: 'wpr; dashboards:1',
+      active: true
+    }));
+    assert.deepEqual(project, {
+      name: 'ClickUp',
+      pageId: 'p1',
+      aliases: ['cu', 'click up', 'cuarc'],
+      clues: ['wpr', 'dashboards'],
+      weights: { cu: 0.5, dashboards: 1 },
+      active: true
+    });
+  });
+
+  it('treats a database without an Active column as all active', () => {
+    assert.equal(projectRegistry.toProject(projectPage('p1', 'Podcast')).active, true);
+    assert.equal(projectRegistry.toProject(projectPage('p1', 'Podcast', { active: false })).active, false);
+  });
+
+  it('skips unnamed pages', () => {
+    assert.equal(projectRegistry.toProject(projectPage('p1', '  ')), null);
+  });
+});
+
+describe('registry lookups', () => {
+  const registry = projectRegistry.createRegistry([
+    projectRegistry.toProject(projectPage('p1', 'ClickUp', { aliases: 'cu, click up', clues: 'wpr', active: true })),
+    projectRegistry.toProject(projectPage('p2', 'AI Sales', { aliases: 'retell', active: true })),
+    projectRegistry.toProject(projectPage('p3', 'Old', { aliases: 'legacy', active: false }))
+  ]);
+
+  it('finds projects by name or alias, exact before partial', () => {
+    assert.equal(projectRegistry.findProject(registry, 'clickup').name, 'ClickUp');
+    assert.equal(projectRegistry.findProject(registry, 'CU').name, 'ClickUp');
+    assert.equal(projectRegistry.findProject(registry, 'sales').name, 'AI Sales');
+    assert.equal(projectRegistry.findProject(registry, 'legacy').name, 'Old');
+    assert.equal(projectRegistry.findProject(registry, ''), null);
+  });
+
+  it('only matches whole words in a partial lookup', () => {
+    assert.equal(projectRegistry.findProject(registry, 'click').name, 'ClickUp');
+    assert.equal(projectRegistry.findProject(registry, 'ai').name, 'AI Sales');
+    assert.equal(projectRegistry.findProject(registry, 'ales'), null);
+    assert.equal(projectRegistry.findProject(registry, 'ret'), null);
+    assert.equal(projectRegistry.findProject(registry, '/'), null);
+  });
+
+  it('lists active projects only', () => {
+    assert.deepEqual(projectRegistry.activeProjects(registry).map(p => p.name), ['ClickUp', 'AI Sales']);
+  });
+
+  it('offers every project plus the fallback as select options', () => {
+    assert.deepEqual(projectRegistry.selectOptions(registry), [
+      { name: 'ClickUp' }, { name: 'AI Sales' }, { name: 'Old' }, { name: projectRegistry.FALLBACK_PROJECT }
+    ]);
+  });
+
+  it('describes active projects for a prompt', () => {
+    const prompt = projectRegistry.describeForPrompt(registry);
+    assert.match(prompt, /- ClickUp, cu, click up → "ClickUp"/);
+    assert.match(prompt, /- wpr → likely "ClickUp"/);
+    assert.doesNotMatch(prompt, /legacy/);
+  });
+});
+
+describe('getRegistry', () => {
+  let queries;
+
+  function useProjects(pages) {
+    client.setBackend({
+      databases: {
+        query: async () => {
+          queries++;
+          return { results: pages, has_more: false, next_cursor: null };
+        }
+      }
+    });
+  }
+
+  beforeEach(() => {
+    queries = 0;
+    projectRegistry.clearCache();
+  });
+
+  it('loads the Projects DB once and serves the cache after', async () => {
+    useProjects([projectPage('p1', 'ClickUp'), projectPage('p2', '')]);
+    const registry = await projectRegistry.getRegistry({ projectsDbId: 'db' });
+    assert.deepEqual(registry.projects.map(p => p.name), ['ClickUp']);
+
+    assert.equal(await projectRegistry.getRegistry({ projectsDbId: 'db' }), registry);
+    assert.equal(projectRegistry.getCachedRegistry(), registry);
+    assert.equal(queries, 1);
+
+    await projectRegistry.getRegistry({ projectsDbId: 'db', force: true });
+    assert.equal(queries, 2);
+  });
+
+  it('keeps the last list when a reload fails', async () => {
+    useProjects([projectPage('p1', 'ClickUp')]);
+    const loaded = await projectRegistry.getRegistry({ projectsDbId: 'db' });
+
+    client.setBackend({
+      databases: { query: async () => { throw Object.assign(new Error('Unauthorized'), { status: 401 }); } }
+    });
+    assert.equal(await projectRegistry.getRegistry({ projectsDbId: 'db', force: true }), loaded);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConcurrencyLimit, createRateLimiter } from '../service/rate_limiter.js';
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('createRateLimiter', () => {
+  it('lets a burst through, then spaces calls at the rate', async () => {
+    const limiter = createRateLimiter({ ratePerSecond: 20, burst: 2 });
+    const started = Date.now();
+    const times = await Promise.all([1, 2, 3, 4, 5].map(() => limiter.schedule(async () => Date.now() - started)));
+
+    assert.ok(times[1] < 40, `burst waited ${times[1]}ms`);
+    // Three calls past the burst at 50ms each
+    assert.ok(times[4] >= 140, `fifth call ran after ${times[4]}ms`);
+    assert.deepEqual([...times].sort((a, b) => a - b), times);
+  });
+
+  it('returns what the scheduled function returns, or its error', async () => {
+    const limiter = createRateLimiter({ ratePerSecond: 100, burst: 1 });
+    assert.equal(await limiter.schedule(async () => 'done'), 'done');
+    await assert.rejects(limiter.schedule(async () => { throw new Error('boom'); }), /boom/);
+  });
+
+  it('holds the queue while paused', async () => {
+    const limiter = createRateLimiter({ ratePerSecond: 100, burst: 3 });
+    const started = Date.now();
+    limiter.pauseFor(100);
+    const waited = await limiter.schedule(async () => Date.now() - started);
+    assert.ok(waited >= 95, `ran after ${waited}ms`);
+  });
+
+  it('counts calls and queue waits', async () => {
+    const limiter = createRateLimiter({ ratePerSecond: 20, burst: 1 });
+    await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => null)));
+
+    const stats = limiter.getStats();
+    assert.equal(stats.calls, 3);
+    assert.equal(stats.queued, 0);
+    assert.ok(stats.maxWaitMs >= 90);
+
+    limiter.resetStats();
+    assert.equal(limiter.getStats().calls, 0);
+  });
+});
+
+describe('createConcurrencyLimit', () => {
+  it('never runs more than the limit at once', async () => {
+    const run = createConcurrencyLimit(2);
+    let active = 0;
+    let peak = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => run(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(10);
+      active--;
+      return n * 2;
+    })));
+
+    assert.equal(peak, 2);
+    assert.deepEqual(results, [2, 4, 6, 8, 10]);
+  });
+
+  it('keeps going after a task fails', async () => {
+    const run = createConcurrencyLimit(1);
+    const failed = run(async () => { throw new Error('boom'); });
+    const next = run(async () => 'ok');
+
+    await assert.rejects(failed, /boom/);
+    assert.equal(await next, 'ok');
+  });
+});
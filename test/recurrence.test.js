@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as recurrence from '../service/recurrence.js';
+
+// Monday 2026-10-19, noon in New York
+const options = { timezone: 'America/New_York', now: new Date('2026-10-19T16:00:00Z') };
+
+function parse(text) {
+  return recurrence.parseRecurrence(text, options);
+}
+
+describe('parseRecurrence', () => {
+  it('reads weekly schedules', () => {
+    assert.equal(parse('every Friday').rule, 'FREQ=WEEKLY;BYDAY=FR');
+    assert.equal(parse('every other Tue').rule, 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU');
+    assert.equal(parse('every weekday').rule, 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+    assert.equal(parse('every Mon and Thu').rule, 'FREQ=WEEKLY;BYDAY=MO,TH');
+    assert.equal(parse('every 2 weeks').rule, 'FREQ=WEEKLY;INTERVAL=2');
+  });
+
+  it('reads monthly, quarterly and yearly schedules', () => {
+    assert.equal(parse('monthly on the 1st').rule, 'FREQ=MONTHLY;BYMONTHDAY=1');
+    assert.equal(parse('the 15th of every month').rule, 'FREQ=MONTHLY;BYMONTHDAY=15');
+    assert.equal(parse('the last day of each month').rule, 'FREQ=MONTHLY;BYMONTHDAY=-1');
+    assert.equal(parse('every quarter').rule, 'FREQ=MONTHLY;INTERVAL=3');
+    assert.equal(parse('yearly').rule, 'FREQ=YEARLY');
+  });
+
+  it('starts at the first occurrence on or after today', () => {
+    assert.equal(parse('every Friday').start, '2026-10-23');
+    assert.equal(parse('every Mon and Thu').start, '2026-10-19');
+    assert.equal(parse('monthly on the 1st').start, '2026-11-01');
+    assert.equal(parse('the last day of each month').start, '2026-10-31');
+  });
+
+  it('keeps an "until" end in the rule and the matched words', () => {
+    const parsed = parse('daily until Oct 31');
+    assert.equal(parsed.rule, 'FREQ=DAILY;UNTIL=20261031');
+    assert.equal(parsed.text, 'daily until Oct 31');
+  });
+
+  it('keeps a "starting" date in the matched words and starts the series there', () => {
+    const parsed = parse('Call vendor every 2 weeks starting Nov 3');
+    assert.equal(parsed.rule, 'FREQ=WEEKLY;INTERVAL=2');
+    assert.equal(parsed.start, '2026-11-03');
+    assert.equal(parsed.text, 'every 2 weeks starting Nov 3');
+    assert.equal(parsed.index, 12);
+  });
+
+  it('reads a start and an end together', () => {
+    const parsed = parse('every Monday beginning on Nov 3 until Dec 31');
+    assert.equal(parsed.rule, 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20261231');
+    assert.equal(parsed.start, '2026-11-09');
+    assert.equal(parsed.text, 'every Monday beginning on Nov 3 until Dec 31');
+  });
+
+  it('leaves noun phrases and a "from" that is not a date alone', () => {
+    assert.equal(parse('Send the weekly report'), null);
+    assert.equal(parse('Water plants every Friday from the office').text, 'every Friday');
+  });
+});
+
+describe('formatRule / parseRule', () => {
+  it('round-trips rule parts', () => {
+    const rule = recurrence.formatRule({ freq: 'WEEKLY', interval: 2, byDay: ['MO', 'TH'] });
+    assert.equal(rule, 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH');
+    assert.deepEqual(recurrence.parseRule(rule), {
+      freq: 'WEEKLY', interval: 2, byDay: ['MO', 'TH'], byMonthDay: null, byMonth: null, until: null
+    });
+  });
+
+  it('reads the last day of the month and an end date', () => {
+    const parts = recurrence.parseRule('FREQ=MONTHLY;BYMONTHDAY=-1;UNTIL=20270101');
+    assert.equal(parts.byMonthDay, -1);
+    assert.equal(parts.until, '2027-01-01');
+  });
+
+  it('returns null for an unreadable rule', () => {
+    assert.equal(recurrence.parseRule('garbage'), null);
+  });
+});
+
+describe('anchorRule', () => {
+  it('pins monthly and yearly rules to the first due date', () => {
+    assert.equal(recurrence.anchorRule('FREQ=MONTHLY;INTERVAL=3', '2026-10-31'), 'FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=31');
+    assert.equal(recurrence.anchorRule('FREQ=YEARLY;UNTIL=20301231', '2028-02-29'), 'FREQ=YEARLY;BYMONTHDAY=29;BYMONTH=2;UNTIL=20301231');
+  });
+
+  it('leaves rules that already name a day, and other frequencies, alone', () => {
+    assert.equal(recurrence.anchorRule('FREQ=MONTHLY;BYMONTHDAY=-1', '2026-10-15'), 'FREQ=MONTHLY;BYMONTHDAY=-1');
+    assert.equal(recurrence.anchorRule('FREQ=WEEKLY;BYDAY=FR', '2026-10-23'), 'FREQ=WEEKLY;BYDAY=FR');
+    assert.equal(recurrence.anchorRule('FREQ=MONTHLY', null), 'FREQ=MONTHLY');
+  });
+});
+
+describe('nextOccurrence', () => {
+  it('moves to the next listed day', () => {
+    assert.equal(recurrence.nextOccurrence('FREQ=WEEKLY;BYDAY=FR', '2026-10-23', options), '2026-10-30');
+    assert.equal(recurrence.nextOccurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', '2026-10-19', options), '2026-10-22');
+  });
+
+  it('skips occurrences already in the past', () => {
+    assert.equal(recurrence.nextOccurrence('FREQ=WEEKLY;BYDAY=FR', '2026-09-04', options), '2026-10-23');
+  });
+
+  it('clamps to the end of short months', () => {
+    assert.equal(recurrence.nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=31', '2026-10-31', options), '2026-11-30');
+    assert.equal(recurrence.nextOccurrence('FREQ=YEARLY', '2028-02-29', options), '2029-02-28');
+  });
+
+  it('keeps a parsed series on its start day through short months', () => {
+    const chain = (text, now, count) => {
+      const options = { timezone: 'America/New_York', now: new Date(now) };
+      const { rule, start } = recurrence.parseRecurrence(text, options);
+      const anchored = recurrence.anchorRule(rule, start);
+      const dates = [start];
+      while (dates.length < count) {
+        dates.push(recurrence.nextOccurrence(anchored, dates[dates.length - 1], options));
+      }
+      return dates;
+    };
+
+    assert.deepEqual(chain('Pay rent monthly', '2027-01-31T16:00:00Z', 5), ['2027-01-31', '2027-02-28', '2027-03-31', '2027-04-30', '2027-05-31']);
+    assert.deepEqual(chain('Renew the domain yearly', '2028-02-29T16:00:00Z', 5), ['2028-02-29', '2029-02-28', '2030-02-28', '2031-02-28', '2032-02-29']);
+    assert.deepEqual(chain('Audit every 2 years', '2026-06-15T16:00:00Z', 3), ['2026-06-15', '2028-06-15', '2030-06-15']);
+  });
+
+  it('ends the series after its UNTIL date', () => {
+    assert.equal(recurrence.nextOccurrence('FREQ=DAILY;UNTIL=20261031', '2026-10-31', options), null);
+    assert.equal(recurrence.firstOccurrence('FREQ=WEEKLY;BYDAY=FR;UNTIL=20261020', options), null);
+  });
+});
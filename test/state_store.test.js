@@ -0,0 +1,138 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const STORE = fileURLToPath(new URL('../service/state_store.js', import.meta.url));
+const dir = mkdtempSync(join(tmpdir(), 'ca-v2-state-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+let opened = 0;
+
+// The journal path is read when the module loads, so each store is a fresh import
+async function openStore(file, lines = null) {
+  if (lines) {
+    writeFileSync(file, lines.join('\n'));
+  }
+  process.env.STATE_FILE = file;
+  return import(`../service/state_store.js?store=${++opened}`);
+}
+
+function journal(file) {
+  return readFileSync(file, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+const SEED = [
+  { type: 'task', at: '2026-10-19T10:00:00.000Z', meetingId: 'm1', blockId: 'b1', taskId: 't1', text: 'Send deck', checked: false },
+  { type: 'task_update', at: '2026-10-19T11:00:00.000Z', meetingId: 'm1', blockId: 'b1', taskId: 't1', text: 'Send deck', checked: true, changes: ['status'] },
+  { type: 'project_info', at: '2026-10-19T10:00:00.000Z', pageId: 'p1', project: 'ClickUp', section: 'Decisions', entry: 'Ship v2' },
+  { type: 'quick_todo', at: '2026-10-19T10:00:00.000Z', pageId: 'q1', taskCreated: false },
+  { type: 'quick_todo', at: '2026-10-19T12:00:00.000Z', pageId: 'q1', taskCreated: true },
+  { type: 'meeting_run', at: '2026-10-19T10:00:00.000Z', meetingId: 'm1', title: 'Sync', status: 'ok', project: 'ClickUp', source: 'keywords', confidence: 0.8, created: 1, skipped: 0 },
+  { type: 'meeting_run', at: '2026-10-19T12:00:00.000Z', meetingId: 'm1', title: 'Sync', status: 'ok', project: 'ClickUp', created: 0, skipped: 1 },
+  { type: 'completion_sync', at: '2026-10-19T10:00:00.000Z', startedAt: '2026-10-19T10:00:00.000Z', checked: 3 },
+  { type: 'completion_sync', at: '2026-10-19T11:00:00.000Z', startedAt: '2026-10-19T11:00:00.000Z', checked: 1 },
+  { type: 'error', at: '2026-10-19T12:30:00.000Z', scope: 'meeting', id: 'm2', message: 'boom' }
+].map(record => JSON.stringify(record));
+
+describe('replaying the journal', () => {
+  it('rebuilds the indexes and skips a torn last line', async () => {
+    const file = join(dir, 'replay.jsonl');
+    const state = await openStore(file, [...SEED, '{"type":"task","blockId":"b9","ta']);
+
+    assert.deepEqual(state.getTaskForBlock('b1'), { ...JSON.parse(SEED[1]) });
+    assert.equal(state.getTaskForBlock('b9'), null);
+    assert.equal(state.hasProjectInfoEntry('p1', 'Decisions', '  ship V2 '), true);
+    assert.equal(state.getQuickTodo('q1').taskCreated, true);
+    assert.equal(state.getInferredRun('m1').confidence, 0.8);
+    assert.equal(state.getLastSweep('completion_sync').checked, 1);
+    assert.equal(state.getLastSweep('recurrence_sync'), null);
+  });
+
+  it('starts the next record on its own line after a torn one', async () => {
+    const file = join(dir, 'torn.jsonl');
+    const first = await openStore(file, [SEED[0], '{"type":"task","blockId":"b9","ta']);
+    first.record('task', { meetingId: 'm1', blockId: 'b2', taskId: 't2', text: 'Write recap', checked: false });
+
+    const second = await openStore(file);
+    assert.equal(second.getTaskForBlock('b2').taskId, 't2');
+    assert.equal(second.getTaskForBlock('b1').taskId, 't1');
+  });
+
+  it('persists new records for the next run', async () => {
+    const file = join(dir, 'persist.jsonl');
+    const first = await openStore(file, []);
+    first.record('task', { meetingId: 'm1', blockId: 'b2', taskId: 't2', text: 'Write recap', checked: false });
+    first.record('correction', { meetingId: 'm1', title: 'Sync', inferred: 'ClickUp', project: 'Podcast', sources: [] });
+
+    const second = await openStore(file);
+    assert.equal(second.getTaskForBlock('b2').taskId, 't2');
+    assert.deepEqual(second.getCorrections().map(c => c.project), ['Podcast']);
+  });
+});
+
+describe('recordSweep', () => {
+  it('journals a sweep only when it checked something', async () => {
+    const file = join(dir, 'sweeps.jsonl');
+    const state = await openStore(file, []);
+
+    state.recordSweep('completion_sync', { startedAt: '2026-10-19T10:00:00.000Z', checked: 2 });
+    state.recordSweep('completion_sync', { startedAt: '2026-10-19T10:01:00.000Z', checked: 0 });
+
+    assert.equal(state.getLastSweep('completion_sync').startedAt, '2026-10-19T10:01:00.000Z');
+    assert.deepEqual(journal(file).map(r => r.checked), [2]);
+  });
+});
+
+describe('readJournal', () => {
+  it('streams records filtered by type, id and time', async () => {
+    const file = join(dir, 'read.jsonl');
+    const state = await openStore(file, SEED);
+    const read = async filter => {
+      const records = [];
+      for await (const r of state.readJournal(filter)) records.push(r);
+      return records;
+    };
+
+    assert.equal((await read()).length, SEED.length);
+    assert.equal((await read({ type: 'meeting_run' })).length, 2);
+    assert.deepEqual((await read({ id: 'm2' })).map(r => r.type), ['error']);
+    assert.deepEqual((await read({ type: 'quick_todo', since: '2026-10-19T11:00:00.000Z' })).map(r => r.taskCreated), [true]);
+  });
+});
+
+describe('compact', () => {
+  it('keeps only what the indexes need and replays to the same lookups', async () => {
+    const file = join(dir, 'compact.jsonl');
+    const state = await openStore(file, SEED);
+    assert.deepEqual(state.compact(), { before: SEED.length, after: 5 });
+    assert.deepEqual(journal(file).map(r => r.type).sort(), ['completion_sync', 'meeting_run', 'project_info', 'quick_todo', 'task']);
+
+    const reopened = await openStore(file);
+    assert.equal(reopened.getTaskForBlock('b1').checked, true);
+    assert.equal(reopened.hasProjectInfoEntry('p1', 'Decisions', 'Ship v2'), true);
+    assert.equal(reopened.getQuickTodo('q1').taskCreated, true);
+    assert.equal(reopened.getInferredRun('m1').confidence, 0.8);
+    assert.equal(reopened.getLastSweep('completion_sync').checked, 1);
+  });
+});
+
+describe('CLI', () => {
+  function cli(file, ...args) {
+    return execFileSync(process.execPath, [STORE, ...args], { env: { ...process.env, STATE_FILE: file }, encoding: 'utf-8' });
+  }
+
+  it('summarizes and lists history', () => {
+    const file = join(dir, 'cli.jsonl');
+    writeFileSync(file, SEED.join('\n') + '\n');
+
+    assert.match(cli(file, 'summary'), /meeting_run: 2\n/);
+    assert.match(cli(file, 'runs', 'm1'), /ok +m1 +"Sync" +project=ClickUp \(keywords 0\.8\) created=1/);
+    assert.match(cli(file, 'errors'), /\[meeting\] m2: boom/);
+    assert.equal(cli(file, 'occurrences').trim(), '(none)');
+    assert.match(cli(file, 'compact'), /10 -> 5 record\(s\)/);
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as extractors from '../service/extractors.js';
+import * as parsers from '../service/parsers.js';
+import * as taskSync from '../service/task_sync.js';
+
+const context = { dateOptions: { timezone: 'America/New_York', now: new Date('2026-10-19T16:00:00Z') } };
+const MEETING = 'meeting-1';
+
+function richText(content, annotations = {}) {
+  return { type: 'text', plain_text: content, text: { content }, annotations };
+}
+
+function task(text, { blockId = 'b1', status = 'Backlog', edited = '2026-10-19T15:00:00.000Z', extra = {} } = {}) {
+  return {
+    id: `task-${blockId}`,
+    last_edited_time: edited,
+    properties: {
+      'Title': { title: [richText(text)] },
+      'Block ID': { rich_text: [richText(blockId)] },
+      'Line Key': { rich_text: [richText(extractors.generateLineKey(MEETING, text))] },
+      'Status': { select: { name: status } },
+      'Assignee': { people: [] },
+      'Parent Task': { relation: [] },
+      ...extra
+    }
+  };
+}
+
+function todo(text, { blockId = 'b1', checked = false, edited = '2026-10-19T15:00:00.000Z', ...rest } = {}) {
+  return { text, blockId, checked, lastEditedTime: edited, ...rest };
+}
+
+describe('parseTodoFields', () => {
+  it('reads inline tokens before the wording heuristics', () => {
+    const fields = taskSync.parseTodoFields({ text: 'Send deck by Friday !high ~2h' }, context);
+    assert.deepEqual(fields.due, { start: '2026-10-23', end: null, text: 'by Friday', index: 10 });
+    assert.equal(fields.priority, 'High');
+    assert.equal(fields.priorityReason, 'High: inline token');
+    assert.equal(fields.estimate, 2);
+    assert.deepEqual(fields.spans.filter(Boolean).map(span => span.text), ['!high', '~2h', 'by Friday']);
+  });
+
+  it('makes a repeating to-do due at its first occurrence', () => {
+    const fields = taskSync.parseTodoFields({ text: 'Review notes every Monday' }, context);
+    assert.equal(fields.recurrence.rule, 'FREQ=WEEKLY;BYDAY=MO');
+    assert.deepEqual(fields.due, { start: '2026-10-19', end: null });
+  });
+
+  it('pins a monthly to-do to the day it is first due', () => {
+    assert.equal(taskSync.parseTodoFields({ text: 'Pay invoices monthly' }, context).recurrence.rule, 'FREQ=MONTHLY;BYMONTHDAY=19');
+    const fields = taskSync.parseTodoFields({ text: 'Pay invoices monthly, first one Oct 31' }, context);
+    assert.equal(fields.due.start, '2026-10-31');
+    assert.equal(fields.recurrence.rule, 'FREQ=MONTHLY;BYMONTHDAY=31');
+  });
+
+  it('leaves fields unset when the text says nothing', () => {
+    const fields = taskSync.parseTodoFields({ text: 'Write recap' }, context);
+    assert.equal(fields.due, null);
+    assert.equal(fields.priority, 'Medium');
+    assert.equal(fields.estimate, null);
+    assert.deepEqual(fields.assignees, []);
+  });
+});
+
+describe('buildTaskTitle', () => {
+  it('cuts parsed phrases out of the rich text and keeps formatting', () => {
+    const item = {
+      text: 'Send deck by Friday',
+      richText: [richText(' Send deck ', { bold: true }), richText('by Friday')]
+    };
+    const fields = taskSync.parseTodoFields(item, context);
+    const title = taskSync.buildTaskTitle(item, fields.spans);
+
+    assert.equal(title.map(t => t.text.content).join(''), 'Send deck');
+    assert.equal(title[0].annotations.bold, true);
+  });
+
+  it('keeps the whole title when nothing would be left', () => {
+    const item = { text: 'tomorrow', richText: [richText('tomorrow')] };
+    const title = taskSync.buildTaskTitle(item, taskSync.parseTodoFields(item, context).spans);
+    assert.equal(title[0].text.content, 'tomorrow');
+  });
+
+  it('uses plain text without rich text', () => {
+    assert.deepEqual(taskSync.buildTaskTitle({ text: 'Write recap' }), [{ text: { content: 'Write recap' } }]);
+  });
+});
+
+describe('diffTodo', () => {
+  it('changes nothing when the to-do matches its task', () => {
+    assert.deepEqual(taskSync.diffTodo(task('Write recap'), todo('Write recap'), MEETING), { properties: {}, changes: [], block: null });
+  });
+
+  it('updates the title and only the fields the new text changes', () => {
+    const previous = { text: 'Write recap', checked: false, assignees: [] };
+    const result = taskSync.diffTodo(task('Write recap'), todo('Write recap, urgent'), MEETING, previous);
+
+    assert.deepEqual(result.changes, ['text', 'priority']);
+    assert.equal(result.properties.Title.title[0].text.content, 'Write recap, urgent');
+    assert.deepEqual(result.properties.Priority, { select: { name: 'High' } });
+    assert.equal(result.properties['Line Key'].rich_text[0].text.content, extractors.generateLineKey(MEETING, 'Write recap, urgent'));
+  });
+
+  it('cuts the due date from the new title and sets Due', () => {
+    const previous = { text: 'Write recap', checked: false, assignees: [] };
+    const edited = todo('Write recap tomorrow', { richText: [richText('Write recap tomorrow')] });
+    const result = taskSync.diffTodo(task('Write recap'), edited, MEETING, previous, context);
+
+    assert.deepEqual(result.changes, ['text', 'due']);
+    assert.equal(result.properties.Title.title[0].text.content, 'Write recap');
+    assert.deepEqual(result.properties.Due, { date: { start: '2026-10-20' } });
+  });
+
+  it('backfills the block link and clears the orphan flag', () => {
+    const existing = task('Write recap', { blockId: 'old', extra: { 'Source Removed?': { checkbox: true } } });
+    const result = taskSync.diffTodo(existing, todo('Write recap'), MEETING);
+    assert.deepEqual(result.changes, ['block', 'restored']);
+    assert.equal(result.properties['Block ID'].rich_text[0].text.content, 'b1');
+  });
+
+  it('follows assignee changes since the last sync', () => {
+    const previous = { text: 'Write recap', checked: false, assignees: ['u1'] };
+    const result = taskSync.diffTodo(task('Write recap'), todo('Write recap', { assignees: ['u2'] }), MEETING, previous);
+    assert.deepEqual(result.changes, ['assignee']);
+    assert.deepEqual(result.properties.Assignee, { people: [{ id: 'u2' }] });
+  });
+
+  it('follows nesting changes since the last sync', () => {
+    const previous = { text: 'Write recap', checked: false, assignees: [], parentBlockId: null };
+    const result = taskSync.diffTodo(task('Write recap'), todo('Write recap', { parentBlockId: 'b0', parentTaskId: 'task-b0' }), MEETING, previous);
+    assert.deepEqual(result.changes, ['parent']);
+    assert.deepEqual(result.properties['Parent Task'], { relation: [{ id: 'task-b0' }] });
+
+    const unnested = taskSync.diffTodo(
+      task('Write recap', { extra: { 'Parent Task': { relation: [{ id: 'task-b0' }] } } }),
+      todo('Write recap'),
+      MEETING, { ...previous, parentBlockId: 'b0' }
+    );
+    assert.deepEqual(unnested.properties['Parent Task'], { relation: [] });
+  });
+
+  it('only fills in assignees without a snapshot', () => {
+    const assigned = task('Write recap', { extra: { 'Assignee': { people: [{ id: 'u1' }] } } });
+    assert.deepEqual(taskSync.diffTodo(assigned, todo('Write recap', { assignees: ['u2'] }), MEETING).changes, []);
+    assert.deepEqual(taskSync.diffTodo(task('Write recap'), todo('Write recap', { assignees: ['u2'] }), MEETING).changes, ['assignee']);
+  });
+
+  it('completes the task when the box was ticked since the last sync', () => {
+    const previous = { text: 'Write recap', checked: false, assignees: [] };
+    const result = taskSync.diffTodo(task('Write recap'), todo('Write recap', { checked: true }), MEETING, previous);
+    assert.deepEqual(result.properties.Status, { select: { name: 'Done' } });
+  });
+
+  it('checks the to-do when the task was completed', () => {
+    const previous = { text: 'Write recap', checked: false, assignees: [] };
+    const result = taskSync.diffTodo(task('Write recap', { status: 'Done' }), todo('Write recap'), MEETING, previous);
+    assert.deepEqual(result.changes, ['checked']);
+    assert.deepEqual(result.block, { checked: true });
+  });
+});
+
+describe('getTodoAssignees', () => {
+  it('takes @mentions first, then names from the alias table', () => {
+    const aliases = parsers.buildAliasIndex([{ name: 'Chuck Norris', user_id: 'u1', aliases: ['chuck'] }]);
+    assert.deepEqual(taskSync.getTodoAssignees({ text: 'Chuck to review the deck', mentions: ['u2'] }, aliases), ['u2', 'u1']);
+    assert.deepEqual(taskSync.getTodoAssignees({ text: 'Write recap' }, aliases), []);
+  });
+});
+
+describe('resolveCompletion', () => {
+  const open = task('Write recap', { edited: '2026-10-19T15:00:00.000Z' });
+
+  it('does nothing when both sides agree', () => {
+    assert.equal(taskSync.resolveCompletion(open, todo('x', { checked: false })), null);
+  });
+
+  it('lets the side that moved away from the baseline win', () => {
+    assert.deepEqual(taskSync.resolveCompletion(open, todo('x', { checked: true }), false), { target: 'task', checked: true });
+    assert.deepEqual(taskSync.resolveCompletion(open, todo('x', { checked: true }), true), { target: 'block', checked: false });
+  });
+
+  it('lets the newer edit win without a baseline, and the task win a tie', () => {
+    const newer = todo('x', { checked: true, edited: '2026-10-19T15:05:00.000Z' });
+    const same = todo('x', { checked: true, edited: '2026-10-19T15:00:00.000Z' });
+    assert.deepEqual(taskSync.resolveCompletion(open, newer), { target: 'task', checked: true });
+    assert.deepEqual(taskSync.resolveCompletion(open, same), { target: 'block', checked: false });
+  });
+
+  it('writes Done or Backlog', () => {
+    assert.deepEqual(taskSync.completionStatus(true), { select: { name: 'Done' } });
+    assert.deepEqual(taskSync.completionStatus(false), { select: { name: 'Backlog' } });
+  });
+});
+
+describe('rollupCompletion', () => {
+  it('is Done only when every subtask is', () => {
+    assert.equal(taskSync.rollupCompletion([]), null);
+    assert.equal(taskSync.rollupCompletion([task('a', { status: 'Done' }), task('b', { status: 'Done' })]), true);
+    assert.equal(taskSync.rollupCompletion([task('a', { status: 'Done' }), task('b', { status: 'Doing' })]), false);
+  });
+});
+
+describe('task index', () => {
+  it('indexes tasks by block ID and line key', () => {
+    const first = task('Write recap', { blockId: 'b1' });
+    const index = taskSync.buildTaskIndex([first]);
+    assert.equal(index.byBlockId.get('b1'), first);
+    assert.equal(index.byLineKey.get(extractors.generateLineKey(MEETING, 'Write recap')), first);
+
+    const second = task('Send deck', { blockId: 'b2' });
+    taskSync.addToIndex(index, second, 'key-2', 'b2');
+    assert.equal(index.byBlockId.get('b2'), second);
+    assert.ok(index.lineKeys.has('key-2'));
+  });
+
+  it('finds tasks whose to-do is gone, skipping ones already flagged', () => {
+    const index = taskSync.buildTaskIndex([
+      task('a', { blockId: 'b1' }),
+      task('b', { blockId: 'b2' }),
+      task('c', { blockId: 'b3', extra: { 'Source Removed?': { checkbox: true } } })
+    ]);
+    assert.deepEqual(taskSync.findOrphanedTasks(index, [todo('a', { blockId: 'b1' })]).map(t => t.id), ['task-b2']);
+  });
+});
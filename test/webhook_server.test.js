@@ -0,0 +1,146 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { mkdtempSync, readFileSync, rmSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import * as webhook from '../service/webhook_server.js';
+
+const fixture = JSON.parse(readFileSync(new URL('../fixtures/webhook_page_content_updated.json', import.meta.url), 'utf-8'));
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('signatures', () => {
+  it('matches the signed fixture', () => {
+    assert.equal(webhook.signBody(fixture.body, fixture.secret), fixture.signature);
+    assert.equal(webhook.verifySignature(fixture.body, fixture.signature, fixture.secret), true);
+  });
+
+  it('rejects a wrong, truncated or missing signature', () => {
+    assert.equal(webhook.verifySignature(fixture.body + ' ', fixture.signature, fixture.secret), false);
+    assert.equal(webhook.verifySignature(fixture.body, fixture.signature, 'other-secret'), false);
+    assert.equal(webhook.verifySignature(fixture.body, fixture.signature.slice(0, -1), fixture.secret), false);
+    assert.equal(webhook.verifySignature(fixture.body, undefined, fixture.secret), false);
+    assert.equal(webhook.verifySignature(fixture.body, fixture.signature, ''), false);
+  });
+});
+
+describe('normalizeId', () => {
+  it('ignores dashes and case', () => {
+    assert.equal(webhook.normalizeId('2967A873-fa31-8136-8299-d13b5bd279b7'), '2967a873fa3181368299d13b5bd279b7');
+    assert.equal(webhook.normalizeId(undefined), '');
+  });
+});
+
+describe('createDebouncedQueue', () => {
+  it('runs each key once with its latest payload after the quiet period', async () => {
+    const calls = [];
+    const queue = webhook.createDebouncedQueue(async (key, payload) => calls.push([key, payload]), 20);
+
+    queue.enqueue('a', 1);
+    queue.enqueue('b', 1);
+    queue.enqueue('a', 2);
+    assert.equal(queue.pending(), 2);
+
+    await delay(60);
+    assert.deepEqual(calls, [['b', 1], ['a', 2]]);
+    assert.equal(queue.pending(), 0);
+  });
+
+  it('runs handlers one at a time and keeps going after a failure', async () => {
+    let active = 0;
+    let peak = 0;
+    const done = [];
+    const queue = webhook.createDebouncedQueue(async key => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(10);
+      active--;
+      if (key === 'bad') throw new Error('boom');
+      done.push(key);
+    }, 5);
+
+    for (const key of ['bad', 'x', 'y']) queue.enqueue(key);
+    await delay(80);
+    assert.equal(peak, 1);
+    assert.deepEqual(done, ['x', 'y']);
+  });
+});
+
+describe('startWebhookServer', () => {
+  const pages = [];
+  const dir = mkdtempSync(join(tmpdir(), 'ca-v2-webhook-'));
+  let server;
+  let url;
+
+  before(async () => {
+    server = webhook.startWebhookServer({
+      port: 0,
+      secret: fixture.secret,
+      debounceMs: 10,
+      databaseIds: ['2967a873fa3181368299d13b5bd279b7'],
+      onPage: async pageId => pages.push(pageId),
+      tokenFile: join(dir, 'token')
+    });
+    await once(server, 'listening');
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function post(body, signature, path = '/notion/webhook') {
+    return fetch(url + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(signature && { 'X-Notion-Signature': signature }) },
+      body
+    });
+  }
+
+  it('queues a signed page event from a watched database', async () => {
+    const response = await post(fixture.body, fixture.signature);
+    assert.equal(response.status, 200);
+    await delay(50);
+    assert.deepEqual(pages, ['00000000-0000-4000-8000-000000000201']);
+  });
+
+  it('ignores pages outside the watched databases', async () => {
+    pages.length = 0;
+    const event = JSON.parse(fixture.body);
+    event.data.parent.id = '11111111-1111-1111-1111-111111111111';
+    const body = JSON.stringify(event);
+
+    assert.equal((await post(body, webhook.signBody(body, fixture.secret))).status, 200);
+    await delay(50);
+    assert.deepEqual(pages, []);
+  });
+
+  it('rejects bad signatures and bodies', async () => {
+    assert.equal((await post(fixture.body, 'sha256=bad')).status, 401);
+    assert.equal((await post(fixture.body)).status, 401);
+    assert.equal((await post('{not json', fixture.signature)).status, 400);
+  });
+
+  it('saves the verification token from the unsigned handshake without logging it', async t => {
+    const logged = t.mock.method(console, 'log', () => {});
+    assert.equal((await post(JSON.stringify({ verification_token: 'secret_abc' }))).status, 200);
+
+    assert.equal(readFileSync(join(dir, 'token'), 'utf-8'), 'secret_abc\n');
+    assert.equal(statSync(join(dir, 'token')).mode & 0o777, 0o600);
+    const lines = logged.mock.calls.map(call => call.arguments.join(' '));
+    assert.ok(lines.some(line => line.includes('[WARN] Received a verification token')));
+    assert.ok(lines.every(line => !line.includes('secret_abc')));
+  });
+
+  it('answers health checks and rejects other routes', async () => {
+    const health = await fetch(`${url}/health`);
+    assert.equal(health.status, 200);
+    assert.equal((await health.json()).ok, true);
+    assert.equal((await fetch(`${url}/other`)).status, 404);
+    assert.equal((await fetch(`${url}/notion/webhook`)).status, 405);
+  });
+});